@@ -36,4 +36,14 @@ export default [
       ], // 强制使用 2 个空格缩进
     },
   },
+  // 单元测试在 Node 中运行（ES 模块）
+  {
+    files: ['test/**/*.js'],
+    languageOptions: {
+      sourceType: 'module',
+      globals: {
+        ...globals.node,
+      },
+    },
+  },
 ];
@@ -1,11 +1,24 @@
 // 智能下载管理器 - 后台脚本
 // 处理下载事件和管理下载状态
 
-// 引入核心下载器
-
-importScripts('/js/core/downloader.js');
-
-/* global Downloader */
+// 引入核心模块（下载引擎 Downloader 运行在离屏文档中，见 offscreen.js）
+
+importScripts(
+  '/js/core/hash.js',
+  '/js/core/hls.js',
+  '/js/core/dash.js',
+  '/js/core/temp-file.js',
+  '/js/core/file-type.js',
+  '/js/core/connection-pool.js',
+  '/js/core/host-profiles.js',
+  '/js/core/request-headers.js',
+  '/js/core/credential-store.js',
+  '/js/core/download-schedule.js',
+  '/js/core/chunk-store.js',
+  '/js/core/remote-downloader.js'
+);
+
+/* global RemoteDownloader, ChunkStore, Hasher, HlsPlaylist, DashManifest, TempFile, FileType, ConnectionPool, HostProfiles, RequestHeaders, CredentialStore, DownloadSchedule */
 
 // ============================================================================
 // 全局变量和顶层事件监听器
@@ -14,6 +27,7 @@ importScripts('/js/core/downloader.js');
 // 因此必须在脚本顶层立即注册事件监听器,而不是在异步 init() 方法中注册
 
 let downloadManager = null; // 全局下载管理器实例引用
+const SCHEDULE_ALARM = 'downloadSchedule'; // 计划下载使用的定时器名称
 
 // 立即注册下载创建事件监听器
 chrome.downloads.onCreated.addListener((downloadItem) => {
@@ -41,6 +55,20 @@ chrome.downloads.onErased.addListener((downloadId) => {
   }
 });
 
+// 记录网页发出的请求头，拦截下载时在内部下载中重放（Referer、Cookie、Authorization 等）
+chrome.webRequest.onSendHeaders.addListener(
+  (details) => {
+    if (downloadManager) {
+      downloadManager.captureRequestHeaders(details);
+    }
+  },
+  {
+    urls: ['http://*/*', 'https://*/*'],
+    types: ['main_frame', 'sub_frame', 'other'],
+  },
+  ['requestHeaders', 'extraHeaders']
+);
+
 // 监听文件名确定事件（用于获取 Blob URL 的真实文件名）
 chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
   if (downloadManager) {
@@ -50,15 +78,40 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
   return false;
 });
 
+// 计划下载的定时器（Service Worker 休眠时也会被唤醒，计划保存在下载记录中）
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM && downloadManager) {
+    downloadManager.onScheduleAlarm();
+  }
+});
+
 console.log('下载事件监听器已在顶层注册 (Service Worker 唤醒时立即可用)');
 
 // ============================================================================
 // DownloadManager 类定义
 // ============================================================================
 
+// 默认设置（保存在 chrome.storage.local 的 settings 键中）
+const DEFAULT_SETTINGS = {
+  globalSpeedLimit: 0, // 全局速度上限 (bytes/s)，0 表示不限速
+  maxRetries: 5, // 单个分块失败后的最大重试次数
+  stallTimeout: 60, // 分块超过该秒数没有收到数据时中止并重新请求，0 表示不检测
+  maxConnections: 32, // 所有下载的总连接数上限，0 表示不限制
+  maxConnectionsPerHost: 8, // 同一主机的连接数上限，0 表示不限制
+  checksumLookup: true, // 没有期望校验值时尝试读取同目录的 .sha256 文件
+  saveToFolder: false, // 直接写入管理页面中授权的保存目录，不经过 chrome.downloads
+  saveSubfolder: '', // 保存目录下的子文件夹（相对路径）
+  maxActiveDownloads: 3, // 同时进行的下载数上限，其余下载排队等待，0 表示不限制
+};
+
+// 下载优先级（从高到低），排队中的下载按优先级和队列顺序开始
+const DOWNLOAD_PRIORITIES = ['high', 'normal', 'low'];
+
+const MAX_STALL_EVENTS = 50; // 每个下载保留的停滞记录数
+
 class DownloadManager {
   constructor() {
-    this.downloads = new Map(); // 存储下载信息 (包含 Downloader 实例)
+    this.downloads = new Map(); // 存储下载信息 (包含 RemoteDownloader 实例)
     this.downloadCount = 0; // 活跃下载数量
     this.animationInterval = null;
     this.fileCheckTimer = null; // 文件检查定时器
@@ -66,11 +119,17 @@ class DownloadManager {
     this.largeFileUrls = new Set(); // 追踪大文件的 URL，避免重复拦截
     this.internalBlobUrls = new Set(); // 追踪扩展自己生成的 Blob/Data URL，避免拦截内部保存任务
     this.pendingBlobDownloads = new Set(); // 追踪等待文件名确定的 Blob 下载
+    this.offscreenCreating = null; // 正在创建 offscreen 文档的 Promise
     this.tempDownloads = new Set(); // 追踪需要清理的临时 Blob 下载
+    this.capturedHeaders = new Map(); // 最近网页请求的请求头 url -> {headers, time}，拦截下载时使用
     this.isReady = false; // 标记初始化是否完成
     this.isFirstRun = false; // 标记是否是首次运行（区分首次启动和 Service Worker 唤醒）
     this.initStartTime = Date.now(); // 记录初始化开始时间
     this.INIT_GRACE_PERIOD = 3000; // 初始化保护期：3秒，避免拦截 Chrome 自动恢复的下载
+    this.chunkStore = new ChunkStore(); // 分块进度持久化存储（IndexedDB），数据保存在 OPFS 临时文件中
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.hostProfiles = new HostProfiles(); // 按主机记录的下载统计，用于新下载的初始配置
+    this.credentialStore = new CredentialStore(); // 按主机加密保存的 HTTP 认证凭据
     this.init();
   }
 
@@ -100,6 +159,12 @@ class DownloadManager {
 
       // 注意: 事件监听器已在脚本顶层注册，无需在此重复注册
 
+      // 加载设置和主机配置
+      await this.loadSettings();
+      await this.hostProfiles.load().catch((error) => {
+        console.warn('加载主机配置失败:', error);
+      });
+
       // 禁用默认下载栏
       this.disableDownloadShelf();
 
@@ -110,6 +175,15 @@ class DownloadManager {
       // 等待加载已存在的下载（重要：必须等待完成）
       await this.loadExistingDownloads();
 
+      // 清理已结束或已删除的下载留下的请求头规则
+      await this.removeUnusedHeaderRules();
+
+      // 恢复有持久化分块数据的未完成下载
+      await this.restorePersistedDownloads();
+
+      // 开始上次关闭前还在排队的下载，并按计划暂停已离开下载时段的下载（定时器可能在关闭期间错过）
+      this.checkSchedules();
+
       this.isReady = true; // 标记初始化完成
       console.log('DownloadManager 初始化完成');
     } catch (error) {
@@ -118,6 +192,89 @@ class DownloadManager {
     }
   }
 
+  // 加载设置
+  async loadSettings() {
+    const { settings } = await chrome.storage.local.get('settings');
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.applySettings();
+  }
+
+  // 更新设置（只更新传入的字段）
+  async updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    await chrome.storage.local.set({ settings: this.settings });
+    this.applySettings();
+    this.processQueue(); // 上限提高时开始更多排队中的下载
+    console.log('设置已更新:', this.settings);
+    return this.settings;
+  }
+
+  // 将设置应用到运行中的下载引擎
+  // 离屏文档还没有创建时无需通知，启动下载时会带上全局限速和连接数上限
+  async applySettings() {
+    if (!(await this.hasOffscreenDocument())) return;
+    this.sendToEngine({
+      action: 'setGlobalSpeedLimit',
+      speedLimit: this.settings.globalSpeedLimit,
+    }).catch((error) => {
+      console.warn('更新全局限速失败:', error);
+    });
+    this.sendToEngine({
+      action: 'setConnectionLimits',
+      limits: this.getConnectionLimits(),
+    }).catch((error) => {
+      console.warn('更新连接数上限失败:', error);
+    });
+  }
+
+  // 总连接数和同一主机连接数的上限
+  getConnectionLimits() {
+    return {
+      maxConnections: this.settings.maxConnections,
+      maxConnectionsPerHost: this.settings.maxConnectionsPerHost,
+    };
+  }
+
+  // 调整单个下载的速度上限 (bytes/s)，0 表示不限速
+  setSpeedLimit(downloadId, speedLimit) {
+    const downloadInfo = this.downloads.get(downloadId);
+    if (!downloadInfo) {
+      return Promise.reject(new Error('下载记录不存在'));
+    }
+
+    downloadInfo.speedLimit = Math.max(0, Number(speedLimit) || 0);
+    if (downloadInfo.downloader) {
+      downloadInfo.downloader.setSpeedLimit(downloadInfo.speedLimit);
+    }
+    this.saveDownloadInfo(downloadInfo);
+    return Promise.resolve();
+  }
+
+  // 创建 Downloader 时的公共选项（需要能够通过消息传给离屏文档）
+  // 主机配置中记录的初始连接数、HEAD / Range 支持情况放在最前，其余选项优先
+  getDownloaderOptions(downloadInfo) {
+    const options = {
+      ...this.hostProfiles.getDownloaderOptions(downloadInfo.url),
+      globalSpeedLimit: this.settings.globalSpeedLimit,
+      connectionLimits: this.getConnectionLimits(),
+      speedLimit: downloadInfo.speedLimit || 0,
+      maxRetries: this.settings.maxRetries,
+      stallTimeout: this.settings.stallTimeout * 1000,
+      expectedHash: downloadInfo.expectedHash || null,
+      mirrors: downloadInfo.mirrors || [],
+      hlsVariant: downloadInfo.hlsVariant || null,
+      dashVideo: downloadInfo.dashVideo || null,
+      dashAudio: downloadInfo.dashAudio || null,
+      checksumLookup: this.settings.checksumLookup,
+      useServerFilename: !downloadInfo.customFilename,
+      headers: RequestHeaders.split(downloadInfo.headers).fetchHeaders,
+    };
+    if (downloadInfo.connections) {
+      options.chunks = downloadInfo.connections;
+    }
+    return options;
+  }
+
   // 更新图标badge
   updateBadge() {
     if (this.downloadCount > 0) {
@@ -262,7 +419,13 @@ class DownloadManager {
         }
 
         // 从内存中删除
+        if (downloadInfo.downloader) {
+          downloadInfo.downloader.cancel();
+        }
         this.downloads.delete(downloadId);
+        this.discardPersistedData(downloadId);
+        this.releaseHeaderRule(downloadInfo);
+        this.processQueue();
         console.log(`已删除下载记录: ${downloadId}`);
 
         // 如果有关联的 Chrome 下载 ID，尝试删除文件
@@ -339,14 +502,17 @@ class DownloadManager {
   }
 
   // 核心：开始内部下载
-  startInternalDownload(url, filename) {
-    const downloader = new Downloader(url, filename);
-
+  // options: { connections: 并发连接数（为空时自动调整）, expectedHash: 期望的校验值, mirrors: 镜像地址, hlsVariant: HLS 清晰度地址,
+  //            dashVideo / dashAudio: DASH 视频 / 音频轨道 id, customFilename: 文件名由用户指定, headers: 自定义请求头,
+  //            priority: 优先级 high / normal / low, schedule: 下载计划（DownloadSchedule.create 的结果） }
+  // 新下载先进入队列，同时进行的下载数未达到上限时立即开始
+  startInternalDownload(url, filename, options = {}) {
     const downloadInfo = {
-      id: downloader.id, // 使用 Downloader 生成的 ID
       url: url,
+      finalUrl: null, // 跟随重定向后的最终地址
       filename: filename,
-      state: 'in_progress',
+      customFilename: !!options.customFilename, // 用户指定的文件名不被 Content-Disposition 覆盖
+      state: 'queued',
       bytesReceived: 0,
       totalBytes: 0,
       startTime: Date.now(),
@@ -354,15 +520,491 @@ class DownloadManager {
       paused: false,
       error: null,
       speed: 0,
-      downloader: downloader, // 引用实例，不保存到 storage
+      speedLimit: 0, // 单个下载的速度上限 (bytes/s)
+      connections: options.connections || null, // 为空时由下载引擎根据文件大小和速度自动调整
+      expectedHash: options.expectedHash || null,
+      integrity: null, // 完整性校验结果
+      mirrors: options.mirrors || [], // 镜像地址（不含原始地址）
+      mirrorStats: null, // 各镜像的下载量和状态
+      hlsVariant: options.hlsVariant || null,
+      dashVideo: options.dashVideo || null,
+      dashAudio: options.dashAudio || null,
+      segmentStats: null, // HLS / DASH 分片进度
+      attachments: [], // 主文件之外另存的文件（DASH 音频轨道）
+      headers: options.headers || {}, // 每个请求都会带上的请求头 {名称: 值}
+      headerRuleId: null, // 设置 fetch 不允许设置的请求头的 declarativeNetRequest 规则 id
+      authRequest: null, // 服务器要求认证时的质询 {host, scheme, realm, challenge, rejected}，等待用户输入凭据
+      priority: DOWNLOAD_PRIORITIES.includes(options.priority)
+        ? options.priority
+        : 'normal',
+      queueOrder: this.nextQueueOrder(), // 同一优先级内的排队顺序，越小越先开始
+      schedule: options.schedule || null, // 开始时间和每天允许下载的时段
+      scheduledPause: false, // 因离开下载时段而暂停，进入下一个时段时自动继续
+      stallEvents: [], // 分块停滞被中止并重新请求的记录 {time, chunk, offset, idle}
     };
 
-    // 绑定回调
+    downloadInfo.id = Date.now() + Math.random().toString(36).substr(2, 9);
+
+    // 存储并加入队列
+    this.downloads.set(downloadInfo.id, downloadInfo);
+    this.saveDownloadInfo(downloadInfo);
+    this.processQueue();
+    return downloadInfo.id;
+  }
+
+  // 开始排队中的下载
+  launchDownload(downloadInfo) {
+    downloadInfo.state = 'in_progress';
+    downloadInfo.startTime = Date.now();
+    this.attachDownloader(downloadInfo); // 引用实例，不保存到 storage
+    this.saveDownloadInfo(downloadInfo);
+
+    // 先添加请求头规则，保证第一个请求就带上这些请求头；该主机有保存的凭据时一并交给下载引擎
+    this.applyHeaderRule(downloadInfo)
+      .then(() => this.getSavedCredentials(downloadInfo.url))
+      .then((credentials) =>
+        downloadInfo.downloader.start(downloadInfo.url, downloadInfo.filename, {
+          ...this.getDownloaderOptions(downloadInfo),
+          credentials,
+        })
+      );
+    this.showDownloadAnimation(downloadInfo.filename);
+  }
+
+  // 按优先级和队列顺序开始排队中的下载，直到同时进行的下载数达到上限
+  // 暂停的下载和数据已下载完、正在保存的下载不计入；未到计划时间的下载继续等待
+  processQueue() {
+    const now = Date.now();
+    const limit = this.settings.maxActiveDownloads;
+    const downloads = Array.from(this.downloads.values());
+    const running = this.getRunningDownloads();
+
+    // 因离开下载时段而暂停的下载先于排队中的下载继续
+    const waiting = [
+      ...this.sortByQueueOrder(
+        downloads.filter((d) => d.state === 'paused' && d.scheduledPause)
+      ),
+      ...this.getQueue(),
+    ].filter((d) => DownloadSchedule.isAllowed(d.schedule, now));
+
+    for (const downloadInfo of waiting) {
+      if (limit > 0 && running.length >= limit) break;
+      // 请求头规则按主机匹配，需要规则的下载等同一主机的其他下载结束后再开始
+      if (this.hasHostConflict(downloadInfo, running)) continue;
+      if (downloadInfo.state !== 'queued') {
+        this.resumeScheduledDownload(downloadInfo);
+      } else if (downloadInfo.queuedResume) {
+        this.resumeQueuedDownload(downloadInfo);
+      } else {
+        console.log(`开始排队中的下载: ${downloadInfo.filename}`);
+        this.launchDownload(downloadInfo);
+      }
+      running.push(downloadInfo);
+    }
+
+    this.scheduleNextAlarm();
+  }
+
+  // 正在下载的任务（暂停的下载和数据已下载完、正在保存的下载不计入）
+  getRunningDownloads() {
+    return Array.from(this.downloads.values()).filter(
+      (d) => d.state === 'in_progress' && !d.endTime
+    );
+  }
+
+  // 是否可以立即开始或继续：同时进行的下载数未达上限，且不与同一主机的下载冲突
+  canStartNow(downloadInfo) {
+    const limit = this.settings.maxActiveDownloads;
+    const running = this.getRunningDownloads();
+    return (
+      (limit <= 0 || running.length < limit) &&
+      !this.hasHostConflict(downloadInfo, running)
+    );
+  }
+
+  // 是否与进行中的下载是同一主机且其中一个需要请求头规则
+  hasHostConflict(downloadInfo, running) {
+    return running.some(
+      (other) =>
+        other !== downloadInfo &&
+        RequestHeaders.sharesHostWith(
+          downloadInfo.url,
+          downloadInfo.headers,
+          other.url,
+          other.headers
+        )
+    );
+  }
+
+  // 排队中的下载，按开始顺序排列
+  getQueue() {
+    return this.sortByQueueOrder(
+      Array.from(this.downloads.values()).filter((d) => d.state === 'queued')
+    );
+  }
+
+  // 按优先级和队列顺序排序
+  sortByQueueOrder(downloads) {
+    const rank = (d) => DOWNLOAD_PRIORITIES.indexOf(d.priority || 'normal');
+    return downloads.sort(
+      (a, b) => rank(a) - rank(b) || (a.queueOrder || 0) - (b.queueOrder || 0)
+    );
+  }
+
+  // 进入下载时段，继续因时段结束而暂停的下载
+  resumeScheduledDownload(downloadInfo) {
+    console.log(`下载时段开始，继续下载: ${downloadInfo.filename}`);
+    downloadInfo.scheduledPause = false; // 立即清除，避免在继续完成前被重复处理
+    this.continueDownload(downloadInfo).catch((error) => {
+      console.error(`继续计划下载失败: ${downloadInfo.filename}`, error);
+      downloadInfo.state = 'interrupted';
+      downloadInfo.error = error.message;
+      this.saveDownloadInfo(downloadInfo);
+    });
+  }
+
+  // 继续因同时进行的下载数达到上限而排队的下载（已有下载数据，从中断的位置继续）
+  resumeQueuedDownload(downloadInfo) {
+    console.log(`继续排队中的下载: ${downloadInfo.filename}`);
+    this.continueDownload(downloadInfo).catch((error) => {
+      console.error(`继续排队中的下载失败: ${downloadInfo.filename}`, error);
+      downloadInfo.state = 'interrupted';
+      downloadInfo.error = error.message;
+      this.saveDownloadInfo(downloadInfo);
+    });
+  }
+
+  // 暂停已离开下载时段的下载，再开始或继续当前允许下载的任务
+  checkSchedules() {
+    const now = Date.now();
+    for (const downloadInfo of this.downloads.values()) {
+      if (
+        downloadInfo.state === 'in_progress' &&
+        !downloadInfo.endTime &&
+        downloadInfo.downloader &&
+        !DownloadSchedule.isAllowed(downloadInfo.schedule, now)
+      ) {
+        console.log(`下载时段结束，暂停下载: ${downloadInfo.filename}`);
+        downloadInfo.scheduledPause = true;
+        this.pauseDownload(downloadInfo.id);
+      }
+    }
+    this.processQueue();
+  }
+
+  // 计划定时器触发（可能是 Service Worker 被定时器唤醒）
+  async onScheduleAlarm() {
+    while (!this.isReady) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    console.log('计划时间已到，检查计划下载');
+    this.checkSchedules();
+  }
+
+  // 把定时器设置为最近一次计划变化的时间（开始时间、时段开始或结束），没有等待中的计划时清除
+  scheduleNextAlarm() {
+    const now = Date.now();
+    let next = null;
+    for (const d of this.downloads.values()) {
+      const pending =
+        d.state === 'queued' ||
+        (d.state === 'in_progress' && !d.endTime) ||
+        (d.state === 'paused' && d.scheduledPause);
+      const time = pending
+        ? DownloadSchedule.nextChange(d.schedule, now)
+        : null;
+      if (time !== null && (next === null || time < next)) {
+        next = time;
+      }
+    }
+
+    const update =
+      next === null
+        ? chrome.alarms.clear(SCHEDULE_ALARM)
+        : chrome.alarms.create(SCHEDULE_ALARM, { when: next });
+    update.catch((error) => {
+      console.warn('设置计划定时器失败:', error);
+    });
+  }
+
+  // 新下载的排队顺序（排在所有已有下载之后）
+  nextQueueOrder() {
+    let max = 0;
+    for (const downloadInfo of this.downloads.values()) {
+      max = Math.max(max, downloadInfo.queueOrder || 0);
+    }
+    return max + 1;
+  }
+
+  // 调整下载的优先级，排队中的下载按新的优先级排队
+  setDownloadPriority(downloadId, priority) {
+    const downloadInfo = this.downloads.get(downloadId);
+    if (!downloadInfo) {
+      return Promise.reject(new Error('下载记录不存在'));
+    }
+    if (!DOWNLOAD_PRIORITIES.includes(priority)) {
+      return Promise.reject(new Error(`无效的优先级: ${priority}`));
+    }
+
+    downloadInfo.priority = priority;
+    this.saveDownloadInfo(downloadInfo);
+    return Promise.resolve();
+  }
+
+  // 在队列中上移或下移一位（direction: 'up' / 'down'）
+  // 移到其他优先级的下载旁边时改为该优先级，保证移动后的位置与排序一致
+  moveInQueue(downloadId, direction) {
+    const queue = this.getQueue();
+    const index = queue.findIndex((d) => d.id === downloadId);
+    if (index === -1) {
+      return Promise.reject(new Error('下载任务不在队列中'));
+    }
+
+    const target = direction === 'up' ? index - 1 : index + 1;
+    if (target < 0 || target >= queue.length) return Promise.resolve();
+
+    const downloadInfo = queue[index];
+    queue[index] = queue[target];
+    queue[target] = downloadInfo;
+    if (downloadInfo.priority !== queue[index].priority) {
+      downloadInfo.priority = queue[index].priority;
+      this.saveDownloadInfo(downloadInfo);
+    }
+
+    // 按新的顺序重新编号
+    queue.forEach((d, i) => {
+      if (d.queueOrder !== i + 1) {
+        d.queueOrder = i + 1;
+        this.saveDownloadInfo(d);
+      }
+    });
+    return Promise.resolve();
+  }
+
+  // 记录网页请求的请求头（忽略扩展自身的请求），只保留最近一分钟的
+  captureRequestHeaders(details) {
+    if (details.initiator === `chrome-extension://${chrome.runtime.id}`) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const [url, entry] of this.capturedHeaders) {
+      if (now - entry.time < 60 * 1000 && this.capturedHeaders.size < 100) {
+        break;
+      }
+      this.capturedHeaders.delete(url);
+    }
+    this.capturedHeaders.delete(details.url); // 重新插入，保持按时间排序
+    this.capturedHeaders.set(details.url, {
+      headers: RequestHeaders.fromCaptured(details.requestHeaders),
+      time: now,
+    });
+  }
+
+  // 拦截的下载对应的原始请求头，没有记录时只使用下载的来源页面作为 Referer
+  getCapturedHeaders(downloadItem) {
+    const entry =
+      this.capturedHeaders.get(downloadItem.url) ||
+      this.capturedHeaders.get(downloadItem.finalUrl);
+    if (entry) {
+      this.capturedHeaders.delete(downloadItem.url);
+      return entry.headers;
+    }
+    return downloadItem.referrer ? { Referer: downloadItem.referrer } : {};
+  }
+
+  // 添加（或更新）下载的请求头规则，失败时只记录日志，下载照常进行
+  async applyHeaderRule(downloadInfo) {
+    try {
+      const ruleId = await RequestHeaders.applyRule(
+        downloadInfo.headerRuleId,
+        downloadInfo.url,
+        downloadInfo.headers
+      );
+      if (ruleId !== downloadInfo.headerRuleId) {
+        downloadInfo.headerRuleId = ruleId;
+        this.saveDownloadInfo(downloadInfo);
+      }
+    } catch (error) {
+      console.warn(`添加请求头规则失败 (ID: ${downloadInfo.id}):`, error);
+    }
+  }
+
+  // 下载结束后删除请求头规则
+  releaseHeaderRule(downloadInfo) {
+    if (!downloadInfo.headerRuleId) return;
+    RequestHeaders.removeRule(downloadInfo.headerRuleId).catch((error) => {
+      console.warn(`删除请求头规则失败 (ID: ${downloadInfo.id}):`, error);
+    });
+    downloadInfo.headerRuleId = null;
+  }
+
+  // 删除不属于未完成下载的请求头规则
+  async removeUnusedHeaderRules() {
+    const ruleIds = Array.from(this.downloads.values())
+      .filter(
+        (info) =>
+          info.headerRuleId &&
+          (info.state === 'in_progress' || info.state === 'paused')
+      )
+      .map((info) => info.headerRuleId);
+    try {
+      await RequestHeaders.removeUnusedRules(ruleIds);
+    } catch (error) {
+      console.warn('清理请求头规则失败:', error);
+    }
+  }
+
+  // 凭据库中该地址主机的凭据，没有保存或凭据库未解锁时返回 null
+  async getSavedCredentials(url) {
+    try {
+      return await this.credentialStore.get(ConnectionPool.hostOf(url));
+    } catch (error) {
+      console.warn('读取保存的凭据失败:', error);
+      return null;
+    }
+  }
+
+  // 使用用户输入（或凭据库中保存）的凭据继续因认证暂停的下载
+  // username 为空时使用凭据库中该主机的凭据；remember 为 true 时保存到凭据库
+  // 凭据库未解锁时需要提供口令（第一次保存时以该口令创建凭据库）
+  async submitCredentials(
+    downloadId,
+    { username, password, remember, passphrase }
+  ) {
+    const downloadInfo = this.downloads.get(downloadId);
+    if (!downloadInfo || !downloadInfo.authRequest) {
+      throw new Error('下载任务不需要登录');
+    }
+    const { host, challenge } = downloadInfo.authRequest;
+
+    if (passphrase) {
+      await this.credentialStore.unlock(passphrase);
+    }
+    let credentials;
+    if (username) {
+      credentials = { username, password: password || '' };
+      if (remember) {
+        await this.credentialStore.save(host, credentials);
+      }
+    } else {
+      credentials = await this.credentialStore.get(host);
+      if (!credentials) {
+        throw new Error(
+          '请输入用户名和密码（凭据库中没有该主机的凭据或未解锁）'
+        );
+      }
+    }
+
+    if (!downloadInfo.downloader) {
+      await this.restoreDownloader(downloadInfo);
+    }
+    downloadInfo.downloader.setCredentials(credentials, challenge);
+    downloadInfo.authRequest = null;
+    downloadInfo.paused = false;
+    downloadInfo.state = 'in_progress';
+    downloadInfo.error = null;
+    this.saveDownloadInfo(downloadInfo);
+  }
+
+  // 读取 HLS 主播放列表中的清晰度（媒体播放列表返回空数组）
+  async probeHls(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`获取播放列表失败: HTTP ${response.status}`);
+    }
+    const playlist = HlsPlaylist.parse(await response.text(), url);
+    if (playlist.type !== 'master') return [];
+
+    return playlist.variants
+      .sort((a, b) => b.bandwidth - a.bandwidth)
+      .map((variant) => ({
+        uri: variant.uri,
+        label: HlsPlaylist.describeVariant(variant),
+      }));
+  }
+
+  // 读取 DASH 清单中的视频和音频轨道
+  async probeDash(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`获取清单失败: HTTP ${response.status}`);
+    }
+    const manifest = DashManifest.parse(await response.text(), url);
+    const describe = (list) =>
+      list
+        .slice()
+        .sort((a, b) => b.bandwidth - a.bandwidth)
+        .map((rep) => ({ id: rep.id, label: rep.label }));
+
+    return { video: describe(manifest.video), audio: describe(manifest.audio) };
+  }
+
+  // 创建下载引擎代理并绑定回调，status 为引擎中已有下载的当前状态
+  attachDownloader(downloadInfo, status) {
+    downloadInfo.downloader = new RemoteDownloader(downloadInfo.id, (message) =>
+      this.sendToEngine(message)
+    );
+    if (status) {
+      Object.assign(downloadInfo.downloader, status);
+    }
+    this.bindDownloader(downloadInfo);
+  }
+
+  // 向离屏文档中的下载引擎发送消息
+  async sendToEngine(message) {
+    await this.ensureOffscreenDocument();
+    return chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+  }
+
+  // 处理下载引擎发来的事件
+  // Service Worker 被回收后由事件唤醒时，为仍在运行的下载重新创建代理
+  async handleEngineEvent(request) {
+    while (!this.isReady) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    const downloadInfo = this.downloads.get(request.downloadId);
+    if (!downloadInfo) return;
+    if (!downloadInfo.downloader) {
+      this.attachDownloader(downloadInfo);
+    }
+    downloadInfo.downloader.handleEvent(
+      request.event,
+      request.data,
+      request.status
+    );
+  }
+
+  // 读取下载引擎中运行或暂停的下载，离屏文档不存在时返回空数组
+  async getEngineDownloads() {
+    if (!(await this.hasOffscreenDocument())) return [];
+    const response = await this.sendToEngine({ action: 'listDownloads' });
+    return (response && response.downloads) || [];
+  }
+
+  // 绑定 Downloader 回调（新建和从持久化存储恢复的任务共用）
+  bindDownloader(downloadInfo) {
+    const downloader = downloadInfo.downloader;
+    const url = downloadInfo.url;
+
     downloader.onProgress = (data) => {
       downloadInfo.bytesReceived = data.bytesReceived;
       downloadInfo.totalBytes = data.totalBytes;
       downloadInfo.speed = data.speed;
       downloadInfo.state = data.state;
+      downloadInfo.chunkStats = data.chunkStats;
+      downloadInfo.mirrorStats = data.mirrorStats;
+      downloadInfo.segmentStats = data.segmentStats;
+      downloadInfo.waitingUntil = data.waitingUntil || null; // 服务器限流，等待 Retry-After 结束
+      // 文件名可能来自响应头 Content-Disposition，地址可能被重定向
+      if (
+        data.filename !== downloadInfo.filename ||
+        data.finalUrl !== downloadInfo.finalUrl
+      ) {
+        downloadInfo.filename = data.filename;
+        downloadInfo.finalUrl = data.finalUrl;
+        this.saveDownloadInfo(downloadInfo);
+      }
 
       // 实时保存状态（可选：为了性能可以减少保存频率）
       // this.saveDownloadInfo(downloadInfo);
@@ -380,114 +1022,106 @@ class DownloadManager {
             bytesReceived: downloadInfo.bytesReceived,
             totalBytes: downloadInfo.totalBytes,
             speed: downloadInfo.speed,
+            speedLimit: downloadInfo.speedLimit,
             startTime: downloadInfo.startTime,
           },
         })
         .catch(() => {});
     };
 
+    // 下载完成的数据保留在离屏文档中，这里只收到大小
     downloader.onComplete = async (data) => {
       downloadInfo.endTime = Date.now();
-      const fileSize = data.blob.size;
-
-      console.log(`内部下载完成: ${filename}, 大小: ${fileSize} 字节`);
+      const fileSize = data.size;
 
-      // 对于大文件（> 50MB），Data URL 方案性能太差
-      // 改为直接使用原始 URL 让 Chrome 下载
-      const SIZE_LIMIT = 50 * 1024 * 1024; // 50MB
+      console.log(
+        `内部下载完成: ${downloadInfo.filename}, 大小: ${fileSize} 字节`
+      );
 
-      if (fileSize > SIZE_LIMIT) {
-        console.log(
-          `文件过大 (${(fileSize / 1024 / 1024).toFixed(2)} MB)，使用原生下载`
+      downloadInfo.integrity = data.integrity;
+      downloadInfo.mirrorStats = data.mirrorStats;
+      this.recordHostReport(data.hostReport);
+      this.releaseHeaderRule(downloadInfo);
+      this.processQueue();
+      downloadInfo.filename = data.filename; // HLS 合并后文件名会变为 .ts / .mp4，DASH 为 .video.mp4；扩展名可能根据文件内容修正
+      downloadInfo.mimeType = data.mimeType;
+      if (data.integrity && data.integrity.status === 'mismatch') {
+        this.showNotification(
+          '文件校验失败',
+          `⚠️ ${downloadInfo.filename}\n${data.integrity.algorithm} 校验值不一致，文件可能已损坏`
         );
+      }
 
-        // 先添加到 largeFileUrls，防止被拦截
-        this.largeFileUrls.add(downloadInfo.url);
-
-        // 直接使用原始 URL 创建下载，不拦截
-        chrome.downloads.download(
-          {
-            url: downloadInfo.url,
-            filename: filename,
-            saveAs: false,
-          },
-          (downloadId) => {
-            if (chrome.runtime.lastError) {
-              console.error('创建原生下载失败:', chrome.runtime.lastError);
-              downloadInfo.error = chrome.runtime.lastError.message;
-              downloadInfo.state = 'interrupted';
-              this.saveDownloadInfo(downloadInfo);
-              this.showNotification('下载失败', `❌ ${filename}`);
-              // 失败时移除 URL
-              this.largeFileUrls.delete(downloadInfo.url);
-            } else {
-              console.log(`已创建原生下载任务，Chrome ID: ${downloadId}`);
-              this.internalDownloadIds.add(downloadId);
-              downloadInfo.finalDownloadId = downloadId;
-              downloadInfo.state = 'saving';
-              this.saveDownloadInfo(downloadInfo);
-              // 完成通知由 onDownloadChanged 处理
-            }
-          }
-        );
+      // 已设置保存目录时直接写入该目录，无法写入时使用下面的保存方式
+      if (
+        this.settings.saveToFolder &&
+        (await this.saveViaFolder(downloadInfo, data.attachments))
+      ) {
         return;
       }
 
-      // 小文件使用 Data URL 方案
-      console.log(`文件较小，使用 Data URL 保存`);
-
-      try {
-        const reader = new FileReader();
-
-        reader.onload = () => {
-          const dataUrl = reader.result;
-
-          // 标记这是扩展自己生成的下载,避免被拦截
-          this.internalBlobUrls.add(dataUrl);
+      // DASH 音频轨道单独保存
+      (data.attachments || []).forEach((file) => {
+        this.saveAttachment(downloadInfo, file);
+      });
 
-          chrome.downloads.download(
-            {
-              url: dataUrl,
-              filename: filename,
-              saveAs: false,
-            },
-            (downloadId) => {
-              // 用完即删,防止内存泄漏
-              this.internalBlobUrls.delete(dataUrl);
+      // 由离屏文档生成 Blob URL 保存已下载的数据，避免重复下载
+      this.saveViaOffscreen(downloadInfo, fileSize);
+    };
 
-              if (chrome.runtime.lastError) {
-                console.error('保存文件失败:', chrome.runtime.lastError);
-                downloadInfo.error = chrome.runtime.lastError.message;
-                downloadInfo.state = 'interrupted';
-                this.saveDownloadInfo(downloadInfo);
-                this.showNotification('保存失败', `❌ ${filename}`);
-              } else {
-                console.log(`文件保存任务已创建，Chrome ID: ${downloadId}`);
-                this.internalDownloadIds.add(downloadId);
-                downloadInfo.finalDownloadId = downloadId;
-                downloadInfo.state = 'saving';
-                this.saveDownloadInfo(downloadInfo);
-              }
-            }
-          );
-        };
+    // 服务器要求认证，下载已暂停，等待用户在弹出窗口中输入凭据
+    downloader.onAuthRequired = (data) => {
+      downloadInfo.state = 'paused';
+      downloadInfo.paused = true;
+      downloadInfo.authRequest = {
+        host: data.host,
+        scheme: data.scheme,
+        realm: data.realm,
+        challenge: data.challenge,
+        rejected: data.rejected,
+      };
+      this.saveDownloadInfo(downloadInfo);
+      this.processQueue();
+      this.showNotification(
+        data.rejected ? '登录失败' : '需要登录',
+        `🔑 ${downloadInfo.filename}
+${data.host} ${
+          data.rejected ? '拒绝了用户名或密码' : '要求输入用户名和密码'
+        }，请在弹出窗口中登录`
+      );
+      chrome.action.openPopup().catch((error) => {
+        console.log('无法自动打开弹出窗口:', error.message);
+      });
+    };
 
-        reader.onerror = () => {
-          console.error('Blob 转换失败:', reader.error);
-          downloadInfo.error = 'Blob 转换失败';
-          downloadInfo.state = 'interrupted';
-          this.saveDownloadInfo(downloadInfo);
-          this.showNotification('转换失败', `❌ ${filename}`);
-        };
+    // 分块停滞，下载引擎已中止并重新请求，只保留最近的记录
+    downloader.onStall = (data) => {
+      const stall = {
+        time: data.time,
+        chunk: data.chunk,
+        offset: data.offset,
+        idle: data.idle,
+      };
+      downloadInfo.stallEvents = [
+        ...(downloadInfo.stallEvents || []),
+        stall,
+      ].slice(-MAX_STALL_EVENTS);
+      this.saveDownloadInfo(downloadInfo);
+    };
 
-        reader.readAsDataURL(data.blob);
-      } catch (e) {
-        console.error('保存流程异常:', e);
-        downloadInfo.error = e.message;
-        downloadInfo.state = 'interrupted';
-        this.saveDownloadInfo(downloadInfo);
-        this.showNotification('保存异常', `❌ ${filename}`);
-      }
+    downloader.onRestart = (data) => {
+      console.warn(
+        `下载重新开始: ${downloadInfo.filename}, 原因: ${data.reason}`
+      );
+      downloadInfo.bytesReceived = 0;
+      downloadInfo.totalBytes = 0;
+      downloadInfo.restartCount = data.restartCount;
+      downloadInfo.restartReason = data.reason;
+      this.saveDownloadInfo(downloadInfo);
+      this.showNotification(
+        '重新开始下载',
+        `🔄 ${downloadInfo.filename}\n${data.reason}，已丢弃旧数据并重新开始`
+      );
     };
 
     downloader.onError = (data) => {
@@ -495,7 +1129,7 @@ class DownloadManager {
       const duration = errorTime - downloadInfo.startTime;
 
       console.error('========== 下载错误 (background.js) ==========');
-      console.error(`文件名: ${filename}`);
+      console.error(`文件名: ${downloadInfo.filename}`);
       console.error(`URL: ${url}`);
       console.error(`错误信息: ${data.error}`);
       console.error(`中断原因: ${data.interruptReason || '未知'}`);
@@ -509,17 +1143,307 @@ class DownloadManager {
       downloadInfo.state = 'interrupted';
       downloadInfo.error = data.error;
       downloadInfo.interruptReason = data.interruptReason;
+      downloadInfo.chunkStats = data.chunkStats;
+      downloadInfo.mirrorStats = data.mirrorStats;
       downloadInfo.endTime = errorTime;
+      this.recordHostReport(data.hostReport);
+      this.releaseHeaderRule(downloadInfo);
       this.saveDownloadInfo(downloadInfo);
-      this.showNotification('下载失败', `❌ ${filename}\n原因: ${data.error}`);
+      this.processQueue();
+      this.showNotification(
+        '下载失败',
+        `❌ ${downloadInfo.filename}\n原因: ${data.error}`
+      );
     };
+  }
 
-    // 存储并开始
-    this.downloads.set(downloadInfo.id, downloadInfo);
+  // 将下载引擎的主机统计合并到主机配置中
+  recordHostReport(report) {
+    this.hostProfiles.record(report).catch((error) => {
+      console.warn('保存主机配置失败:', error);
+    });
+  }
+
+  // 直接写入用户授权的保存目录（由离屏文档写入），成功返回 true
+  // 没有选择目录、权限已失效或写入失败时返回 false，由调用方改用 chrome.downloads 保存
+  async saveViaFolder(downloadInfo, attachments = []) {
+    let reason;
+    try {
+      downloadInfo.state = 'saving';
+      this.saveDownloadInfo(downloadInfo);
+
+      const files = [
+        { downloadId: downloadInfo.id, filename: downloadInfo.filename },
+        ...attachments.map((file) => ({
+          downloadId: `${downloadInfo.id}_${file.track}`,
+          filename: file.filename,
+        })),
+      ];
+      const response = await this.sendToEngine({
+        action: 'saveToFolder',
+        subfolder: this.settings.saveSubfolder,
+        files: files,
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '离屏文档无响应');
+      }
+
+      if (response.paths) {
+        const [savedPath, ...attachmentPaths] = response.paths;
+        console.log(`文件已写入保存目录: ${savedPath}`);
+        downloadInfo.savedPath = savedPath;
+        downloadInfo.attachments = attachments.map((file, i) => ({
+          track: file.track,
+          filename: file.filename,
+          savedPath: attachmentPaths[i],
+          state: 'complete',
+        }));
+        downloadInfo.saveMethod = 'folder';
+        downloadInfo.state = 'complete';
+        this.saveDownloadInfo(downloadInfo);
+        files.forEach((file) => {
+          this.releaseOffscreenBlob(file.downloadId);
+          this.discardPersistedData(file.downloadId);
+        });
+        this.showNotification(
+          '下载完成',
+          `✅ ${downloadInfo.filename}\n已保存到 ${savedPath}`
+        );
+        this.flashBadgeForCompletion();
+        return true;
+      }
+      reason = '尚未选择保存目录';
+      if (response.permission) {
+        reason = '保存目录的访问权限已失效，请在管理页面的设置中重新授权';
+      }
+    } catch (error) {
+      console.error('写入保存目录失败:', error);
+      reason = `写入保存目录失败: ${error.message}`;
+    }
+
+    console.warn(`无法写入保存目录，改用浏览器下载保存: ${reason}`);
+    this.showNotification(
+      '改用浏览器下载保存',
+      `⚠️ ${downloadInfo.filename}\n${reason}`
+    );
+    return false;
+  }
+
+  // 将文件交给 Chrome 保存到磁盘（url 为离屏文档生成的 Blob URL）
+  saveToDisk(downloadInfo, url, saveMethod) {
+    // 标记这是扩展自己生成的下载,避免被拦截
+    this.internalBlobUrls.add(url);
+
+    chrome.downloads.download(
+      {
+        url: url,
+        filename: downloadInfo.filename,
+        saveAs: false,
+      },
+      (downloadId) => {
+        // 用完即删,防止内存泄漏
+        this.internalBlobUrls.delete(url);
+
+        if (chrome.runtime.lastError) {
+          console.error('保存文件失败:', chrome.runtime.lastError);
+          downloadInfo.error = chrome.runtime.lastError.message;
+          downloadInfo.state = 'interrupted';
+          this.saveDownloadInfo(downloadInfo);
+          this.showNotification('保存失败', `❌ ${downloadInfo.filename}`);
+        } else {
+          console.log(`文件保存任务已创建，Chrome ID: ${downloadId}`);
+          this.internalDownloadIds.add(downloadId);
+          downloadInfo.finalDownloadId = downloadId;
+          downloadInfo.saveMethod = saveMethod;
+          downloadInfo.state = 'saving';
+          this.saveDownloadInfo(downloadInfo);
+          // 完成通知由 onDownloadChanged 处理
+        }
+      }
+    );
+  }
+
+  // 由离屏文档为下载完成的数据生成 Blob URL 并保存
+  async saveViaOffscreen(downloadInfo, size) {
+    let blobUrl;
+    try {
+      const response = await this.sendToEngine({
+        action: 'createBlobUrl',
+        downloadId: downloadInfo.id,
+        expectedSize: size,
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'offscreen 文档无响应');
+      }
+      blobUrl = response.url;
+    } catch (error) {
+      // 流媒体重新下载只能得到播放列表或清单，无法回退
+      if (downloadInfo.downloader && downloadInfo.downloader.streamType) {
+        console.error('生成 Blob URL 失败:', error);
+        downloadInfo.error = error.message;
+        downloadInfo.state = 'interrupted';
+        this.saveDownloadInfo(downloadInfo);
+        this.showNotification('保存失败', `❌ ${downloadInfo.filename}`);
+        return;
+      }
+      console.error('生成 Blob URL 失败，回退到原生重新下载:', error);
+      this.saveViaRefetch(downloadInfo, error.message);
+      return;
+    }
+
+    this.saveToDisk(downloadInfo, blobUrl, 'offscreen');
+  }
+
+  // 保存附加文件：由 offscreen 文档生成 Blob URL
+  // 使用 `${id}_${track}` 作为 ID，与主文件的数据分开
+  async saveAttachment(downloadInfo, file) {
+    const storeId = `${downloadInfo.id}_${file.track}`;
+    const attachment = {
+      track: file.track,
+      filename: file.filename,
+      finalDownloadId: null,
+      state: 'saving',
+    };
+    downloadInfo.attachments = (downloadInfo.attachments || []).filter(
+      (item) => item.track !== file.track
+    );
+    downloadInfo.attachments.push(attachment);
+
+    try {
+      const response = await this.sendToEngine({
+        action: 'createBlobUrl',
+        downloadId: storeId,
+        expectedSize: file.size,
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'offscreen 文档无响应');
+      }
+
+      this.internalBlobUrls.add(response.url);
+      attachment.finalDownloadId = await chrome.downloads.download({
+        url: response.url,
+        filename: file.filename,
+        saveAs: false,
+      });
+      this.internalBlobUrls.delete(response.url);
+      this.internalDownloadIds.add(attachment.finalDownloadId);
+    } catch (error) {
+      console.error(`保存附加文件失败: ${file.filename}`, error);
+      attachment.state = 'interrupted';
+      this.discardPersistedData(storeId);
+      this.showNotification(
+        '保存失败',
+        `❌ ${file.filename}
+原因: ${error.message}`
+      );
+    }
     this.saveDownloadInfo(downloadInfo);
+  }
+
+  // 后备方案：让 Chrome 重新下载原始 URL（会重复消耗流量，一次性链接可能失效）
+  saveViaRefetch(downloadInfo, reason) {
+    console.warn(
+      `使用原生下载重新获取文件: ${downloadInfo.url}, 原因: ${reason}`
+    );
+    this.showNotification(
+      '改用浏览器重新下载',
+      `⚠️ ${downloadInfo.filename}\n无法直接保存已下载的数据: ${reason}`
+    );
+
+    // 先添加到 largeFileUrls，防止被拦截
+    this.largeFileUrls.add(downloadInfo.url);
+
+    // 直接使用原始 URL 创建下载，不拦截
+    chrome.downloads.download(
+      {
+        url: downloadInfo.url,
+        filename: downloadInfo.filename,
+        saveAs: false,
+      },
+      (downloadId) => {
+        if (chrome.runtime.lastError) {
+          console.error('创建原生下载失败:', chrome.runtime.lastError);
+          downloadInfo.error = chrome.runtime.lastError.message;
+          downloadInfo.state = 'interrupted';
+          this.saveDownloadInfo(downloadInfo);
+          this.showNotification('下载失败', `❌ ${downloadInfo.filename}`);
+          // 失败时移除 URL
+          this.largeFileUrls.delete(downloadInfo.url);
+        } else {
+          console.log(`已创建原生下载任务，Chrome ID: ${downloadId}`);
+          this.internalDownloadIds.add(downloadId);
+          downloadInfo.finalDownloadId = downloadId;
+          downloadInfo.saveMethod = 'refetch';
+          downloadInfo.state = 'saving';
+          this.saveDownloadInfo(downloadInfo);
+          // 完成通知由 onDownloadChanged 处理
+        }
+      }
+    );
+  }
+
+  // offscreen 文档是否已存在
+  async hasOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+    });
+    return contexts.length > 0;
+  }
+
+  // 确保 offscreen 文档已创建（同一时间只创建一个）
+  async ensureOffscreenDocument() {
+    if (await this.hasOffscreenDocument()) return;
+
+    if (!this.offscreenCreating) {
+      this.offscreenCreating = chrome.offscreen
+        .createDocument({
+          url: 'offscreen.html',
+          reasons: ['BLOBS'],
+          justification:
+            '运行下载引擎，并为已下载的数据生成 Blob URL 以保存文件',
+        })
+        .finally(() => {
+          this.offscreenCreating = null;
+        });
+    }
+    await this.offscreenCreating;
+  }
+
+  // 通知 offscreen 文档释放 Blob URL 和下载完成的数据
+  releaseOffscreenBlob(downloadId) {
+    chrome.runtime
+      .sendMessage({
+        target: 'offscreen',
+        action: 'releaseBlobUrl',
+        downloadId: downloadId,
+      })
+      .catch(() => {});
+  }
+
+  // 从持久化存储重建 Downloader（在离屏文档中）
+  async restoreDownloader(downloadInfo) {
+    const meta = await this.chunkStore.getMeta(downloadInfo.id);
+    if (!meta) {
+      throw new Error('下载任务无法恢复: 没有找到已保存的分块数据');
+    }
+
+    // 浏览器重启后会话规则已被清除，重新添加请求头规则
+    await this.applyHeaderRule(downloadInfo);
 
-    downloader.start();
-    this.showDownloadAnimation(filename);
+    // 由离屏文档重建 Downloader（同时检查临时文件是否完整），成功后再关联到下载记录
+    const downloader = new RemoteDownloader(downloadInfo.id, (message) =>
+      this.sendToEngine(message)
+    );
+    const status = await downloader.restore(meta, {
+      ...this.getDownloaderOptions(downloadInfo),
+      credentials: await this.getSavedCredentials(downloadInfo.url),
+    });
+
+    downloadInfo.downloader = downloader;
+    downloadInfo.bytesReceived = status.bytesReceived;
+    downloadInfo.totalBytes = status.totalBytes;
+    this.bindDownloader(downloadInfo);
+    return downloader;
   }
 
   // 下载创建事件
@@ -615,8 +1539,10 @@ class DownloadManager {
       }
     });
 
-    // 启动内部下载
-    this.startInternalDownload(downloadItem.url, filename);
+    // 启动内部下载，重放原始请求的请求头
+    this.startInternalDownload(downloadItem.url, filename, {
+      headers: this.getCapturedHeaders(downloadItem),
+    });
   }
 
   // 下载状态变化事件
@@ -626,6 +1552,20 @@ class DownloadManager {
 
     // 查找关联的内部下载
     for (const [id, info] of this.downloads.entries()) {
+      const attachment = (info.attachments || []).find(
+        (item) => item.finalDownloadId === downloadDelta.id
+      );
+      if (attachment && downloadDelta.state) {
+        const state = downloadDelta.state.current;
+        if (state === 'complete' || state === 'interrupted') {
+          const storeId = `${id}_${attachment.track}`;
+          attachment.state = state;
+          this.releaseOffscreenBlob(storeId);
+          this.discardPersistedData(storeId);
+          this.saveDownloadInfo(info);
+        }
+      }
+
       if (info.finalDownloadId === downloadDelta.id) {
         // 检查最终保存任务的状态变化
         if (downloadDelta.state) {
@@ -634,6 +1574,10 @@ class DownloadManager {
             console.log(`文件保存完成: ${info.filename}`);
             info.state = 'complete';
             this.saveDownloadInfo(info);
+            this.discardPersistedData(info.id);
+            if (info.saveMethod === 'offscreen') {
+              this.releaseOffscreenBlob(info.id);
+            }
             this.showNotification('下载完成', `✅ ${info.filename}`);
             this.flashBadgeForCompletion();
           } else if (downloadDelta.state.current === 'interrupted') {
@@ -641,6 +1585,9 @@ class DownloadManager {
             info.state = 'interrupted';
             info.error = '文件保存被中断';
             this.saveDownloadInfo(info);
+            if (info.saveMethod === 'offscreen') {
+              this.releaseOffscreenBlob(info.id);
+            }
             this.showNotification('保存中断', `❌ ${info.filename}`);
           }
         }
@@ -687,22 +1634,7 @@ class DownloadManager {
       // 如果文件名为空，尝试使用 MIME 类型推断（作为后备）
       if (!filename) {
         const timestamp = Date.now();
-        const mimeToExt = {
-          'application/json': 'json',
-          'application/x-yaml': 'yaml',
-          'text/yaml': 'yaml',
-          'application/yaml': 'yaml',
-          'text/csv': 'csv',
-          'text/plain': 'txt',
-          'application/xml': 'xml',
-          'text/xml': 'xml',
-          'application/pdf': 'pdf',
-          'image/png': 'png',
-          'image/jpeg': 'jpg',
-          'image/gif': 'gif',
-          'image/svg+xml': 'svg',
-        };
-        const ext = mimeToExt[downloadItem.mime] || 'bin';
+        const ext = FileType.fromContentType(downloadItem.mime) || 'bin';
         filename = `download_${timestamp}.${ext}`;
         console.log(`仍无文件名，使用 MIME 推断: ${filename}`);
       } else {
@@ -775,7 +1707,7 @@ class DownloadManager {
         filename = `${hostname}_${Date.now()}`;
       }
 
-      // 确保有扩展名，如果没有则添加默认扩展名
+      // 确保有扩展名，如果没有则添加默认扩展名（下载完成后根据文件内容修正）
       if (!filename.includes('.')) {
         filename += '.download';
       }
@@ -817,11 +1749,9 @@ class DownloadManager {
 
   // 获取所有下载信息（按时间倒序，最新的在最上面）
   getAllDownloads() {
-    const downloads = Array.from(this.downloads.values()).map((d) => {
-      // 移除 downloader 实例和大数据对象，只返回必要数据
-      const { downloader, blob, dataUrl, ...rest } = d;
-      return rest;
-    });
+    const downloads = Array.from(this.downloads.values()).map((d) =>
+      this.serializeDownloadInfo(d)
+    );
 
     // 按开始时间倒序排列，最新的在最上面
     downloads.sort((a, b) => {
@@ -843,6 +1773,7 @@ class DownloadManager {
         downloadInfo.paused = true;
         downloadInfo.state = 'paused';
         this.saveDownloadInfo(downloadInfo);
+        this.processQueue();
         resolve();
       } else {
         reject(new Error('下载任务不存在或已完成'));
@@ -851,18 +1782,68 @@ class DownloadManager {
   }
 
   // 继续下载
+  // 同时进行的下载数已达上限时进入队列（保留已下载的数据），由 processQueue 在有空位时继续
   resumeDownload(downloadId) {
+    const downloadInfo = this.downloads.get(downloadId);
+    if (
+      downloadInfo &&
+      downloadInfo.state === 'paused' &&
+      !this.canStartNow(downloadInfo)
+    ) {
+      console.log(
+        `同时进行的下载数已达上限，进入队列: ${downloadInfo.filename}`
+      );
+      downloadInfo.state = 'queued';
+      downloadInfo.queuedResume = true;
+      downloadInfo.queueOrder = this.nextQueueOrder();
+      downloadInfo.authRequest = null;
+      downloadInfo.scheduledPause = false; // 手动继续后直到下一次时段结束才会再次暂停
+      this.saveDownloadInfo(downloadInfo);
+      return Promise.resolve();
+    }
+    if (!downloadInfo) {
+      return Promise.reject(new Error('下载任务无法恢复'));
+    }
+    return this.continueDownload(downloadInfo);
+  }
+
+  // 立即继续暂停或排队中（已有下载数据）的下载，不检查同时进行的下载数
+  continueDownload(downloadInfo) {
     return new Promise((resolve, reject) => {
-      const downloadInfo = this.downloads.get(downloadId);
-      if (downloadInfo && downloadInfo.downloader) {
+      if (downloadInfo.downloader) {
         downloadInfo.downloader.resume();
         downloadInfo.paused = false;
         downloadInfo.state = 'in_progress';
+        downloadInfo.queuedResume = false;
+        downloadInfo.authRequest = null; // 仍需要认证时会重新请求凭据
+        downloadInfo.scheduledPause = false; // 手动继续后直到下一次时段结束才会再次暂停
         this.saveDownloadInfo(downloadInfo);
         resolve();
+      } else if (
+        downloadInfo.state === 'paused' ||
+        (downloadInfo.state === 'queued' && downloadInfo.queuedResume)
+      ) {
+        // 持久化恢复（重启浏览器或 Service Worker 被回收后），重新创建 Downloader
+        // 重建期间已计入进行中的下载，避免同时恢复的其他下载超过上限
+        const previousState = downloadInfo.state;
+        downloadInfo.state = 'in_progress';
+        this.restoreDownloader(downloadInfo)
+          .then((downloader) => {
+            downloader.resume();
+            downloadInfo.paused = false;
+            downloadInfo.state = 'in_progress';
+            downloadInfo.queuedResume = false;
+            downloadInfo.error = null;
+            downloadInfo.authRequest = null;
+            downloadInfo.scheduledPause = false;
+            this.saveDownloadInfo(downloadInfo);
+            resolve();
+          })
+          .catch((error) => {
+            downloadInfo.state = previousState;
+            reject(error);
+          });
       } else {
-        // 如果是持久化恢复（重启浏览器后），需要重新创建 Downloader
-        // 这里暂未实现完全的持久化恢复
         reject(new Error('下载任务无法恢复'));
       }
     });
@@ -875,7 +1856,21 @@ class DownloadManager {
       if (downloadInfo && downloadInfo.downloader) {
         downloadInfo.downloader.cancel();
         downloadInfo.state = 'interrupted';
+        this.releaseHeaderRule(downloadInfo);
         this.saveDownloadInfo(downloadInfo);
+        this.discardPersistedData(downloadId);
+        this.processQueue();
+        resolve();
+      } else if (
+        downloadInfo &&
+        (downloadInfo.state === 'paused' || downloadInfo.state === 'queued')
+      ) {
+        // 已从存储加载但尚未重建 Downloader 的暂停任务，或还在排队的任务
+        downloadInfo.state = 'interrupted';
+        downloadInfo.paused = false;
+        this.releaseHeaderRule(downloadInfo);
+        this.saveDownloadInfo(downloadInfo);
+        this.discardPersistedData(downloadId);
         resolve();
       } else {
         reject(new Error('下载任务不存在'));
@@ -893,10 +1888,22 @@ class DownloadManager {
     });
   }
 
+  // 可以保存到存储和返回给界面的下载信息
+  // 移除 downloader 实例和大数据对象；含有凭据的请求头只保留在内存和会话存储中
+  serializeDownloadInfo(downloadInfo) {
+    const { downloader, blob, dataUrl, ...serializableInfo } = downloadInfo;
+    if (serializableInfo.headers) {
+      serializableInfo.headers = RequestHeaders.withoutSensitive(
+        serializableInfo.headers
+      );
+    }
+    return serializableInfo;
+  }
+
   // 保存下载信息到存储
   saveDownloadInfo(downloadInfo) {
-    // 移除不能序列化的对象
-    const { downloader, blob, dataUrl, ...serializableInfo } = downloadInfo;
+    const serializableInfo = this.serializeDownloadInfo(downloadInfo);
+    this.saveSensitiveHeaders(downloadInfo);
 
     const key = `download_${downloadInfo.id}`;
     chrome.storage.local.set({ [key]: serializableInfo }, () => {
@@ -913,11 +1920,168 @@ class DownloadManager {
     });
   }
 
+  // 未完成下载中含有凭据的请求头保存到会话存储（浏览器关闭后清除），Service Worker 重启后合并回下载记录
+  saveSensitiveHeaders(downloadInfo) {
+    const headers = RequestHeaders.sensitiveOf(downloadInfo.headers);
+    if (
+      Object.keys(headers).length === 0 ||
+      downloadInfo.state === 'complete' ||
+      downloadInfo.state === 'interrupted'
+    ) {
+      return;
+    }
+    chrome.storage.session
+      .set({ [`headers_${downloadInfo.id}`]: headers })
+      .catch((error) => {
+        console.warn(`保存请求头失败 (ID: ${downloadInfo.id}):`, error);
+      });
+  }
+
+  // 把会话存储中含有凭据的请求头合并回下载记录
+  async restoreSensitiveHeaders() {
+    try {
+      const items = await chrome.storage.session.get(null);
+      for (const [key, headers] of Object.entries(items)) {
+        const downloadInfo =
+          key.startsWith('headers_') && this.downloads.get(key.slice(8));
+        if (downloadInfo) {
+          downloadInfo.headers = { ...downloadInfo.headers, ...headers };
+        }
+      }
+    } catch (error) {
+      console.warn('读取会话存储中的请求头失败:', error);
+    }
+  }
+
   // 从存储中删除下载信息
   removeDownloadInfo(downloadId) {
     chrome.storage.local.remove([`download_${downloadId}`]);
   }
 
+  // 删除分块进度和临时文件（下载已保存、取消或删除后不再需要）
+  discardPersistedData(downloadId) {
+    chrome.storage.session.remove(`headers_${downloadId}`).catch((error) => {
+      console.warn(`删除请求头失败 (ID: ${downloadId}):`, error);
+    });
+    this.chunkStore.delete(downloadId).catch((error) => {
+      console.warn(`清理分块进度失败 (ID: ${downloadId}):`, error);
+    });
+    TempFile.remove(downloadId).catch((error) => {
+      console.warn(`删除临时文件失败 (ID: ${downloadId}):`, error);
+    });
+  }
+
+  // 恢复有持久化分块数据的未完成下载
+  // 中断前正在下载的任务自动继续，用户暂停的任务保持暂停
+  async restorePersistedDownloads() {
+    let metas = [];
+    try {
+      metas = await this.chunkStore.getAllMeta();
+    } catch (error) {
+      console.error('读取持久化分块数据失败:', error);
+    }
+    const persistedIds = new Set(metas.map((meta) => meta.id));
+
+    // Service Worker 被回收后重新启动时，离屏文档中的下载仍在进行，重新关联即可
+    let engineDownloads = [];
+    try {
+      engineDownloads = await this.getEngineDownloads();
+    } catch (error) {
+      console.error('读取下载引擎状态失败:', error);
+    }
+    for (const { id, status } of engineDownloads) {
+      const downloadInfo = this.downloads.get(id);
+      if (downloadInfo) {
+        console.log(`重新关联运行中的下载: ${downloadInfo.filename}`);
+        this.attachDownloader(downloadInfo, status);
+        downloadInfo.state = status.state;
+        downloadInfo.paused = status.state === 'paused';
+      }
+    }
+
+    for (const downloadInfo of this.downloads.values()) {
+      if (
+        downloadInfo.downloader ||
+        (downloadInfo.state !== 'in_progress' &&
+          downloadInfo.state !== 'paused' &&
+          downloadInfo.state !== 'saving')
+      ) {
+        continue;
+      }
+
+      if (!persistedIds.has(downloadInfo.id)) {
+        // 没有持久化数据（如不支持 Range 的单线程下载），无法续传
+        downloadInfo.state = 'interrupted';
+        downloadInfo.error = '会话已过期';
+        this.saveDownloadInfo(downloadInfo);
+        continue;
+      }
+
+      // 保存阶段被中断：如果 Chrome 已经完成保存，则无需重新下载
+      if (downloadInfo.state === 'saving' && downloadInfo.finalDownloadId) {
+        const [item] = await chrome.downloads.search({
+          id: downloadInfo.finalDownloadId,
+        });
+        if (item && item.state !== 'interrupted') {
+          if (item.state === 'complete') {
+            downloadInfo.state = 'complete';
+            this.saveDownloadInfo(downloadInfo);
+            this.discardPersistedData(downloadInfo.id);
+          }
+          continue;
+        }
+      }
+
+      const wasRunning = downloadInfo.state !== 'paused';
+      downloadInfo.state = 'paused';
+      downloadInfo.paused = true;
+      if (wasRunning && !DownloadSchedule.isAllowed(downloadInfo.schedule)) {
+        // 下载时段已经结束，等下一个时段开始时再继续
+        downloadInfo.scheduledPause = true;
+      }
+      this.saveDownloadInfo(downloadInfo);
+
+      if (wasRunning && !downloadInfo.scheduledPause) {
+        console.log(`自动恢复中断的下载: ${downloadInfo.filename}`);
+        this.resumeDownload(downloadInfo.id).catch((error) => {
+          console.error(`自动恢复下载失败: ${downloadInfo.filename}`, error);
+          downloadInfo.state = 'interrupted';
+          downloadInfo.error = error.message;
+          this.saveDownloadInfo(downloadInfo);
+        });
+      }
+    }
+
+    // 清理没有对应下载记录的残留数据
+    for (const id of persistedIds) {
+      if (!this.downloads.has(id)) {
+        this.discardPersistedData(id);
+      }
+    }
+
+    // 清理无法续传的临时文件（附加文件以 `${id}_${track}` 命名）
+    let names = [];
+    try {
+      names = await TempFile.list();
+    } catch (error) {
+      console.error('读取临时文件列表失败:', error);
+    }
+    for (const name of names) {
+      const id = name.split('_')[0];
+      const downloadInfo = this.downloads.get(id);
+      if (
+        downloadInfo &&
+        (downloadInfo.downloader || persistedIds.has(id)) &&
+        downloadInfo.state !== 'interrupted'
+      ) {
+        continue;
+      }
+      TempFile.remove(name).catch((error) => {
+        console.warn(`删除临时文件失败: ${name}`, error);
+      });
+    }
+  }
+
   // 加载已存在的下载
   loadExistingDownloads() {
     console.log('开始加载已存在的下载...');
@@ -951,16 +2115,7 @@ class DownloadManager {
               continue;
             }
 
-            // 恢复时，所有未完成的任务标记为中断（因为没有实现持久化断点续传）
-            if (
-              value.state === 'in_progress' ||
-              value.state === 'paused' ||
-              value.state === 'saving'
-            ) {
-              value.state = 'interrupted';
-              value.error = '会话已过期';
-            }
-
+            // 未完成的任务由 restorePersistedDownloads 决定恢复或标记为中断
             this.downloads.set(value.id, value);
             count++;
           }
@@ -978,7 +2133,7 @@ class DownloadManager {
         }
 
         console.log(`已加载 ${count} 个下载记录`);
-        resolve();
+        this.restoreSensitiveHeaders().then(resolve);
       });
     });
   }
@@ -1029,6 +2184,12 @@ downloadManager = new DownloadManager();
 
 // 处理来自popup的消息
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // 离屏文档中的下载引擎发来的事件
+  if (request.target === 'background') {
+    downloadManager.handleEngineEvent(request);
+    return false;
+  }
+
   console.log('收到消息:', request.action);
 
   // 异步处理消息
@@ -1128,6 +2289,148 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             );
           break;
 
+        case 'startDownload': {
+          while (!downloadManager.isReady) {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+          }
+          const options = request.options || {};
+          const expectedHash = options.expectedHash
+            ? Hasher.parseExpectedHash(options.expectedHash)
+            : null;
+          if (options.expectedHash && !expectedHash) {
+            sendResponse({
+              success: false,
+              error: '校验值格式无效，支持 MD5 / SHA-1 / SHA-256',
+            });
+            break;
+          }
+          let headers;
+          let schedule;
+          try {
+            headers = RequestHeaders.parse(options.headers);
+            schedule = DownloadSchedule.create(options.schedule);
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+            break;
+          }
+          const downloadId = downloadManager.startInternalDownload(
+            request.url,
+            request.filename || downloadManager.extractFilename(request.url),
+            {
+              connections: options.threads,
+              expectedHash,
+              mirrors: (options.mirrors || []).filter((url) =>
+                /^https?:\/\//i.test(url)
+              ),
+              hlsVariant: options.hlsVariant,
+              dashVideo: options.dashVideo,
+              dashAudio: options.dashAudio,
+              customFilename: !!request.filename,
+              headers,
+              priority: options.priority,
+              schedule,
+            }
+          );
+          sendResponse({ success: true, downloadId });
+          break;
+        }
+
+        case 'probeHls':
+          downloadManager
+            .probeHls(request.url)
+            .then((variants) => sendResponse({ success: true, variants }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
+        case 'probeDash':
+          downloadManager
+            .probeDash(request.url)
+            .then((tracks) => sendResponse({ success: true, ...tracks }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
+        case 'getSettings':
+          while (!downloadManager.isReady) {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+          }
+          sendResponse({ success: true, settings: downloadManager.settings });
+          break;
+
+        case 'updateSettings': {
+          const settings = await downloadManager.updateSettings(
+            request.settings
+          );
+          sendResponse({ success: true, settings });
+          break;
+        }
+
+        case 'submitCredentials':
+          downloadManager
+            .submitCredentials(request.downloadId, request.credentials || {})
+            .then(() => sendResponse({ success: true }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
+        case 'getCredentialStatus':
+          downloadManager.credentialStore
+            .getStatus()
+            .then((status) => sendResponse({ success: true, status }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
+        case 'getHostProfiles':
+          downloadManager.hostProfiles
+            .getAll()
+            .then((profiles) => sendResponse({ success: true, profiles }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
+        case 'resetHostProfile':
+          downloadManager.hostProfiles
+            .reset(request.host)
+            .then(() => sendResponse({ success: true }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
+        case 'setSpeedLimit':
+          downloadManager
+            .setSpeedLimit(request.downloadId, request.speedLimit)
+            .then(() => sendResponse({ success: true }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
+        case 'setDownloadPriority':
+          downloadManager
+            .setDownloadPriority(request.downloadId, request.priority)
+            .then(() => sendResponse({ success: true }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
+        case 'moveInQueue':
+          downloadManager
+            .moveInQueue(request.downloadId, request.direction)
+            .then(() => sendResponse({ success: true }))
+            .catch((error) =>
+              sendResponse({ success: false, error: error.message })
+            );
+          break;
+
         case 'syncFileStatus':
           // 我们的实现不需要手动同步，直接返回成功
           sendResponse({ success: true });
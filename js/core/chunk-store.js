@@ -0,0 +1,89 @@
+/**
+ * 分块进度持久化存储
+ * 使用 IndexedDB 保存文件信息和分块进度（数据本身写入 OPFS 临时文件，见 TempFile），
+ * 使下载任务在浏览器重启或 Service Worker 被回收后仍可断点续传
+ */
+class ChunkStore {
+  constructor(dbName = 'chrome-download-manager') {
+    this.dbName = dbName;
+    this.dbVersion = 1;
+    this.dbPromise = null;
+  }
+
+  // 打开数据库（只打开一次，后续复用同一个连接）
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // meta: 每个下载任务一条记录，保存文件信息和分块范围
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null; // 允许下次重试
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // 在事务中执行操作，事务完成后 resolve 操作结果
+  async run(storeNames, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB 事务已中止'));
+
+      const request = operation(tx);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+    });
+  }
+
+  // 保存下载元数据（文件信息 + 分块范围，不含数据）
+  saveMeta(meta) {
+    return this.run(['meta'], 'readwrite', (tx) =>
+      tx.objectStore('meta').put({ ...meta, updatedAt: Date.now() })
+    );
+  }
+
+  // 读取下载元数据，不存在时返回 undefined
+  getMeta(downloadId) {
+    return this.run(['meta'], 'readonly', (tx) =>
+      tx.objectStore('meta').get(downloadId)
+    );
+  }
+
+  // 读取所有下载元数据
+  getAllMeta() {
+    return this.run(['meta'], 'readonly', (tx) =>
+      tx.objectStore('meta').getAll()
+    );
+  }
+
+  // 删除某个下载的全部持久化数据
+  delete(downloadId) {
+    return this.run(['meta'], 'readwrite', (tx) =>
+      tx.objectStore('meta').delete(downloadId)
+    );
+  }
+}
+
+// 导出给后台脚本和离屏文档使用
+if (typeof self !== 'undefined') {
+  self.ChunkStore = ChunkStore;
+}
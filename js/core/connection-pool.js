@@ -0,0 +1,84 @@
+/**
+ * 连接池
+ * 记录所有下载正在使用的连接数，限制总连接数和同一主机的连接数
+ * 同时记录服务器限流（429 / 503 的 Retry-After）要求的退避时间，退避期间所有下载都不向该主机发出请求
+ * 多个 Downloader 共享同一个实例，0 表示不限制
+ */
+class ConnectionPool {
+  constructor(maxTotal = 0, maxPerHost = 0) {
+    this.maxTotal = 0;
+    this.maxPerHost = 0;
+    this.total = 0; // 正在使用的连接数
+    this.hosts = new Map(); // 主机 -> 正在使用的连接数
+    this.backoffs = new Map(); // 主机 -> 退避结束时间
+    this.setLimits(maxTotal, maxPerHost);
+  }
+
+  // 调整上限（运行中可随时调整，超出上限的下载会逐步减少连接）
+  setLimits(maxTotal, maxPerHost) {
+    this.maxTotal = Math.max(0, Number(maxTotal) || 0);
+    this.maxPerHost = Math.max(0, Number(maxPerHost) || 0);
+  }
+
+  // 还能为该主机开启的连接数
+  available(host) {
+    const total = this.maxTotal > 0 ? this.maxTotal - this.total : Infinity;
+    const perHost =
+      this.maxPerHost > 0
+        ? this.maxPerHost - (this.hosts.get(host) || 0)
+        : Infinity;
+    return Math.min(total, perHost);
+  }
+
+  // 占用一个连接，超出上限时返回 false
+  // force 为 true 时不检查上限（每个下载至少要有一个连接）
+  acquire(host, force = false) {
+    if (!force && this.available(host) <= 0) return false;
+    this.total++;
+    this.hosts.set(host, (this.hosts.get(host) || 0) + 1);
+    return true;
+  }
+
+  // 释放连接
+  release(host) {
+    this.total = Math.max(0, this.total - 1);
+    const count = (this.hosts.get(host) || 0) - 1;
+    if (count > 0) {
+      this.hosts.set(host, count);
+    } else {
+      this.hosts.delete(host);
+    }
+  }
+
+  // 设置主机的退避结束时间（已有更晚的退避时保持不变）
+  backoff(host, until) {
+    if (until > (this.backoffs.get(host) || 0)) {
+      this.backoffs.set(host, until);
+    }
+  }
+
+  // 主机的退避结束时间，没有退避或已结束时返回 0
+  getBackoff(host) {
+    const until = this.backoffs.get(host) || 0;
+    if (until <= Date.now()) {
+      this.backoffs.delete(host);
+      return 0;
+    }
+    return until;
+  }
+
+  // 地址对应的主机名（含端口），无效地址返回空字符串
+  static hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      console.warn('无法解析地址的主机名:', error.message);
+      return '';
+    }
+  }
+}
+
+// 导出给离屏文档和后台脚本使用
+if (typeof self !== 'undefined') {
+  self.ConnectionPool = ConnectionPool;
+}
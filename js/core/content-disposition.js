@@ -0,0 +1,141 @@
+/**
+ * Content-Disposition 响应头解析（RFC 6266 / RFC 5987）
+ * 从响应头中取得服务器建议的文件名，filename* 的编码文件名优先于 filename
+ */
+class ContentDisposition {
+  // 解析响应头，返回 {type, params}，params 的键为小写参数名
+  // 例：attachment; filename="a.txt"; filename*=UTF-8''%E4%B8%AD.txt
+  static parse(header) {
+    const params = {};
+    let type = null;
+    const text = String(header || '');
+    let i = 0;
+
+    // 读取到分隔符为止的 token（去掉首尾空白）
+    const readToken = (stops) => {
+      const start = i;
+      while (i < text.length && !stops.includes(text[i])) i++;
+      return text.slice(start, i).trim();
+    };
+
+    // 读取引号字符串，处理反斜杠转义
+    const readQuoted = () => {
+      let value = '';
+      i++; // 跳过开头的引号
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      i++; // 跳过结尾的引号
+      readToken(';'); // 忽略引号后多余的字符
+      return value;
+    };
+
+    type = readToken(';').toLowerCase() || null;
+    while (i < text.length) {
+      i++; // 跳过分号
+      const name = readToken('=;').toLowerCase();
+      if (text[i] !== '=') continue;
+      i++;
+      while (text[i] === ' ' || text[i] === '\t') i++;
+      const value = text[i] === '"' ? readQuoted() : readToken(';');
+      // 同名参数只取第一个
+      if (name && !(name in params)) {
+        params[name] = value;
+      }
+    }
+
+    return { type, params };
+  }
+
+  // 从响应头中取得文件名，没有可用文件名时返回 null
+  static getFilename(header) {
+    if (!header) return null;
+    const { params } = ContentDisposition.parse(header);
+
+    let filename = null;
+    if (params['filename*']) {
+      filename = ContentDisposition.decodeExtValue(params['filename*']);
+    }
+    if (!filename && params.filename) {
+      filename = ContentDisposition.decodeLegacy(params.filename);
+    }
+    return ContentDisposition.sanitize(filename);
+  }
+
+  // 解码 RFC 5987 扩展值：charset'language'percent-encoded
+  static decodeExtValue(value) {
+    const match = /^([\w!#$%&+^`{}~-]*)'[^']*'(.*)$/.exec(value.trim());
+    if (!match) return null;
+
+    const charset = match[1].toLowerCase() || 'utf-8';
+    const bytes = [];
+    const encoded = match[2];
+    for (let i = 0; i < encoded.length; i++) {
+      if (encoded[i] === '%') {
+        // 百分号后不是两位十六进制数时整个值无效，改用 filename
+        if (!/^[0-9a-f]{2}$/i.test(encoded.substr(i + 1, 2))) return null;
+        bytes.push(parseInt(encoded.substr(i + 1, 2), 16));
+        i += 2;
+      } else {
+        bytes.push(encoded.charCodeAt(i) & 0xff);
+      }
+    }
+
+    return ContentDisposition.decode(new Uint8Array(bytes), charset);
+  }
+
+  // 解码普通 filename 参数
+  // 响应头按字节读取，服务器直接发送 UTF-8 文件名时每个字节变成一个字符，需要重新解码；
+  // 部分服务器会把文件名做 URL 编码，也一并解码
+  static decodeLegacy(value) {
+    let filename = value;
+
+    const codes = Array.from(filename, (char) => char.charCodeAt(0));
+    if (
+      codes.some((code) => code >= 0x80) &&
+      codes.every((code) => code <= 0xff)
+    ) {
+      // 不是 UTF-8 时按 ISO-8859-1 使用
+      filename =
+        ContentDisposition.decode(Uint8Array.from(codes), 'utf-8') || filename;
+    }
+
+    if (/%[0-9a-f]{2}/i.test(filename)) {
+      try {
+        filename = decodeURIComponent(filename);
+      } catch (decodeError) {
+        console.warn('文件名 URL 解码失败，使用原始文件名:', decodeError);
+      }
+    }
+
+    return filename;
+  }
+
+  // 按指定字符集解码，不支持的字符集或编码错误时返回 null
+  static decode(bytes, charset) {
+    try {
+      return new TextDecoder(charset, { fatal: true }).decode(bytes);
+    } catch (error) {
+      console.warn(`文件名解码失败 (${charset}):`, error.message);
+      return null;
+    }
+  }
+
+  // 去掉路径部分和控制字符，替换文件名中不允许的字符
+  static sanitize(filename) {
+    if (!filename) return null;
+    const name = Array.from(filename.split(/[\\/]/).pop())
+      .filter((char) => char >= ' ' && char !== '\u007f')
+      .join('')
+      .replace(/[<>:"|?*]/g, '_')
+      .trim()
+      .replace(/^\.+/, '');
+    return name || null;
+  }
+}
+
+// 导出给 Downloader 使用
+if (typeof self !== 'undefined') {
+  self.ContentDisposition = ContentDisposition;
+}
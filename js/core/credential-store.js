@@ -0,0 +1,189 @@
+/**
+ * 凭据库
+ * 按主机保存 HTTP 认证的用户名和密码，用用户口令派生的密钥（PBKDF2 + AES-GCM）加密后
+ * 保存在 chrome.storage.local 的 credentials 键中。解锁后的密钥保存在 chrome.storage.session 中，
+ * Service Worker 重启后仍然有效，浏览器关闭后需要重新输入口令
+ */
+class CredentialStore {
+  constructor(storageKey = 'credentials') {
+    this.storageKey = storageKey;
+    this.key = null; // 解锁后的 AES-GCM 密钥
+  }
+
+  // 保存的数据 {salt, check, hosts: {主机: {iv, data}}}，还没有设置口令时为 null
+  async read() {
+    const items = await chrome.storage.local.get(this.storageKey);
+    return items[this.storageKey] || null;
+  }
+
+  write(store) {
+    return chrome.storage.local.set({ [this.storageKey]: store });
+  }
+
+  // 解锁后的密钥，未解锁时返回 null
+  async getKey() {
+    if (!this.key) {
+      const items = await chrome.storage.session.get(this.storageKey);
+      if (items[this.storageKey]) {
+        this.key = await crypto.subtle.importKey(
+          'raw',
+          CredentialStore.fromBase64(items[this.storageKey]),
+          'AES-GCM',
+          true,
+          ['encrypt', 'decrypt']
+        );
+      }
+    }
+    return this.key;
+  }
+
+  async setKey(key) {
+    this.key = key;
+    const raw = await crypto.subtle.exportKey('raw', key);
+    await chrome.storage.session.set({
+      [this.storageKey]: CredentialStore.toBase64(raw),
+    });
+  }
+
+  // 用口令解锁，还没有凭据库时以该口令创建；口令错误时抛出异常
+  async unlock(passphrase) {
+    if (!passphrase) throw new Error('请输入口令');
+
+    const store = await this.read();
+    if (!store) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const key = await CredentialStore.deriveKey(passphrase, salt);
+      await this.write({
+        salt: CredentialStore.toBase64(salt),
+        check: await CredentialStore.encrypt(key, CredentialStore.CHECK_TEXT),
+        hosts: {},
+      });
+      await this.setKey(key);
+      return;
+    }
+
+    const key = await CredentialStore.deriveKey(
+      passphrase,
+      CredentialStore.fromBase64(store.salt)
+    );
+    try {
+      await CredentialStore.decrypt(key, store.check);
+    } catch (error) {
+      console.warn('凭据库解锁失败:', error.name);
+      throw new Error('口令错误');
+    }
+    await this.setKey(key);
+  }
+
+  // 忘记已解锁的密钥
+  async lock() {
+    this.key = null;
+    await chrome.storage.session.remove(this.storageKey);
+  }
+
+  // 状态 {created: 是否已设置口令, unlocked: 是否已解锁, hosts: 已保存凭据的主机}
+  async getStatus() {
+    const store = await this.read();
+    return {
+      created: !!store,
+      unlocked: !!store && !!(await this.getKey()),
+      hosts: store ? Object.keys(store.hosts) : [],
+    };
+  }
+
+  // 保存主机的凭据 {username, password}（需要先解锁）
+  async save(host, credentials) {
+    const key = await this.getKey();
+    const store = await this.read();
+    if (!key || !store) throw new Error('凭据库未解锁，请输入口令');
+
+    store.hosts[host] = await CredentialStore.encrypt(
+      key,
+      JSON.stringify({
+        username: credentials.username,
+        password: credentials.password,
+      })
+    );
+    await this.write(store);
+  }
+
+  // 读取主机的凭据，没有保存或凭据库未解锁时返回 null
+  async get(host) {
+    const store = await this.read();
+    if (!store || !store.hosts[host]) return null;
+    const key = await this.getKey();
+    if (!key) return null;
+    return JSON.parse(await CredentialStore.decrypt(key, store.hosts[host]));
+  }
+
+  // 删除主机的凭据
+  async remove(host) {
+    const store = await this.read();
+    if (!store || !store.hosts[host]) return;
+    delete store.hosts[host];
+    await this.write(store);
+  }
+
+  // 从口令派生 AES-GCM 密钥
+  static async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt,
+        iterations: CredentialStore.ITERATIONS,
+        hash: 'SHA-256',
+      },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // 加密文本，返回 {iv, data}（Base64）
+  static async encrypt(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(text)
+    );
+    return {
+      iv: CredentialStore.toBase64(iv),
+      data: CredentialStore.toBase64(data),
+    };
+  }
+
+  // 解密 encrypt 的结果，密钥错误时抛出 OperationError
+  static async decrypt(key, { iv, data }) {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: CredentialStore.fromBase64(iv) },
+      key,
+      CredentialStore.fromBase64(data)
+    );
+    return new TextDecoder().decode(plain);
+  }
+
+  static toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+  }
+}
+
+CredentialStore.ITERATIONS = 250000; // PBKDF2 迭代次数
+CredentialStore.CHECK_TEXT = 'credential-store'; // 用于验证口令的已知明文
+
+// 导出给后台脚本使用
+if (typeof self !== 'undefined') {
+  self.CredentialStore = CredentialStore;
+}
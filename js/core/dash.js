@@ -0,0 +1,401 @@
+/**
+ * MPEG-DASH (.mpd) 清单解析
+ * 支持 SegmentTemplate（含 SegmentTimeline）、SegmentList 和 SegmentBase（通过 sidx 索引拆分字节范围）
+ * Service Worker 中没有 DOMParser，这里使用一个只满足 MPD 需要的简单 XML 解析器
+ */
+class DashManifest {
+  // 根据地址或 Content-Type 判断是否是 DASH 清单
+  static isDash(url, contentType) {
+    if (contentType && /dash\+xml/i.test(contentType)) return true;
+    return /\.mpd(\?|#|$)/i.test(url || '');
+  }
+
+  // 解析 XML 为 {name, attrs, children} 树（忽略注释、声明和文本内容之外的细节）
+  static parseXml(text) {
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const pattern =
+      /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/([^\s>]+)\s*>|<([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const current = stack[stack.length - 1];
+      const [, cdata, closeName, openName, attrText, selfClosing, content] =
+        match;
+
+      if (cdata !== undefined || content !== undefined) {
+        current.text += DashManifest.decodeEntities(
+          cdata !== undefined ? cdata : content
+        ).trim();
+      } else if (closeName) {
+        if (stack.length > 1) stack.pop();
+      } else if (openName) {
+        const element = {
+          name: openName.replace(/^.*:/, ''), // 去掉命名空间前缀
+          attrs: {},
+          children: [],
+          text: '',
+        };
+        const attrPattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let attr;
+        while ((attr = attrPattern.exec(attrText)) !== null) {
+          element.attrs[attr[1].replace(/^.*:/, '')] =
+            DashManifest.decodeEntities(
+              attr[3] !== undefined ? attr[3] : attr[4]
+            );
+        }
+        current.children.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+    }
+
+    return root;
+  }
+
+  static decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  static children(element, name) {
+    return element ? element.children.filter((c) => c.name === name) : [];
+  }
+
+  static child(element, name) {
+    return DashManifest.children(element, name)[0] || null;
+  }
+
+  // 解析 ISO 8601 时长（PT1H2M3.5S），返回秒
+  static parseDuration(text) {
+    const match =
+      /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+        (text || '').trim()
+      );
+    if (!match) return 0;
+    const [, days, hours, minutes, seconds] = match.map(
+      (value) => parseFloat(value) || 0
+    );
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  }
+
+  // 解析 "start-end" 字节范围，格式错误时抛出异常
+  static parseRange(text) {
+    if (!text) return null;
+    const match = /^\s*(\d+)-(\d+)\s*$/.exec(text);
+    if (!match || parseInt(match[2]) < parseInt(match[1])) {
+      throw new Error(`字节范围格式无效: ${text}`);
+    }
+    const start = parseInt(match[1]);
+    return { offset: start, length: parseInt(match[2]) - start + 1 };
+  }
+
+  // 解析清单，返回 {dynamic, duration, video: [...], audio: [...]}（只处理第一个 Period）
+  static parse(text, manifestUrl) {
+    const mpd = DashManifest.child(DashManifest.parseXml(text), 'MPD');
+    if (!mpd) {
+      throw new Error('不是有效的 MPD 清单');
+    }
+
+    const period = DashManifest.child(mpd, 'Period');
+    if (!period) {
+      throw new Error('MPD 清单中没有 Period');
+    }
+
+    const baseOf = (element, parentBase) => {
+      const baseUrl = DashManifest.child(element, 'BaseURL');
+      return baseUrl && baseUrl.text
+        ? new URL(baseUrl.text, parentBase).href
+        : parentBase;
+    };
+    const mpdBase = baseOf(mpd, manifestUrl);
+    const periodBase = baseOf(period, mpdBase);
+    const duration = DashManifest.parseDuration(
+      period.attrs.duration || mpd.attrs.mediaPresentationDuration
+    );
+
+    const result = {
+      dynamic: mpd.attrs.type === 'dynamic',
+      duration,
+      video: [],
+      audio: [],
+    };
+
+    DashManifest.children(period, 'AdaptationSet').forEach((adaptation) => {
+      const adaptationBase = baseOf(adaptation, periodBase);
+
+      DashManifest.children(adaptation, 'Representation').forEach((rep) => {
+        const attrs = { ...adaptation.attrs, ...rep.attrs };
+        const mimeType = attrs.mimeType || '';
+        const type =
+          adaptation.attrs.contentType || mimeType.split('/')[0] || null;
+        if (type !== 'video' && type !== 'audio') return; // 跳过字幕等轨道
+
+        const representation = {
+          id: rep.attrs.id,
+          type,
+          bandwidth: parseInt(attrs.bandwidth) || 0,
+          width: parseInt(attrs.width) || null,
+          height: parseInt(attrs.height) || null,
+          codecs: attrs.codecs || null,
+          lang: attrs.lang || null,
+          baseUrl: baseOf(rep, adaptationBase),
+          segmentInfo: DashManifest.mergeSegmentInfo([period, adaptation, rep]),
+        };
+        representation.label = DashManifest.describe(representation);
+        result[type].push(representation);
+      });
+    });
+
+    return result;
+  }
+
+  // 合并 Period / AdaptationSet / Representation 各层的分片信息（下层覆盖上层）
+  static mergeSegmentInfo(levels) {
+    for (const type of ['SegmentTemplate', 'SegmentList', 'SegmentBase']) {
+      const elements = levels
+        .map((level) => DashManifest.child(level, type))
+        .filter(Boolean);
+      if (elements.length === 0) continue;
+
+      const merged = { type, attrs: {}, children: {} };
+      elements.forEach((element) => {
+        Object.assign(merged.attrs, element.attrs);
+        // 子元素按类型整体覆盖
+        const names = new Set(element.children.map((child) => child.name));
+        names.forEach((name) => {
+          merged.children[name] = DashManifest.children(element, name);
+        });
+      });
+      return merged;
+    }
+    return null;
+  }
+
+  // 轨道的显示名称
+  static describe(rep) {
+    const parts = [];
+    if (rep.type === 'video' && rep.height) {
+      parts.push(`${rep.width}x${rep.height}`);
+    }
+    if (rep.lang) parts.push(rep.lang);
+    if (rep.codecs) parts.push(rep.codecs);
+    if (rep.bandwidth) parts.push(`${(rep.bandwidth / 1000).toFixed(0)} kbps`);
+    return parts.join(' · ') || rep.id;
+  }
+
+  // 选择轨道：'none' 表示不下载该类轨道，指定 id 时使用对应轨道，否则选择码率最高的
+  static selectRepresentation(representations, preferredId) {
+    if (preferredId === 'none' || representations.length === 0) return null;
+    const preferred = representations.find((rep) => rep.id === preferredId);
+    if (preferred) return preferred;
+    return representations.reduce((best, rep) =>
+      rep.bandwidth > best.bandwidth ? rep : best
+    );
+  }
+
+  // 生成分片列表 [{uri, byteRange}]（第一个为初始化段）
+  // SegmentBase 带 indexRange 时需要先读取 sidx 索引，返回 null，由调用方使用 segmentsFromIndex
+  static buildSegments(rep, duration) {
+    const info = rep.segmentInfo;
+    if (!info) {
+      return [{ uri: rep.baseUrl, byteRange: null }];
+    }
+
+    if (info.type === 'SegmentTemplate') {
+      return DashManifest.buildTemplateSegments(rep, info, duration);
+    }
+
+    if (info.type === 'SegmentList') {
+      const segments = [];
+      const init = (info.children.Initialization || [])[0];
+      if (init) {
+        segments.push({
+          uri: new URL(init.attrs.sourceURL || '', rep.baseUrl).href,
+          byteRange: DashManifest.parseRange(init.attrs.range),
+        });
+      }
+      (info.children.SegmentURL || []).forEach((segment) => {
+        segments.push({
+          uri: new URL(segment.attrs.media || '', rep.baseUrl).href,
+          byteRange: DashManifest.parseRange(segment.attrs.mediaRange),
+        });
+      });
+      return segments;
+    }
+
+    // SegmentBase：整个轨道是一个文件，有索引时按 sidx 拆分
+    if (info.attrs.indexRange) return null;
+    return [{ uri: rep.baseUrl, byteRange: null }];
+  }
+
+  static buildTemplateSegments(rep, info, duration) {
+    const attrs = info.attrs;
+    const timescale = parseInt(attrs.timescale) || 1;
+    const startNumber =
+      attrs.startNumber !== undefined ? parseInt(attrs.startNumber) : 1;
+    const values = { RepresentationID: rep.id, Bandwidth: rep.bandwidth };
+    const resolve = (template, extra) =>
+      new URL(
+        DashManifest.fillTemplate(template, { ...values, ...extra }),
+        rep.baseUrl
+      ).href;
+
+    const segments = [];
+    if (attrs.initialization) {
+      segments.push({
+        uri: resolve(attrs.initialization, {}),
+        byteRange: null,
+      });
+    }
+
+    const timeline = (info.children.SegmentTimeline || [])[0];
+    const periodEnd = duration * timescale;
+    let number = startNumber;
+
+    if (timeline) {
+      let time = 0;
+      DashManifest.children(timeline, 'S').forEach((s, index, list) => {
+        if (s.attrs.t !== undefined) time = parseInt(s.attrs.t);
+        const segmentDuration = parseInt(s.attrs.d);
+        if (!(segmentDuration > 0)) {
+          throw new Error(`SegmentTimeline 中的分片时长无效: ${s.attrs.d}`);
+        }
+        let repeat = parseInt(s.attrs.r) || 0;
+        if (repeat < 0) {
+          // r = -1：重复到下一个 S 的开始时间或 Period 结束
+          const next = list[index + 1];
+          const end =
+            next && next.attrs.t !== undefined
+              ? parseInt(next.attrs.t)
+              : periodEnd;
+          repeat = Math.ceil((end - time) / segmentDuration) - 1;
+        }
+        for (let i = 0; i <= repeat; i++) {
+          segments.push({
+            uri: resolve(attrs.media, { Number: number, Time: time }),
+            byteRange: null,
+          });
+          number++;
+          time += segmentDuration;
+        }
+      });
+      return segments;
+    }
+
+    const segmentDuration = parseInt(attrs.duration);
+    if (!segmentDuration || !duration) {
+      throw new Error('无法确定 DASH 分片数量（缺少 duration）');
+    }
+    const count = Math.ceil(periodEnd / segmentDuration);
+    for (let i = 0; i < count; i++) {
+      segments.push({
+        uri: resolve(attrs.media, {
+          Number: number + i,
+          Time: i * segmentDuration,
+        }),
+        byteRange: null,
+      });
+    }
+    return segments;
+  }
+
+  // 替换模板变量：$RepresentationID$、$Number%05d$、$Bandwidth$、$Time$、$$
+  static fillTemplate(template, values) {
+    return template.replace(
+      /\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$|\$\$/g,
+      (match, name, width) => {
+        if (!name) return '$';
+        const value = String(values[name]);
+        return width ? value.padStart(parseInt(width), '0') : value;
+      }
+    );
+  }
+
+  // SegmentBase 的索引范围
+  static getIndexRange(rep) {
+    return DashManifest.parseRange(rep.segmentInfo.attrs.indexRange);
+  }
+
+  // 根据 sidx 索引生成分片：开头到第一个媒体分片之前（ftyp/moov/sidx）作为初始化段
+  static segmentsFromIndex(rep, indexData) {
+    const indexRange = DashManifest.getIndexRange(rep);
+    const ranges = DashManifest.parseSidx(indexData, indexRange.offset);
+    return [
+      { uri: rep.baseUrl, byteRange: { offset: 0, length: ranges[0].offset } },
+      ...ranges.map((range) => ({ uri: rep.baseUrl, byteRange: range })),
+    ];
+  }
+
+  // 解析 sidx box，返回各媒体分片在文件中的字节范围
+  static parseSidx(buffer, bufferOffset) {
+    const view = new DataView(buffer);
+    let boxStart = 0;
+
+    while (boxStart + 8 <= view.byteLength) {
+      const boxSize = view.getUint32(boxStart);
+      const boxType = String.fromCharCode(
+        ...new Uint8Array(buffer, boxStart + 4, 4)
+      );
+      if (boxType !== 'sidx') {
+        if (boxSize < 8) break;
+        boxStart += boxSize;
+        continue;
+      }
+
+      // 索引范围必须包含整个 sidx box
+      if (boxSize < 32 || boxStart + boxSize > view.byteLength) {
+        throw new Error('sidx 索引数据不完整');
+      }
+
+      const version = view.getUint8(boxStart + 8);
+      let p = boxStart + 16; // 跳过 box 头、version/flags 和 reference_ID
+      p += 4; // timescale
+      let firstOffset;
+      if (version === 0) {
+        firstOffset = view.getUint32(p + 4);
+        p += 8;
+      } else {
+        firstOffset = Number(view.getBigUint64(p + 8));
+        p += 16;
+      }
+      p += 2; // reserved
+      const count = view.getUint16(p);
+      p += 2;
+      if (p + count * 12 > boxStart + boxSize) {
+        throw new Error('sidx 索引数据不完整');
+      }
+
+      // 第一个分片从 sidx box 之后 first_offset 处开始
+      let offset = bufferOffset + boxStart + boxSize + firstOffset;
+      const ranges = [];
+      for (let i = 0; i < count; i++) {
+        const reference = view.getUint32(p);
+        if (reference >>> 31) {
+          throw new Error('暂不支持多级 sidx 索引');
+        }
+        const size = reference & 0x7fffffff;
+        ranges.push({ offset, length: size });
+        offset += size;
+        p += 12;
+      }
+      return ranges;
+    }
+
+    throw new Error('索引范围中没有 sidx');
+  }
+
+  // 轨道保存的文件名：视频为 .mp4，音频为 .m4a（均为 fragmented MP4）
+  static outputFilename(filename, type) {
+    const base = String(filename || 'video').replace(/\.mpd$/i, '');
+    return `${base}.${type}.${type === 'audio' ? 'm4a' : 'mp4'}`;
+  }
+}
+
+// 导出给 Downloader 和管理页面使用
+if (typeof self !== 'undefined') {
+  self.DashManifest = DashManifest;
+}
@@ -0,0 +1,116 @@
+/**
+ * 下载计划
+ * 计划 {startAt, window: {start, end}}：startAt 为最早开始时间（时间戳），
+ * window 为每天允许下载的时段（本地时间 "HH:MM"，结束早于开始时跨越午夜，如 22:00 - 07:00）
+ * 保存在下载记录中，由后台根据计划开始、暂停和继续下载
+ */
+class DownloadSchedule {
+  // 由用户输入生成计划，没有任何限制时返回 null，格式错误时抛出异常
+  // options: {startAt: 时间戳, windowStart / windowEnd: "HH:MM"}
+  static create({ startAt, windowStart, windowEnd } = {}) {
+    const schedule = { startAt: null, window: null };
+
+    if (startAt) {
+      schedule.startAt = Number(startAt);
+      if (!Number.isFinite(schedule.startAt)) {
+        throw new Error('开始时间无效');
+      }
+    }
+
+    if (windowStart || windowEnd) {
+      const start = DownloadSchedule.parseTime(windowStart);
+      const end = DownloadSchedule.parseTime(windowEnd);
+      if (start === end) {
+        throw new Error('下载时段的开始和结束时间不能相同');
+      }
+      schedule.window = {
+        start: DownloadSchedule.formatTime(start),
+        end: DownloadSchedule.formatTime(end),
+      };
+    }
+
+    return schedule.startAt || schedule.window ? schedule : null;
+  }
+
+  // "HH:MM" -> 当天的分钟数，格式错误时抛出异常
+  static parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw new Error(`时间格式无效: ${text || '(空)'}，应为 HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  static formatTime(minutes) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  // 当前是否允许下载（已到开始时间且在下载时段内），没有计划时总是允许
+  static isAllowed(schedule, now = Date.now()) {
+    if (!schedule) return true;
+    if (schedule.startAt && now < schedule.startAt) return false;
+    return (
+      !schedule.window || DownloadSchedule.isInWindow(schedule.window, now)
+    );
+  }
+
+  // 是否在下载时段内（包含开始时间，不包含结束时间）
+  static isInWindow(window, now = Date.now()) {
+    const date = new Date(now);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = DownloadSchedule.parseTime(window.start);
+    const end = DownloadSchedule.parseTime(window.end);
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  // 下一次允许状态可能变化的时间（到达开始时间、时段开始或结束），没有时返回 null
+  static nextChange(schedule, now = Date.now()) {
+    if (!schedule) return null;
+    if (schedule.startAt && now < schedule.startAt) return schedule.startAt;
+    return schedule.window
+      ? DownloadSchedule.nextWindowChange(schedule.window, now)
+      : null;
+  }
+
+  // 下载时段下一次开始或结束的时间
+  // 按本地日期逐天计算，夏令时切换的日期也能得到正确的时刻
+  static nextWindowChange(window, now = Date.now()) {
+    const boundaries = [window.start, window.end].map(
+      DownloadSchedule.parseTime
+    );
+    let next = null;
+    for (let day = 0; day <= 1; day++) {
+      boundaries.forEach((minutes) => {
+        const date = new Date(now);
+        date.setDate(date.getDate() + day);
+        date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+        const time = date.getTime();
+        if (time > now && (next === null || time < next)) {
+          next = time;
+        }
+      });
+    }
+    return next;
+  }
+
+  // 计划的文字说明，用于界面显示
+  static describe(schedule) {
+    if (!schedule) return '';
+    const parts = [];
+    if (schedule.startAt) {
+      parts.push(`${new Date(schedule.startAt).toLocaleString()} 开始`);
+    }
+    if (schedule.window) {
+      parts.push(`仅在 ${schedule.window.start} - ${schedule.window.end} 下载`);
+    }
+    return parts.join('，');
+  }
+}
+
+// 导出给后台脚本和管理页面使用
+if (typeof self !== 'undefined') {
+  self.DownloadSchedule = DownloadSchedule;
+}
@@ -2,36 +2,112 @@
  * 核心下载器类
  * 负责分块下载、速度计算、文件合并和断点续传
  */
+
+/* global RateLimiter, Hasher, HlsPlaylist, DashManifest, TempFile, ContentDisposition, FileType, ConnectionPool, HttpAuth, RequestHeaders */
+
 class Downloader {
   constructor(url, filename, options = {}) {
     this.url = url;
     this.filename = filename;
+    this.finalUrl = null; // 跟随重定向后的最终地址，未重定向时为空
+    this.contentType = null; // 响应头中的 Content-Type
+    this.mimeType = null; // 根据文件内容识别出的类型，下载完成时确定
     this.options = {
-      chunks: 4, // 默认分4块
+      chunks: 0, // 并发连接数（也是初始分块数），0 表示根据文件大小选择并在下载中按速度自动调整
+      maxChunks: 16, // 自动调整时单个下载的连接数上限
+      adaptInterval: 5000, // 每 5 秒根据测得的速度调整一次连接数
+      preferredChunks: 0, // 该主机以往速度最快的连接数（主机配置），自动调整时作为初始连接数
+      headSupported: null, // 该主机是否支持 HEAD 请求（主机配置），false 时直接用 Range 请求探测
+      rangeSupported: null, // 该主机是否支持 Range 请求（主机配置），false 时 HEAD 被拒绝后不再探测
+      minSplitSize: 1024 * 1024, // 动态切分时每段的最小字节数 (1MB)
       fetchTimeout: 30000, // fetch 请求超时时间 (30秒)
+      stallTimeout: 60000, // 分块请求超过该时间没有收到数据时中止并从已下载位置重新请求，0 表示不检测
+      commitInterval: 30000, // 每 30 秒提交一次临时文件并保存分块进度
+      store: null, // ChunkStore 实例，为空时不保存分块进度
+      globalLimiter: null, // 所有下载共享的 RateLimiter，为空时不做全局限速
+      pool: null, // 所有下载共享的 ConnectionPool，为空时不限制总连接数和同一主机的连接数
+      speedLimit: 0, // 单个下载的速度上限 (bytes/s)，0 表示不限速
+      maxRetries: 5, // 单个分块失败后的最大重试次数
+      retryBaseDelay: 1000, // 首次重试等待时间 (ms)，之后指数增长
+      retryMaxDelay: 30000, // 重试等待时间上限 (ms)
+      maxBusyRetries: 10, // 单个请求因服务器限流最多等待多少次，超过后按普通错误处理（分块和分片计入重试次数）
+      expectedHash: null, // 期望的校验值 {algorithm, value, source}
+      checksumLookup: true, // 没有期望值时尝试读取同目录的 .sha256 文件
+      mirrors: [], // 镜像地址（与 url 是同一个文件），分块请求会分散到各个镜像
+      mirrorMaxFailures: 3, // 镜像累计失败多少次后停用
+      mirrorSlowRatio: 0.25, // 镜像速度低于最快镜像的该比例时停用
+      hlsVariant: null, // HLS 主播放列表中要下载的清晰度地址，为空时选择码率最高的
+      dashVideo: null, // DASH 视频轨道 id，为空时选择码率最高的，'none' 表示不下载
+      dashAudio: null, // DASH 音频轨道 id，规则同上
+      credentials: null, // 该主机保存的凭据 {username, password}，服务器要求认证时先尝试一次
+      headers: {}, // 自定义请求头，每个请求都会带上（fetch 不允许设置的由后台通过 declarativeNetRequest 添加）
+      useServerFilename: true, // 使用响应头 Content-Disposition 中的文件名并修正扩展名（用户指定文件名时为 false）
       ...options,
     };
 
-    this.id = Date.now() + Math.random().toString(36).substr(2, 9);
+    this.id =
+      this.options.id || Date.now() + Math.random().toString(36).substr(2, 9);
     this.state = 'in_progress'; // in_progress, paused, complete, interrupted
     this.totalBytes = 0;
     this.bytesReceived = 0;
     this.startTime = Date.now();
     this.endTime = null;
     this.speed = 0; // bytes per second
-    this.chunks = []; // 存储已下载的分块 Blob
+    this.chunks = []; // 流媒体合并后的数据 Blob（其他下载的数据直接写入临时文件）
+    this.file = new TempFile(this.id); // OPFS 临时文件，数据按在文件中的偏移写入
+    this.lastCommitTime = Date.now(); // 上次提交临时文件的时间
+    this.checkpointing = null; // 进行中的提交
     this.chunkProgress = []; // 记录每个分块的下载进度 {start, end, downloaded}
     this.abortControllers = []; // 每个分块一个 AbortController
+    this.connections = 0; // 目标连接数
+    this.host = ConnectionPool.hostOf(url); // 连接池按原始地址的主机计数
+    this.backoffPool = this.options.pool || new ConnectionPool(); // 记录服务器要求的主机退避时间，通常是所有下载共享的连接池
+    this.waitingUntil = null; // 等待服务器限流结束的时间，等待期间显示为等待服务器
+    this.workers = new Map(); // 运行中的连接 workerId -> {id, retiring, done}
+    this.workerTasks = []; // 本轮下载所有连接的工作循环（包括运行中新增的连接）
+    this.adaptTimer = null; // 定时调整连接数
+    this.watchdogTimer = null; // 定时检查停滞的请求
+    this.singleTransfer = null; // 单线程下载的停滞检测状态 {lastActivity, stalled}
+    this.connectionSample = null; // 上次调整时的速度采样 {time, bytes, throughput, action}
+    this.growHoldUntil = 0; // 增加连接无效后，在此之前不再增加
+    this.headSupported = null; // 服务器是否支持 HEAD 请求（记录到主机配置）
+    this.throughputStats = {}; // 各连接数下的下载量和时间 {连接数: {bytes, time}}（记录到主机配置）
+    this.auth = null; // HttpAuth 实例，服务器要求认证并取得凭据后设置
+    this.authChallenge = null; // 最近一次 401 响应中的质询
     this.lastSpeedUpdate = Date.now();
     this.lastBytesReceived = 0;
     this.supportsRange = false; // 是否支持 Range 请求
+    this.etag = null; // HEAD 响应的 ETag，用于续传时校验文件是否变化
+    this.lastModified = null; // HEAD 响应的 Last-Modified
+    this.resourceChanged = false; // 下载过程中检测到服务器上的文件已变化
+    this.rangeMismatch = false; // 服务器声明支持 Range 但返回的范围不正确
+    this.restartCount = 0; // 因文件变化而重新开始的次数
+    this.expectedHash = this.options.expectedHash; // 用户指定或从响应头获取的校验值
+    this.integrity = null; // 完整性校验结果 {status: verified/mismatch/unverified, ...}
+    // 下载地址列表（第一个是原始地址），记录每个镜像的下载量和状态
+    this.mirrors = [...new Set([url, ...this.options.mirrors])].map(
+      (mirrorUrl) => ({ url: mirrorUrl })
+    );
+    this.resetMirrors();
+    this.streamType = null; // 'hls' / 'dash' 表示按流媒体分片下载
+    this.segments = []; // 流媒体分片 {uri, byteRange, key, track, offset, size, completed}
+    this.segmentFiles = new Map(); // 流媒体分片写入的临时文件 (轨道 -> {file, size})
+    this.tracks = []; // DASH 选中的轨道 {type, label, filename}
+    this.attachments = []; // 主文件之外需要另存的文件（DASH 音频轨道）
+    this.hlsKeys = new Map(); // HLS 密钥缓存 (密钥地址 -> Promise<CryptoKey>)
     this.interruptReason = null; // 记录中断原因
     this.lastActivityTime = Date.now(); // 最后活动时间
+    this.persistQueue = Promise.resolve(); // 串行化分块进度的保存，保证顺序
+    this.cancelled = false; // 是否已被用户取消
+    this.rateLimiter = new RateLimiter(this.options.speedLimit); // 单个下载限速
 
     // 事件回调
     this.onProgress = null;
     this.onComplete = null;
     this.onError = null;
+    this.onRestart = null; // 文件变化导致重新开始下载时触发
+    this.onAuthRequired = null; // 服务器要求认证而暂停下载时触发，需要调用 setCredentials 继续
+    this.onStall = null; // 分块停滞被中止并重新请求时触发
 
     // 日志前缀
     this.logPrefix = `[Downloader ${this.id.substr(0, 8)}]`;
@@ -45,55 +121,104 @@ class Downloader {
     console.log(`${this.logPrefix} URL: ${this.url}`);
 
     try {
-      // 1. 获取文件大小和是否支持断点续传
-      console.log(`${this.logPrefix} 发送 HEAD 请求...`);
-      const headStartTime = Date.now();
+      // HLS 播放列表和 DASH 清单按分片下载
+      if (HlsPlaylist.isHls(this.url)) {
+        await this.downloadHls();
+        return;
+      }
+      if (DashManifest.isDash(this.url)) {
+        await this.downloadDash();
+        return;
+      }
 
+      // 1. 获取文件大小和是否支持断点续传
       let headResponse;
       let headFailed = false;
 
-      try {
-        headResponse = await this.fetchWithTimeout(this.url, {
-          method: 'HEAD',
-        });
-
-        const headDuration = Date.now() - headStartTime;
+      if (this.options.headSupported === false) {
+        // 主机配置记录该主机不支持 HEAD，直接探测
         console.log(
-          `${this.logPrefix} HEAD 请求完成,耗时: ${headDuration}ms, 状态: ${headResponse.status}`
+          `${this.logPrefix} 该主机不支持 HEAD 请求,直接使用 Range 请求探测`
         );
+        headFailed = true;
+      } else {
+        console.log(`${this.logPrefix} 发送 HEAD 请求...`);
+        const headStartTime = Date.now();
+        try {
+          headResponse = await this.fetchWithTimeout(this.url, {
+            method: 'HEAD',
+          });
 
-        // 如果返回 401/403/405,说明服务器不允许 HEAD 请求
-        if (
-          headResponse.status === 401 ||
-          headResponse.status === 403 ||
-          headResponse.status === 405
-        ) {
+          const headDuration = Date.now() - headStartTime;
+          console.log(
+            `${this.logPrefix} HEAD 请求完成,耗时: ${headDuration}ms, 状态: ${headResponse.status}`
+          );
+
+          // 如果返回 401/403/405,说明服务器不允许 HEAD 请求
+          if (
+            headResponse.status === 401 ||
+            headResponse.status === 403 ||
+            headResponse.status === 405
+          ) {
+            console.warn(
+              `${this.logPrefix} HEAD 请求被拒绝 (${headResponse.status}),改用 Range 请求探测`
+            );
+            headFailed = true;
+            this.headSupported = false;
+          } else if (!headResponse.ok) {
+            throw new Error(`HTTP error! status: ${headResponse.status}`);
+          } else {
+            this.headSupported = true;
+            this.applyResponseInfo(headResponse);
+          }
+        } catch (error) {
+          if (error.name === 'AuthRequiredError') throw error;
           console.warn(
-            `${this.logPrefix} HEAD 请求被拒绝 (${headResponse.status}),将使用单线程 GET 下载`
+            `${this.logPrefix} HEAD 请求失败: ${error.message},改用 Range 请求探测`
           );
           headFailed = true;
-        } else if (!headResponse.ok) {
-          throw new Error(`HTTP error! status: ${headResponse.status}`);
         }
-      } catch (error) {
-        console.warn(
-          `${this.logPrefix} HEAD 请求失败: ${error.message},将使用单线程 GET 下载`
-        );
-        headFailed = true;
       }
 
+      let probe = null;
       if (headFailed) {
-        // HEAD 请求失败,直接使用单线程下载(不知道文件大小)
-        console.log(`${this.logPrefix} 跳过 HEAD 请求,直接开始单线程下载`);
-        await this.downloadSingle();
+        // 很多 CDN 和 S3 预签名地址只允许 GET，用 Range 请求获取文件大小并确认支持分块
+        // 主机配置记录该主机不支持 Range 时不再探测
+        if (this.options.rangeSupported !== false) {
+          probe = await this.probeRange(this.url);
+        }
+        if (!probe) {
+          // 探测失败,直接使用单线程下载(不知道文件大小)
+          console.log(`${this.logPrefix} Range 探测失败,直接开始单线程下载`);
+          await this.downloadSingle();
+          return;
+        }
+        this.applyResponseInfo(probe.response);
+      }
+
+      if (HlsPlaylist.isHls(null, this.contentType)) {
+        await this.downloadHls();
+        return;
+      }
+      if (DashManifest.isDash(null, this.contentType)) {
+        await this.downloadDash();
         return;
       }
 
-      this.totalBytes = parseInt(
-        headResponse.headers.get('content-length') || '0'
-      );
-      const acceptRanges = headResponse.headers.get('accept-ranges');
-      this.supportsRange = acceptRanges === 'bytes';
+      const headers = (probe ? probe.response : headResponse).headers;
+      if (probe) {
+        this.totalBytes = probe.totalBytes;
+        this.supportsRange = true;
+      } else {
+        this.totalBytes = parseInt(headers.get('content-length') || '0');
+        this.supportsRange = headers.get('accept-ranges') === 'bytes';
+        // 206 响应中的校验值可能只对应返回的范围，只使用 HEAD 响应中的
+        if (!this.expectedHash) {
+          this.expectedHash = Hasher.fromHeaders(headers);
+        }
+      }
+      this.etag = headers.get('etag');
+      this.lastModified = headers.get('last-modified');
 
       console.log(
         `${this.logPrefix} 文件信息: 大小=${this.totalBytes} bytes, 支持分块=${this.supportsRange}`
@@ -101,9 +226,15 @@ class Downloader {
 
       if (this.totalBytes > 0 && this.supportsRange) {
         // 支持分块下载
+        this.connections = this.getInitialConnections();
         console.log(
-          `${this.logPrefix} 使用分块下载模式 (${this.options.chunks} 个分块)`
+          `${this.logPrefix} 使用分块下载模式 (${this.connections} 个连接${
+            this.options.chunks ? '' : '，自动调整'
+          })`
         );
+        if (this.mirrors.length > 1) {
+          await this.probeMirrors();
+        }
         this.initChunkProgress();
         await this.downloadChunks();
       } else {
@@ -118,8 +249,64 @@ class Downloader {
     }
   }
 
-  // 带超时的 fetch 请求
+  // 发送 Range: bytes=0-0 请求，从 Content-Range 中获取文件大小
+  // 服务器返回 206 且范围正确时返回 {response, totalBytes}，否则返回 null（不抛出错误）
+  async probeRange(url) {
+    let response;
+    try {
+      response = await this.fetchWithTimeout(url, {
+        headers: { Range: 'bytes=0-0' },
+      });
+    } catch (error) {
+      if (error.name === 'AuthRequiredError') throw error;
+      console.warn(`${this.logPrefix} Range 探测请求失败: ${error.message}`);
+      return null;
+    }
+
+    // 只需要响应头，不读取响应体（返回 200 时响应体是整个文件）
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+
+    const match = /^bytes\s+0-0\/(\d+)$/i.exec(
+      (response.headers.get('content-range') || '').trim()
+    );
+    if (response.status !== 206 || !match) {
+      console.warn(
+        `${this.logPrefix} 服务器不支持 Range 请求 (状态: ${response.status})`
+      );
+      return null;
+    }
+
+    const totalBytes = parseInt(match[1]);
+    console.log(`${this.logPrefix} Range 探测成功: 大小=${totalBytes} bytes`);
+    return { response, totalBytes };
+  }
+
+  // 带超时的 fetch 请求，服务器限流（429 / 503 且给出 Retry-After）时等待后重新请求
   async fetchWithTimeout(url, options = {}) {
+    const host = ConnectionPool.hostOf(url);
+    let busyRetries = 0;
+    while (true) {
+      await this.waitForHost(host);
+      const response = await this.fetchOnce(url, options);
+      const error = response.ok ? null : this.createHttpError('请求', response);
+      if (
+        !error ||
+        !this.isServerBusy(error) ||
+        ++busyRetries > this.options.maxBusyRetries
+      ) {
+        return response;
+      }
+      if (response.body) {
+        response.body.cancel().catch(() => {});
+      }
+      this.handleServerBusy(error, host);
+    }
+  }
+
+  // 发送一次带超时的 fetch 请求
+  async fetchOnce(url, options = {}) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => {
       console.warn(
@@ -129,12 +316,19 @@ class Downloader {
     }, this.options.fetchTimeout);
 
     try {
+      const headers = this.getRequestHeaders(
+        url,
+        options.method,
+        options.headers
+      );
       const response = await fetch(url, {
         ...options,
+        headers,
         signal: controller.signal,
         credentials: 'include', // 携带 Cookie 和认证信息,解决 GitHub 等网站的 401 错误
       });
       clearTimeout(timeoutId);
+      this.checkAuth(response, url, headers);
       return response;
     } catch (error) {
       clearTimeout(timeoutId);
@@ -145,16 +339,113 @@ class Downloader {
     }
   }
 
+  // 请求头：自定义请求头、认证信息和本次请求的请求头
+  // 认证信息和含有凭据的自定义请求头（Cookie、Authorization 等）只发给原始地址的主机，不发给镜像、重定向后的地址和分片所在的 CDN
+  getRequestHeaders(url, method, headers) {
+    const sameHost = ConnectionPool.hostOf(url) === this.host;
+    const result = sameHost
+      ? { ...this.options.headers }
+      : RequestHeaders.withoutSensitive(this.options.headers);
+    if (this.auth && sameHost) {
+      result.Authorization = this.auth.getAuthorization(method, url);
+    }
+    return { ...result, ...headers };
+  }
+
+  // 原始地址的主机返回 401 且质询可以处理时抛出 AuthRequiredError（不重试，见 handleAuthRequired）
+  // Digest 的 nonce 过期（stale=true）时更新质询，抛出可以重试的错误
+  checkAuth(response, url, headers) {
+    if (response.status !== 401 || ConnectionPool.hostOf(url) !== this.host) {
+      return;
+    }
+    const challenge = HttpAuth.parseChallenge(
+      response.headers.get('www-authenticate')
+    );
+    if (!challenge) return;
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+
+    const withAuth = !!(headers && headers.Authorization);
+    if (withAuth && this.auth && HttpAuth.isStale(challenge)) {
+      this.auth.updateChallenge(challenge);
+      throw new Error('认证 nonce 已过期，使用新的 nonce 重试');
+    }
+    const error = new Error(withAuth ? '用户名或密码错误' : '服务器要求登录');
+    error.name = 'AuthRequiredError';
+    error.challenge = challenge;
+    error.withAuth = withAuth; // 请求是否已带有凭据（没有时凭据可能是请求发出后才设置的）
+    throw error;
+  }
+
+  // 服务器要求认证：已有可用的凭据时返回 true，由调用方重试；
+  // 否则暂停下载，通过 onAuthRequired 请求用户输入凭据，返回 false
+  handleAuthRequired(error) {
+    this.authChallenge = error.challenge;
+    if (this.auth && !error.withAuth) return true;
+    if (!this.auth && this.options.credentials) {
+      console.log(`${this.logPrefix} 服务器要求认证，使用保存的凭据`);
+      this.auth = new HttpAuth(error.challenge, this.options.credentials);
+      this.options.credentials = null; // 保存的凭据只尝试一次，被拒绝后请求用户输入
+      return true;
+    }
+    if (this.state !== 'in_progress') return false;
+
+    console.warn(
+      `${this.logPrefix} ${error.message} (${error.challenge.scheme})，暂停下载等待凭据`
+    );
+    this.pause();
+    if (this.onAuthRequired) {
+      this.onAuthRequired({
+        id: this.id,
+        host: this.host,
+        scheme: error.challenge.scheme,
+        realm: error.challenge.realm || '',
+        challenge: error.challenge,
+        rejected: error.withAuth,
+      });
+    }
+    return false;
+  }
+
+  // 使用用户输入的凭据继续因认证暂停的下载
+  // challenge 为空时使用最近一次的质询（从持久化数据恢复的下载需要由调用方提供）
+  setCredentials(credentials, challenge) {
+    this.authChallenge = challenge || this.authChallenge;
+    this.auth = new HttpAuth(this.authChallenge, credentials);
+    this.resume();
+  }
+
+  // 从响应中读取最终地址和服务器指定的文件名
+  applyResponseInfo(response) {
+    this.contentType = response.headers.get('content-type');
+    if (response.redirected && response.url && response.url !== this.url) {
+      this.finalUrl = response.url;
+      console.log(`${this.logPrefix} 已重定向到: ${this.finalUrl}`);
+    }
+
+    if (!this.options.useServerFilename) return;
+    const filename = ContentDisposition.getFilename(
+      response.headers.get('content-disposition')
+    );
+    if (filename && filename !== this.filename) {
+      console.log(
+        `${this.logPrefix} 使用 Content-Disposition 中的文件名: ${filename}`
+      );
+      this.filename = filename;
+    }
+  }
+
   // 初始化分块进度
   initChunkProgress() {
     if (this.chunkProgress.length > 0) return; // 已初始化，跳过
 
-    const chunkSize = Math.ceil(this.totalBytes / this.options.chunks);
+    const chunkSize = Math.ceil(this.totalBytes / this.connections);
 
-    for (let i = 0; i < this.options.chunks; i++) {
+    for (let i = 0; i < this.connections; i++) {
       const start = i * chunkSize;
       const end =
-        i === this.options.chunks - 1
+        i === this.connections - 1
           ? this.totalBytes - 1
           : (i + 1) * chunkSize - 1;
 
@@ -162,163 +453,1679 @@ class Downloader {
         index: i,
         start: start,
         end: end,
-        downloaded: 0, // 已下载字节数
+        downloaded: 0, // 已写入临时文件的字节数
+        persisted: 0, // 已提交到临时文件的字节数
         completed: false,
-        data: [], // 存储已下载的数据块
       });
 
       this.abortControllers.push(new AbortController());
     }
+
+    this.persistMeta();
+  }
+
+  // 获取可持久化的元数据（不含分块数据）
+  getSnapshot() {
+    return {
+      id: this.id,
+      url: this.url,
+      finalUrl: this.finalUrl,
+      contentType: this.contentType,
+      filename: this.filename,
+      totalBytes: this.totalBytes,
+      supportsRange: this.supportsRange,
+      etag: this.etag,
+      lastModified: this.lastModified,
+      expectedHash: this.expectedHash,
+      mirrors: this.mirrors.map((mirror) => ({ ...mirror })),
+      connections: this.options.chunks,
+      // 只记录已提交的字节，未提交的数据在恢复后重新下载
+      chunkProgress: this.chunkProgress.map((chunk) => ({
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        downloaded: chunk.persisted,
+        completed: chunk.completed && chunk.persisted === chunk.downloaded,
+      })),
+    };
+  }
+
+  // 保存分块元数据
+  persistMeta() {
+    const store = this.options.store;
+    if (!store || !this.supportsRange) return this.persistQueue;
+
+    // 在队列中再生成快照，确保使用最新的已提交字节数
+    this.persistQueue = this.persistQueue
+      .then(() => store.saveMeta(this.getSnapshot()))
+      .catch((error) => {
+        console.warn(`${this.logPrefix} 保存分块元数据失败:`, error);
+      });
+    return this.persistQueue;
+  }
+
+  // 提交临时文件中已写入的数据，并保存对应的分块进度
+  // 提交前记录各分块的已写入字节数：这些数据的写入都排在提交之前，提交完成后一定已在文件中
+  checkpoint() {
+    if (this.checkpointing) return this.checkpointing;
+
+    this.lastCommitTime = Date.now();
+    const written = this.chunkProgress.map((chunk) => [
+      chunk,
+      chunk.downloaded,
+    ]);
+    this.checkpointing = this.file
+      .commit()
+      .then(() => {
+        written.forEach(([chunk, downloaded]) => {
+          chunk.persisted = downloaded;
+        });
+        return this.persistMeta();
+      })
+      .catch((error) => {
+        console.warn(`${this.logPrefix} 提交临时文件失败:`, error);
+      })
+      .finally(() => {
+        this.checkpointing = null;
+      });
+    return this.checkpointing;
+  }
+
+  // 分块下载
+  // 每个连接是一个工作循环：先领取未开始的分块，之后从剩余最多的分块中切出后半段，
+  // 直到所有范围都下载完成，避免慢速分块拖住整个下载而其他连接空闲
+  // 下载过程中连接数会根据速度和连接池上限增减（见 adjustConnections）
+  async downloadChunks() {
+    if (!this.connections) {
+      this.connections = this.getInitialConnections();
+    }
+    const tasks = (this.workerTasks = []);
+    for (let i = 0; i < this.connections; i++) {
+      if (!this.startWorker(i === 0)) break;
+    }
+    this.startAdapting();
+    this.startWatchdog();
+
+    try {
+      // 使用 allSettled 而不是 all，这样单个分块失败不会中断其他分块
+      const results = await this.waitForWorkers(tasks);
+
+      // 如果已经暂停，不要标记为完成
+      if (this.state === 'paused') {
+        console.log('下载已暂停，等待恢复');
+        return;
+      }
+
+      // 服务器上的文件已变化，已下载的数据不能再使用
+      if (this.resourceChanged) {
+        await this.restartAfterChange();
+        return;
+      }
+
+      // 服务器实际不支持 Range，改为单线程下载
+      if (this.rangeMismatch) {
+        await this.fallbackToSingle();
+        return;
+      }
+
+      // 检查是否有失败的分块
+      const failures = results.filter((r) => r.status === 'rejected');
+
+      if (failures.length > 0) {
+        console.error(`${failures.length} 个分块下载失败`);
+        throw new Error(
+          `${failures.length} 个分块下载失败: ${failures[0].reason}`
+        );
+      }
+
+      // 检查是否所有分块都真正完成了
+      const allCompleted = this.chunkProgress.every((chunk) => chunk.completed);
+      if (allCompleted) {
+        const received = this.chunkProgress.reduce(
+          (sum, chunk) => sum + chunk.downloaded,
+          0
+        );
+        this.verifyByteCount(received);
+        await this.finish();
+      } else {
+        console.warn('部分分块未完成，下载未完成');
+      }
+    } catch (error) {
+      this.handleError(error);
+    } finally {
+      // 暂停后很快恢复时，新一轮下载已经开始，不能停止它的定时器
+      if (this.workerTasks === tasks) {
+        this.stopAdapting();
+        this.stopWatchdog();
+      }
+    }
+  }
+
+  // 初始连接数：用户指定时使用指定值，否则按文件大小选择（小文件多开连接得不偿失）
+  // 主机配置中有该主机以往最快的连接数时优先使用（同样受文件大小限制）
+  getInitialConnections() {
+    if (this.options.chunks) return this.options.chunks;
+
+    const MB = 1024 * 1024;
+    if (this.options.preferredChunks && this.totalBytes) {
+      return Math.max(
+        1,
+        Math.min(
+          this.options.preferredChunks,
+          this.options.maxChunks,
+          Math.floor(this.totalBytes / this.options.minSplitSize)
+        )
+      );
+    }
+
+    let connections = 16;
+    if (!this.totalBytes) {
+      connections = 4; // 大小未知（流媒体）
+    } else if (this.totalBytes < MB) {
+      connections = 1;
+    } else if (this.totalBytes < 16 * MB) {
+      connections = 2;
+    } else if (this.totalBytes < 128 * MB) {
+      connections = 4;
+    } else if (this.totalBytes < 1024 * MB) {
+      connections = 8;
+    }
+    return Math.min(connections, this.options.maxChunks);
+  }
+
+  // 开启一个连接，连接池已满时返回 false
+  // force 为 true 时不检查连接池上限，保证每个下载至少有一个连接
+  startWorker(force = false) {
+    const pool = this.options.pool;
+    if (pool && !pool.acquire(this.host, force)) return false;
+
+    let workerId = 0;
+    while (this.workers.has(workerId)) workerId++;
+    const worker = { id: workerId, retiring: false, done: false };
+    this.workers.set(workerId, worker);
+
+    this.workerTasks.push(
+      this.runWorker(worker).finally(() => {
+        // 暂停后恢复时新连接可能复用了同一个编号
+        if (this.workers.get(workerId) === worker) {
+          this.workers.delete(workerId);
+        }
+        if (pool) pool.release(this.host);
+      })
+    );
+    return true;
+  }
+
+  // 等待本轮下载的所有连接结束（包括等待期间新增的连接）
+  // 所有连接都已结束但还有没人下载的分块时（没有失败），重新开启一个连接继续下载
+  async waitForWorkers(tasks) {
+    let results;
+    do {
+      results = await Promise.allSettled(tasks);
+      if (
+        results.length === tasks.length &&
+        results.every((r) => r.status === 'fulfilled') &&
+        this.hasUnclaimedChunks()
+      ) {
+        console.warn(
+          `${this.logPrefix} 连接已全部结束但仍有未完成的分块，重新开启连接`
+        );
+        this.startWorker(true);
+      }
+    } while (results.length < tasks.length);
+    return results;
+  }
+
+  // 是否有未完成、未失败且没有连接在下载的分块
+  hasUnclaimedChunks() {
+    return (
+      this.state === 'in_progress' &&
+      !this.isChunkModeAborted() &&
+      this.chunkProgress.some(
+        (chunk) => !chunk.completed && !chunk.failed && !chunk.active
+      )
+    );
+  }
+
+  // 除 worker 之外是否还有会继续领取分块的连接（未撤回且工作循环没有结束）
+  hasLiveWorker(worker) {
+    return [...this.workers.values()].some(
+      (other) => other !== worker && !other.retiring && !other.done
+    );
+  }
+
+  // 开始定时调整连接数
+  startAdapting() {
+    this.stopAdapting();
+    this.connectionSample = {
+      time: Date.now(),
+      bytes: this.bytesReceived,
+      throughput: 0,
+      action: null,
+    };
+    this.adaptTimer = setInterval(
+      () => this.adjustConnections(),
+      this.options.adaptInterval
+    );
+  }
+
+  stopAdapting() {
+    if (this.adaptTimer) {
+      clearInterval(this.adaptTimer);
+      this.adaptTimer = null;
+    }
+  }
+
+  // 开始定时检查停滞的请求
+  startWatchdog() {
+    this.stopWatchdog();
+    if (!this.options.stallTimeout) return;
+    this.watchdogTimer = setInterval(
+      () => this.checkStalls(),
+      Math.min(5000, this.options.stallTimeout / 2)
+    );
+  }
+
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+  }
+
+  // 中止超过 stallTimeout 没有收到数据的请求（TCP 连接没有断开但不再有数据，fetchTimeout 只覆盖请求发出阶段）
+  // 分块由 downloadChunkWithRetry 从已下载的位置重新请求，分片和单线程下载从头重新请求
+  checkStalls() {
+    if (this.state !== 'in_progress') return;
+
+    const now = Date.now();
+    this.getStallTargets().forEach(({ target, controller, stall, label }) => {
+      // lastActivity 只在等待服务器数据时有值，限速等待和重试等待不算停滞
+      if (
+        !target.lastActivity ||
+        target.stalled ||
+        now - target.lastActivity < this.options.stallTimeout
+      ) {
+        return;
+      }
+
+      const idle = now - target.lastActivity;
+      console.warn(
+        `${this.logPrefix} ${label} 已 ${idle}ms 没有收到数据，中止后重新请求`
+      );
+      target.stalled = true;
+      this.abortControllers[controller].abort();
+      this.abortControllers[controller] = new AbortController();
+      if (this.onStall) {
+        this.onStall({ id: this.id, time: now, ...stall, idle });
+      }
+    });
+  }
+
+  // 需要检测停滞的请求 {target: 记录 lastActivity / stalled 的对象, controller: AbortController 序号, stall: 停滞记录, label}
+  getStallTargets() {
+    if (this.singleTransfer) {
+      return [
+        {
+          target: this.singleTransfer,
+          controller: 0,
+          stall: { offset: this.bytesReceived },
+          label: '单线程下载',
+        },
+      ];
+    }
+    const chunks = this.chunkProgress.map((chunk) => ({
+      target: chunk,
+      controller: chunk.index,
+      stall: { chunk: chunk.index, offset: chunk.start + chunk.downloaded },
+      label: `分块 ${chunk.index}`,
+    }));
+    const segments = this.segments
+      .filter((segment) => segment.active)
+      .map((segment) => ({
+        target: segment,
+        controller: segment.workerId,
+        stall: { segment: segment.index, offset: segment.received || 0 },
+        label: `分片 ${segment.index}`,
+      }));
+    return [...chunks, ...segments];
+  }
+
+  // 根据测得的速度调整连接数（逐个试探）：
+  // 增加一个连接后总速度提升不到 10%（单连接速度随之下降），说明带宽或服务器已饱和，撤回该连接并暂停增加；
+  // 否则在剩余数据足够多时继续增加。超出连接池上限时减少连接，指定了连接数时只在连接池有空位时补足
+  adjustConnections() {
+    if (this.state !== 'in_progress') return;
+
+    const now = Date.now();
+    const sample = this.connectionSample;
+    const throughput =
+      ((this.bytesReceived - sample.bytes) / Math.max(1, now - sample.time)) *
+      1000;
+    const active = [...this.workers.values()].filter(
+      (worker) => !worker.retiring
+    );
+    const pool = this.options.pool;
+    let action = null;
+
+    if (active.length > 0 && !this.isRateLimited()) {
+      this.recordThroughput(
+        active.length,
+        this.bytesReceived - sample.bytes,
+        now - sample.time
+      );
+    }
+
+    if (pool && pool.available(this.host) < 0 && active.length > 1) {
+      action = 'remove'; // 设置中的上限降低后，逐步释放超出的连接
+    } else if (this.options.chunks) {
+      if (active.length < this.connections) {
+        action = 'add';
+      }
+    } else if (
+      sample.action === 'add' &&
+      throughput < sample.throughput * 1.1
+    ) {
+      action = 'remove';
+      this.growHoldUntil = now + this.options.adaptInterval * 6;
+    } else if (
+      active.length < this.options.maxChunks &&
+      now >= this.growHoldUntil &&
+      this.canUseMoreConnections(throughput)
+    ) {
+      action = 'add';
+    }
+
+    if (action === 'add' && !this.startWorker()) {
+      action = null;
+    }
+    if (action === 'remove') {
+      // 编号最大的连接让出分块，剩余部分由其他连接继续下载
+      const worker = active.reduce((a, b) => (b.id > a.id ? b : a));
+      worker.retiring = true;
+    }
+    if (action) {
+      const count = active.length + (action === 'add' ? 1 : -1);
+      console.log(
+        `${this.logPrefix} 连接数 ${active.length} -> ${count}, 速度: ${(
+          throughput / 1024
+        ).toFixed(2)} KB/s, 单连接: ${(
+          throughput /
+          Math.max(1, active.length) /
+          1024
+        ).toFixed(2)} KB/s`
+      );
+    }
+
+    this.connectionSample = {
+      time: now,
+      bytes: this.bytesReceived,
+      throughput,
+      action,
+    };
+  }
+
+  // 是否值得增加连接：没有限速（限速时增加连接没有意义），
+  // 且剩余数据足够切分、按当前速度还需要下载两个调整周期以上
+  canUseMoreConnections(throughput) {
+    const remaining = this.totalBytes - this.bytesReceived;
+    return (
+      !this.isRateLimited() &&
+      throughput > 0 &&
+      remaining >= this.options.minSplitSize * 2 &&
+      (remaining / throughput) * 1000 > this.options.adaptInterval * 2
+    );
+  }
+
+  // 是否设置了单个下载限速或全局限速
+  isRateLimited() {
+    return (
+      this.rateLimiter.rate > 0 ||
+      (this.options.globalLimiter && this.options.globalLimiter.rate > 0)
+    );
+  }
+
+  // 累计某个连接数下的下载量和时间（限速时的速度不代表服务器的能力，不记录）
+  recordThroughput(connections, bytes, time) {
+    const stats = this.throughputStats[connections] || { bytes: 0, time: 0 };
+    stats.bytes += bytes;
+    stats.time += time;
+    this.throughputStats[connections] = stats;
+  }
+
+  // 本次下载的主机统计，由后台合并到主机配置中；流媒体分片的请求方式不同，不记录
+  getHostReport() {
+    if (this.streamType) return null;
+
+    const connections = { ...this.throughputStats };
+    if (
+      Object.keys(connections).length === 0 &&
+      this.endTime &&
+      !this.isRateLimited()
+    ) {
+      // 下载时间短于一个调整周期时没有采样，按整个下载计算
+      connections[this.connections || 1] = {
+        bytes: this.bytesReceived,
+        time: this.endTime - this.startTime,
+      };
+    }
+
+    return {
+      host: this.host,
+      headSupported: this.headSupported,
+      rangeSupported: this.rangeMismatch ? false : this.supportsRange,
+      connections,
+    };
+  }
+
+  // 连接工作循环，连接被撤回（retiring）时在当前读取后让出分块并退出（没有其他连接能领取时继续下载）
+  async runWorker(worker) {
+    let chunkInfo = this.acquireChunk();
+
+    while (chunkInfo && this.state === 'in_progress') {
+      console.log(
+        `${this.logPrefix} 连接 ${worker.id} 领取分块 ${chunkInfo.index}`
+      );
+      try {
+        await this.downloadChunkWithRetry(chunkInfo, worker);
+      } catch (error) {
+        chunkInfo.failed = true; // 重试耗尽的分块不再被其他连接领取
+        worker.done = true;
+        throw error;
+      } finally {
+        chunkInfo.active = false;
+      }
+      if (worker.retiring) {
+        // 分块未完成时，只有还有其他连接能领取它才撤回，否则取消撤回继续下载
+        if (chunkInfo.completed || this.hasLiveWorker(worker)) {
+          console.log(`${this.logPrefix} 连接 ${worker.id} 已撤回`);
+          worker.done = true;
+          return;
+        }
+        console.log(
+          `${this.logPrefix} 连接 ${worker.id} 是最后一个连接，取消撤回`
+        );
+        worker.retiring = false;
+      }
+      chunkInfo = this.acquireChunk();
+    }
+    worker.done = true; // 没有可领取的分块，工作循环结束
+  }
+
+  // 下载分块，失败时按指数退避重试（从已下载的位置继续）
+  // 有多个镜像时，失败过多的镜像会被停用，换到其他镜像立即重试
+  async downloadChunkWithRetry(chunkInfo, worker) {
+    let busyRetries = 0;
+    while (true) {
+      const mirror = this.pickMirror(worker.id);
+      await this.waitForHost(ConnectionPool.hostOf(mirror.url));
+      // 等待期间被暂停、取消或连接被撤回
+      if (this.state !== 'in_progress' || worker.retiring) return;
+      try {
+        await this.downloadChunk(chunkInfo.index, mirror, worker);
+        return;
+      } catch (error) {
+        // 需要认证时不计入重试次数：有凭据时立即重试，否则下载已暂停
+        if (error.name === 'AuthRequiredError') {
+          if (this.handleAuthRequired(error)) continue;
+          return;
+        }
+
+        // 服务器限流时等待 Retry-After 指定的时间，不计入重试次数（超过等待次数上限后按普通错误处理）
+        if (
+          this.isServerBusy(error) &&
+          ++busyRetries <= this.options.maxBusyRetries
+        ) {
+          this.handleServerBusy(error, ConnectionPool.hostOf(mirror.url));
+          continue;
+        }
+
+        chunkInfo.retries = (chunkInfo.retries || 0) + 1;
+        chunkInfo.lastError = error.message;
+
+        const switched = this.recordMirrorFailure(mirror, error);
+        if (
+          this.state !== 'in_progress' ||
+          this.isChunkModeAborted() ||
+          (!switched && !this.isRetryable(error)) ||
+          chunkInfo.retries > this.options.maxRetries
+        ) {
+          throw error;
+        }
+
+        // 停滞的连接和换到其他镜像时立即重新请求
+        const delay =
+          switched || error.name === 'StallError'
+            ? 0
+            : this.getRetryDelay(chunkInfo.retries);
+        console.warn(
+          `${this.logPrefix} 分块 ${chunkInfo.index} 第 ${chunkInfo.retries}/${this.options.maxRetries} 次重试, ${delay}ms 后从 ${chunkInfo.downloaded} 字节处继续`
+        );
+        this.emitProgress();
+
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        // 等待期间被暂停、取消或连接被撤回
+        if (this.state !== 'in_progress' || worker.retiring) return;
+      }
+    }
+  }
+
+  // 判断错误是否值得重试：网络错误、超时、5xx、408 和 429 可以重试
+  isRetryable(error) {
+    if (this.isChunkModeAborted()) return false;
+    if (error.name === 'TempFileError') return false;
+    if (error.name === 'AuthRequiredError') return false;
+    if (!error.status) return true;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+
+  // HTTP 错误，429 / 503 响应附带 Retry-After 指定的等待时间 (ms)
+  createHttpError(label, response) {
+    const error = new Error(`${label} HTTP 错误: ${response.status}`);
+    error.status = response.status;
+    if (response.status === 429 || response.status === 503) {
+      error.retryAfter = Downloader.parseRetryAfter(
+        response.headers.get('Retry-After')
+      );
+    }
+    return error;
+  }
+
+  // 服务器限流：429 / 503 且给出了 Retry-After（没有给出时按普通错误重试）
+  isServerBusy(error) {
+    return (
+      (error.status === 429 || error.status === 503) && error.retryAfter > 0
+    );
+  }
+
+  // 服务器限流：在 Retry-After 指定的时间内所有下载都不再向该主机发出请求，
+  // 同时减少一个连接并在退避结束后一段时间内不再增加；多个连接先后收到的限流响应只减少一次
+  handleServerBusy(error, host) {
+    const now = Date.now();
+    const until = now + error.retryAfter;
+    const backingOff = this.backoffPool.getBackoff(host) > 0;
+    this.backoffPool.backoff(host, until);
+    this.growHoldUntil = Math.max(
+      this.growHoldUntil,
+      until + this.options.adaptInterval * 6
+    );
+    console.warn(
+      `${this.logPrefix} 服务器限流 (${error.status})，${Math.ceil(
+        error.retryAfter / 1000
+      )} 秒后再向 ${host} 发出请求`
+    );
+    if (backingOff) return;
+
+    // 只撤回仍在工作的连接，保证至少留下一个连接在退避结束后继续下载被让出的分块
+    const active = [...this.workers.values()].filter(
+      (worker) => !worker.retiring && !worker.done
+    );
+    if (active.length > 1) {
+      const worker = active.reduce((a, b) => (b.id > a.id ? b : a));
+      worker.retiring = true;
+      this.connections = active.length - 1;
+      console.log(
+        `${this.logPrefix} 连接数 ${active.length} -> ${this.connections} (服务器限流)`
+      );
+    }
+  }
+
+  // 等待主机的退避结束，等待期间状态显示为等待服务器
+  // 每秒检查一次，以便及时响应暂停和取消，退避时间被其他连接延长时继续等待
+  async waitForHost(host) {
+    let until = this.backoffPool.getBackoff(host);
+    while (until && this.state === 'in_progress') {
+      if (this.waitingUntil !== until) {
+        this.waitingUntil = until;
+        this.emitProgress();
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(1000, until - Date.now()))
+      );
+      until = this.backoffPool.getBackoff(host);
+    }
+    if (this.waitingUntil) {
+      this.waitingUntil = null;
+      this.emitProgress();
+    }
+  }
+
+  // 解析 Retry-After（秒数或 HTTP 日期），返回需要等待的毫秒数，无法解析时返回 null
+  static parseRetryAfter(value, now = Date.now()) {
+    const text = String(value || '').trim();
+    if (/^\d+$/.test(text)) return Number(text) * 1000;
+    // HTTP 日期的三种格式都以星期开头，Date.parse 会把 "1.5"、"-5" 之类的内容也当作日期
+    if (!/^[a-z]{3}/i.test(text)) return null;
+    const time = Date.parse(text);
+    return isNaN(time) ? null : Math.max(0, time - now);
+  }
+
+  // 指数退避 + 随机抖动，避免多个分块同时重试
+  getRetryDelay(retries) {
+    const delay = Math.min(
+      this.options.retryMaxDelay,
+      this.options.retryBaseDelay * Math.pow(2, retries - 1)
+    );
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  // 领取下一个要下载的分块
+  acquireChunk() {
+    if (this.state !== 'in_progress' || this.isChunkModeAborted()) return null;
+
+    // 1. 优先领取没有连接在下载的未完成分块
+    const idle = this.chunkProgress.find(
+      (chunk) => !chunk.completed && !chunk.active && !chunk.failed
+    );
+    if (idle) {
+      idle.active = true;
+      return idle;
+    }
+
+    // 2. 没有空闲分块时，切分剩余字节最多的分块
+    return this.splitLargestChunk();
+  }
+
+  // 切分剩余字节最多的分块，返回新切出的后半段
+  splitLargestChunk() {
+    let target = null;
+    let maxRemaining = 0;
+
+    for (const chunk of this.chunkProgress) {
+      if (!chunk.active || chunk.completed) continue;
+      const remaining = chunk.end - (chunk.start + chunk.downloaded) + 1;
+      if (remaining > maxRemaining) {
+        target = chunk;
+        maxRemaining = remaining;
+      }
+    }
+
+    // 剩余部分太小时切分得不偿失（额外请求的开销大于收益）
+    if (!target || maxRemaining < this.options.minSplitSize * 2) {
+      return null;
+    }
+
+    const splitAt =
+      target.start + target.downloaded + Math.ceil(maxRemaining / 2);
+    const chunk = {
+      index: this.chunkProgress.length,
+      start: splitAt,
+      end: target.end,
+      downloaded: 0,
+      persisted: 0,
+      completed: false,
+      active: true,
+    };
+
+    // 原分块的请求范围不变，读取时会丢弃超出新结束位置的数据
+    target.end = splitAt - 1;
+    this.chunkProgress.push(chunk);
+    this.abortControllers.push(new AbortController());
+    this.persistMeta();
+
+    console.log(
+      `${this.logPrefix} 切分分块 ${target.index}: ${target.start}-${target.end}, 新分块 ${chunk.index}: ${chunk.start}-${chunk.end}`
+    );
+    return chunk;
+  }
+
+  // 下载单个分块(支持断点续传)，worker 为下载该分块的连接
+  async downloadChunk(index, mirror = this.mirrors[0], worker = null) {
+    const chunkInfo = this.chunkProgress[index];
+    const chunkStartTime = Date.now();
+
+    if (chunkInfo.completed) {
+      console.log(`${this.logPrefix} 分块 ${index} 已完成,跳过`);
+      return;
+    }
+
+    // 计算当前分块的实际起始位置(考虑已下载的部分)
+    const currentStart = chunkInfo.start + chunkInfo.downloaded;
+    const currentEnd = chunkInfo.end;
+
+    if (currentStart > currentEnd) {
+      chunkInfo.completed = true;
+      return;
+    }
+
+    const chunkSize = currentEnd - currentStart + 1;
+    console.log(
+      `${this.logPrefix} 分块 ${index}: 范围=${currentStart}-${currentEnd} (${(
+        chunkSize / 1024
+      ).toFixed(2)} KB)${mirror.url !== this.url ? `, 镜像=${mirror.url}` : ''}`
+    );
+
+    try {
+      const headers = { Range: `bytes=${currentStart}-${currentEnd}` };
+      // 携带 If-Range：文件未变化时服务器返回 206，变化时返回完整的 200 响应
+      const ifRange = this.getIfRangeValidator(mirror);
+      if (ifRange) {
+        headers['If-Range'] = ifRange;
+      }
+      const fetchStartTime = Date.now();
+      chunkInfo.lastActivity = fetchStartTime;
+
+      const requestHeaders = this.getRequestHeaders(mirror.url, 'GET', headers);
+      const response = await fetch(mirror.url, {
+        headers: requestHeaders,
+        signal: this.abortControllers[index].signal,
+        credentials: 'include', // 携带认证信息
+      });
+      this.checkAuth(response, mirror.url, requestHeaders);
+
+      const fetchDuration = Date.now() - fetchStartTime;
+      console.log(
+        `${this.logPrefix} 分块 ${index} 响应: 状态=${response.status}, 耗时=${fetchDuration}ms`
+      );
+
+      if (!response.ok && response.status !== 206) {
+        throw this.createHttpError(`分块 ${index}`, response);
+      }
+
+      if (
+        response.status === 200 &&
+        ifRange &&
+        this.hasResourceChanged(response, mirror)
+      ) {
+        response.body.cancel().catch(() => {});
+        // 只是某个镜像的文件不同时停用该镜像，否则整个下载重新开始
+        if (!this.disableMirror(mirror, '文件已变化')) {
+          this.markResourceChanged(index);
+        }
+        throw new Error(`分块 ${index}: 服务器上的文件已变化`);
+      }
+
+      // 必须是 206 且 Content-Range 与请求的范围一致，否则每个分块都会拿到错误的数据
+      const rangeError = this.checkRangeResponse(
+        response,
+        currentStart,
+        currentEnd
+      );
+      if (rangeError) {
+        response.body.cancel().catch(() => {});
+        if (!this.disableMirror(mirror, rangeError)) {
+          this.markRangeMismatch(index, rangeError);
+        }
+        throw new Error(`分块 ${index}: ${rangeError}`);
+      }
+
+      const reader = response.body.getReader();
+      let lastLogTime = Date.now();
+      let bytesInInterval = 0;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        // 分块可能已被其他连接切分，丢弃超出当前结束位置的数据
+        const remaining =
+          chunkInfo.end - (chunkInfo.start + chunkInfo.downloaded) + 1;
+        const bytes =
+          value.length > remaining ? value.subarray(0, remaining) : value;
+
+        // 直接写入临时文件中对应的位置（取消后不再写入，避免重新创建已删除的文件）
+        if (this.cancelled) throw new Error('下载已取消');
+        chunkInfo.lastActivity = null; // 写入、限速等待和提交期间不检测停滞
+        await this.file.write(chunkInfo.start + chunkInfo.downloaded, bytes);
+        chunkInfo.downloaded += bytes.length;
+        mirror.bytes += bytes.length;
+        bytesInInterval += bytes.length;
+        this.updateProgress(bytes.length);
+        this.lastActivityTime = Date.now();
+        await this.throttle(bytes.length);
+
+        if (Date.now() - this.lastCommitTime >= this.options.commitInterval) {
+          await this.checkpoint();
+        }
+        chunkInfo.lastActivity = Date.now();
+
+        // 每2秒记录一次分块进度
+        const now = Date.now();
+        if (now - lastLogTime > 2000) {
+          const speed = (bytesInInterval / (now - lastLogTime)) * 1000;
+          this.updateMirrorSpeed(mirror, speed);
+          console.log(
+            `${this.logPrefix} 分块 ${index} 进度: ${(
+              (chunkInfo.downloaded / chunkSize) *
+              100
+            ).toFixed(1)}%, 速度: ${(speed / 1024).toFixed(2)} KB/s`
+          );
+          lastLogTime = now;
+          bytesInInterval = 0;
+        }
+
+        if (chunkInfo.start + chunkInfo.downloaded > chunkInfo.end) {
+          // 已到达（可能被切分后的）结束位置，剩余数据由其他连接负责
+          reader.cancel().catch(() => {});
+          break;
+        }
+
+        if (worker && worker.retiring) {
+          // 连接被撤回，分块未完成的部分由其他连接领取后继续下载
+          reader.cancel().catch(() => {});
+          console.log(
+            `${this.logPrefix} 分块 ${index} 让出,已下载: ${chunkInfo.downloaded} 字节`
+          );
+          return;
+        }
+      }
+
+      // 标记分块完成
+      chunkInfo.completed = true;
+      const chunkDuration = Date.now() - chunkStartTime;
+      console.log(
+        `${
+          this.logPrefix
+        } 分块 ${index} 完成,耗时: ${chunkDuration}ms, 平均速度: ${(
+          ((chunkSize / chunkDuration) * 1000) /
+          1024
+        ).toFixed(2)} KB/s`
+      );
+    } catch (error) {
+      const chunkDuration = Date.now() - chunkStartTime;
+
+      // 如果是 AbortError 且状态为 paused,不抛出错误
+      if (error.name === 'AbortError' && this.state === 'paused') {
+        console.log(
+          `${this.logPrefix} 分块 ${index} 已暂停,已下载: ${chunkInfo.downloaded} 字节,耗时: ${chunkDuration}ms`
+        );
+        return;
+      }
+
+      // 其他分块检测到文件变化或范围错误而中止了本分块，由 downloadChunks 统一处理
+      if (error.name === 'AbortError' && this.isChunkModeAborted()) {
+        return;
+      }
+
+      // 停滞被 checkStalls 中止，作为可重试的错误重新请求
+      if (error.name === 'AbortError' && chunkInfo.stalled) {
+        throw this.createStallError(`分块 ${index}`);
+      }
+
+      console.error(
+        `${this.logPrefix} 分块 ${index} 失败,耗时: ${chunkDuration}ms, 错误: ${error.name} - ${error.message}`
+      );
+      this.interruptReason = `分块 ${index} 失败: ${error.message}`;
+      throw error;
+    } finally {
+      chunkInfo.lastActivity = null;
+      chunkInfo.stalled = false;
+    }
+  }
+
+  // 请求因停滞被 checkStalls 中止（可以重试）
+  createStallError(label) {
+    const error = new Error(
+      `${label} 超过 ${Math.round(
+        this.options.stallTimeout / 1000
+      )} 秒没有收到数据`
+    );
+    error.name = 'StallError';
+    console.warn(`${this.logPrefix} ${error.message}`);
+    return error;
+  }
+
+  // 获取地址对应的 ETag / Last-Modified（原始地址使用 HEAD 响应中记录的值，镜像使用各自的值）
+  getValidators(mirror) {
+    return mirror && mirror.url !== this.url ? mirror : this;
+  }
+
+  // 获取 If-Range 校验值：优先使用强 ETag（弱 ETag 不能用于 If-Range），否则使用 Last-Modified
+  getIfRangeValidator(mirror) {
+    const { etag, lastModified } = this.getValidators(mirror);
+    if (etag && !etag.startsWith('W/')) {
+      return etag;
+    }
+    return lastModified;
+  }
+
+  // 根据 200 响应的校验头判断文件是否变化（校验头缺失时按已变化处理）
+  hasResourceChanged(response, mirror) {
+    const { etag, lastModified } = this.getValidators(mirror);
+    const responseEtag = response.headers.get('etag');
+    const responseLastModified = response.headers.get('last-modified');
+
+    if (etag && responseEtag) return responseEtag !== etag;
+    if (lastModified && responseLastModified) {
+      return responseLastModified !== lastModified;
+    }
+    return true;
+  }
+
+  // 重置所有镜像的统计和状态
+  resetMirrors() {
+    this.mirrors.forEach((mirror) => {
+      Object.assign(mirror, {
+        bytes: 0, // 从该镜像下载的字节数
+        failures: 0,
+        speed: 0, // 单个连接的平均速度 (bytes/s)
+        disabled: false,
+        reason: null, // 停用原因
+        etag: null,
+        lastModified: null,
+      });
+    });
+  }
+
+  // 检查镜像：无法获取文件信息（HEAD 和 Range 探测都失败）、文件大小不一致或不支持 Range 的镜像不使用
+  async probeMirrors() {
+    await Promise.all(
+      this.mirrors.slice(1).map(async (mirror) => {
+        let info = null;
+        let reason;
+        try {
+          const response = await this.fetchWithTimeout(mirror.url, {
+            method: 'HEAD',
+          });
+          if (response.ok) {
+            info = {
+              totalBytes: parseInt(
+                response.headers.get('content-length') || '0'
+              ),
+              supportsRange: response.headers.get('accept-ranges') === 'bytes',
+              headers: response.headers,
+            };
+          } else {
+            reason = `HEAD 请求失败: ${response.status}`;
+          }
+        } catch (error) {
+          reason = `HEAD 请求失败: ${error.message}`;
+        }
+
+        // 镜像拒绝 HEAD 请求时改用 Range 请求探测
+        if (!info) {
+          const probe = await this.probeRange(mirror.url);
+          if (probe) {
+            info = {
+              totalBytes: probe.totalBytes,
+              supportsRange: true,
+              headers: probe.response.headers,
+            };
+          }
+        }
+
+        if (!info) {
+          this.disableMirror(mirror, `${reason}，Range 探测失败`);
+        } else if (info.totalBytes !== this.totalBytes) {
+          this.disableMirror(
+            mirror,
+            `文件大小不一致: ${info.totalBytes} / ${this.totalBytes}`
+          );
+        } else if (!info.supportsRange) {
+          this.disableMirror(mirror, '不支持 Range 请求');
+        } else {
+          mirror.etag = info.headers.get('etag');
+          mirror.lastModified = info.headers.get('last-modified');
+        }
+      })
+    );
+
+    const active = this.mirrors.filter((mirror) => !mirror.disabled);
+    console.log(
+      `${this.logPrefix} 可用镜像 ${active.length}/${this.mirrors.length} 个`
+    );
+  }
+
+  // 为连接选择镜像：按连接编号轮流分配到可用的镜像上
+  pickMirror(workerId) {
+    this.disableSlowMirrors();
+    const active = this.mirrors.filter((mirror) => !mirror.disabled);
+    return active[workerId % active.length];
+  }
+
+  // 停用镜像（至少保留一个可用地址），返回镜像是否已停用
+  disableMirror(mirror, reason) {
+    if (mirror.disabled) return true;
+
+    const active = this.mirrors.filter((m) => !m.disabled);
+    if (active.length <= 1) return false;
+
+    mirror.disabled = true;
+    mirror.reason = reason;
+    console.warn(`${this.logPrefix} 停用镜像 ${mirror.url}: ${reason}`);
+    return true;
+  }
+
+  // 记录镜像失败，失败过多或不可重试的错误会停用该镜像，返回是否需要换镜像重试
+  recordMirrorFailure(mirror, error) {
+    if (this.mirrors.length < 2 || error.name === 'AbortError') return false;
+
+    mirror.failures++;
+    if (
+      mirror.disabled ||
+      !this.isRetryable(error) ||
+      mirror.failures >= this.options.mirrorMaxFailures
+    ) {
+      return this.disableMirror(mirror, error.message);
+    }
+    return false;
+  }
+
+  // 更新镜像速度（指数滑动平均）
+  updateMirrorSpeed(mirror, speed) {
+    mirror.speed = mirror.speed ? mirror.speed * 0.7 + speed * 0.3 : speed;
+  }
+
+  // 停用明显慢于最快镜像的镜像
+  disableSlowMirrors() {
+    const measured = this.mirrors.filter((m) => !m.disabled && m.speed > 0);
+    if (measured.length < 2) return;
+
+    const fastest = Math.max(...measured.map((m) => m.speed));
+    measured.forEach((mirror) => {
+      if (mirror.speed < fastest * this.options.mirrorSlowRatio) {
+        this.disableMirror(
+          mirror,
+          `速度过慢 (${(mirror.speed / 1024).toFixed(0)} KB/s)`
+        );
+      }
+    });
+  }
+
+  // 获取各镜像的下载量和状态
+  getMirrorStats() {
+    return this.mirrors.map((mirror) => ({
+      url: mirror.url,
+      bytes: mirror.bytes,
+      disabled: mirror.disabled,
+      reason: mirror.reason,
+    }));
+  }
+
+  // 检查分块响应的状态码和 Content-Range，返回错误说明，正确时返回 null
+  checkRangeResponse(response, start, end) {
+    if (response.status !== 206) {
+      return `请求范围 ${start}-${end}，服务器返回 ${response.status} 而不是 206`;
+    }
+
+    const contentRange = response.headers.get('content-range');
+    const match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i.exec(
+      (contentRange || '').trim()
+    );
+    if (!match) {
+      return `Content-Range 无效: ${contentRange}`;
+    }
+
+    const rangeStart = parseInt(match[1]);
+    const rangeEnd = parseInt(match[2]);
+    const total = match[3] === '*' ? null : parseInt(match[3]);
+    if (rangeStart !== start || rangeEnd !== end) {
+      return `请求范围 ${start}-${end}，服务器返回 ${rangeStart}-${rangeEnd}`;
+    }
+    if (total !== null && this.totalBytes > 0 && total !== this.totalBytes) {
+      return `文件大小不一致: HEAD=${this.totalBytes}, Content-Range=${total}`;
+    }
+    return null;
+  }
+
+  // 分块模式是否已因文件变化或范围错误而中止
+  isChunkModeAborted() {
+    return this.resourceChanged || this.rangeMismatch;
+  }
+
+  // 标记服务器不能正确处理 Range，并中止其他分块的请求
+  markRangeMismatch(index, reason) {
+    if (this.isChunkModeAborted()) return;
+
+    console.warn(
+      `${this.logPrefix} 分块 ${index} 范围校验失败: ${reason}，将改为单线程下载`
+    );
+    this.rangeMismatch = true;
+    this.abortControllers.forEach((controller) => controller.abort());
+  }
+
+  // 标记文件已变化，并中止其他分块的请求
+  markResourceChanged(index) {
+    if (this.resourceChanged) return;
+
+    console.warn(
+      `${this.logPrefix} 分块 ${index} 收到 200 响应，服务器上的文件已变化 (ETag: ${this.etag}, Last-Modified: ${this.lastModified})`
+    );
+    this.resourceChanged = true;
+    this.abortControllers.forEach((controller) => controller.abort());
+  }
+
+  // 文件变化后丢弃已下载的数据，重新开始下载
+  async restartAfterChange() {
+    this.restartCount++;
+    if (this.restartCount > 2) {
+      throw new Error('服务器上的文件在下载过程中反复变化，无法完成下载');
+    }
+
+    console.warn(
+      `${this.logPrefix} 文件已变化，丢弃已下载的 ${this.bytesReceived} 字节，重新开始下载 (第 ${this.restartCount} 次)`
+    );
+
+    await this.discardProgress();
+    this.totalBytes = 0;
+    this.etag = null;
+    this.lastModified = null;
+    this.expectedHash = this.options.expectedHash; // 旧响应头中的校验值已不适用
+    this.resetMirrors();
+    this.resourceChanged = false;
+
+    if (this.onRestart) {
+      this.onRestart({
+        id: this.id,
+        reason: '服务器上的文件已变化',
+        restartCount: this.restartCount,
+      });
+    }
+
+    await this.start();
+  }
+
+  // 服务器不能正确处理 Range 时丢弃分块数据，改为单线程下载
+  async fallbackToSingle() {
+    console.warn(
+      `${this.logPrefix} 服务器未正确响应 Range 请求，丢弃已下载的 ${this.bytesReceived} 字节，改为单线程下载`
+    );
+
+    await this.discardProgress();
+    this.supportsRange = false; // 单线程下载不再持久化分块进度
+
+    if (this.onRestart) {
+      this.onRestart({
+        id: this.id,
+        reason: '服务器不支持分块下载',
+        restartCount: this.restartCount,
+      });
+    }
+
+    await this.downloadSingle();
+  }
+
+  // 丢弃已下载的数据和分块进度（等待进行中的写入结束后再清理，避免残留旧数据）
+  async discardProgress() {
+    const store = this.options.store;
+    if (store) {
+      await this.persistQueue;
+      await store.delete(this.id).catch((error) => {
+        console.warn(`${this.logPrefix} 清理旧分块进度失败:`, error);
+      });
+    }
+    await this.file.remove().catch((error) => {
+      console.warn(`${this.logPrefix} 删除旧临时文件失败:`, error);
+    });
+
+    this.chunkProgress = [];
+    this.abortControllers = [];
+    this.chunks = [];
+    this.bytesReceived = 0;
+    this.lastBytesReceived = 0;
+  }
+
+  // 合并前检查实际收到的字节数与文件大小一致
+  verifyByteCount(received) {
+    if (this.totalBytes > 0 && received !== this.totalBytes) {
+      throw new Error(
+        `下载的数据大小不正确: 收到 ${received} 字节，应为 ${this.totalBytes} 字节`
+      );
+    }
+  }
+
+  // HLS 下载：解析播放列表，并行下载所有分片（AES-128 加密的分片先解密），按顺序合并为一个文件
+  async downloadHls() {
+    this.streamType = 'hls';
+    console.log(`${this.logPrefix} 使用 HLS 分片下载模式`);
+
+    let playlist = HlsPlaylist.parse(await this.fetchText(this.url), this.url);
+    if (playlist.type === 'master') {
+      const variant = HlsPlaylist.selectVariant(
+        playlist.variants,
+        this.options.hlsVariant
+      );
+      console.log(
+        `${this.logPrefix} 主播放列表有 ${
+          playlist.variants.length
+        } 个清晰度，选择: ${HlsPlaylist.describeVariant(variant)}`
+      );
+      playlist = HlsPlaylist.parse(
+        await this.fetchText(variant.uri),
+        variant.uri
+      );
+    }
+
+    if (!playlist.endList) {
+      throw new Error('暂不支持直播流（播放列表没有 EXT-X-ENDLIST）');
+    }
+    if (playlist.segments.length === 0) {
+      throw new Error('播放列表中没有分片');
+    }
+
+    const segments = playlist.map
+      ? [playlist.map, ...playlist.segments]
+      : playlist.segments;
+
+    this.setSegments(segments);
+    this.filename = HlsPlaylist.outputFilename(this.filename, !!playlist.map);
+    console.log(
+      `${this.logPrefix} 共 ${this.segments.length} 个分片，保存为 ${this.filename}`
+    );
+
+    await this.downloadSegments();
+  }
+
+  // DASH 下载：解析 MPD 清单，选择视频和音频轨道，两个轨道的分片交替并行下载，各自合并为一个 fMP4 文件
+  async downloadDash() {
+    this.streamType = 'dash';
+    console.log(`${this.logPrefix} 使用 DASH 分片下载模式`);
+
+    const manifest = DashManifest.parse(
+      await this.fetchText(this.url),
+      this.url
+    );
+    if (manifest.dynamic) {
+      throw new Error('暂不支持直播流（动态 MPD 清单）');
+    }
+
+    const selected = [
+      DashManifest.selectRepresentation(manifest.video, this.options.dashVideo),
+      DashManifest.selectRepresentation(manifest.audio, this.options.dashAudio),
+    ].filter(Boolean);
+    if (selected.length === 0) {
+      throw new Error('清单中没有可下载的音视频轨道');
+    }
+
+    const trackSegments = [];
+    for (const rep of selected) {
+      let segments = DashManifest.buildSegments(rep, manifest.duration);
+      if (!segments) {
+        // SegmentBase：先读取 sidx 索引，再按索引拆分字节范围
+        const indexData = await this.fetchRange(
+          rep.baseUrl,
+          DashManifest.getIndexRange(rep)
+        );
+        segments = DashManifest.segmentsFromIndex(rep, indexData);
+      }
+      console.log(
+        `${this.logPrefix} ${rep.type} 轨道: ${rep.label}, ${segments.length} 个分片`
+      );
+      // 按在轨道中的相对位置排序，使视频和音频分片交替下载
+      segments.forEach((segment, i) => {
+        trackSegments.push({
+          ...segment,
+          track: rep.type,
+          position: i / segments.length,
+        });
+      });
+    }
+    trackSegments.sort((a, b) => a.position - b.position);
+    this.setSegments(trackSegments);
+
+    this.tracks = selected.map((rep) => ({
+      type: rep.type,
+      label: rep.label,
+      filename: DashManifest.outputFilename(this.filename, rep.type),
+    }));
+    this.filename = this.tracks[0].filename;
+
+    await this.downloadSegments();
+  }
+
+  // 初始化分片列表
+  setSegments(segments) {
+    this.segmentFiles = new Map();
+    this.segments = segments.map((segment, index) => ({
+      ...segment,
+      index,
+      offset: 0, // 在临时文件中的位置
+      size: 0,
+      completed: false,
+      active: false,
+      failed: false,
+      retries: 0,
+      lastError: null,
+    }));
+  }
+
+  // 读取文本（播放列表、清单）
+  async fetchText(url) {
+    const response = await this.fetchWithTimeout(url);
+    if (!response.ok) {
+      throw new Error(`获取 ${url} 失败: HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  // 读取指定字节范围
+  async fetchRange(url, range) {
+    const response = await this.fetchWithTimeout(url, {
+      headers: {
+        Range: `bytes=${range.offset}-${range.offset + range.length - 1}`,
+      },
+    });
+    if (response.status !== 206) {
+      throw new Error(`读取 ${url} 的索引失败: HTTP ${response.status}`);
+    }
+    return response.arrayBuffer();
+  }
+
+  // 并行下载剩余的流媒体分片，全部完成后合并
+  async downloadSegments() {
+    this.segments.forEach((segment) => {
+      segment.failed = false;
+    });
+    const connections = this.getInitialConnections();
+    this.abortControllers = Array.from(
+      { length: connections },
+      () => new AbortController()
+    );
+
+    const controllers = this.abortControllers;
+
+    const workers = [];
+    for (let i = 0; i < connections; i++) {
+      workers.push(this.runSegmentWorker(i));
+    }
+    this.startWatchdog();
+    const results = await Promise.allSettled(workers);
+    // 暂停后很快恢复时，新一轮下载已经开始，不能停止它的定时器
+    if (this.abortControllers === controllers) {
+      this.stopWatchdog();
+    }
+
+    if (this.state === 'paused') {
+      console.log('下载已暂停，等待恢复');
+      return;
+    }
+
+    const failures = results.filter((r) => r.status === 'rejected');
+    if (failures.length > 0) {
+      throw new Error(
+        `${failures.length} 个连接下载分片失败: ${failures[0].reason}`
+      );
+    }
+    if (!this.segments.every((segment) => segment.completed)) {
+      console.warn('部分分片未完成，下载未完成');
+      return;
+    }
+
+    try {
+      await this.assembleSegments();
+    } catch (error) {
+      this.handleError(error);
+      return;
+    }
+    this.totalBytes = this.bytesReceived;
+    await this.finish();
   }
 
-  // 分块下载
-  async downloadChunks() {
-    const promises = [];
-
-    for (let i = 0; i < this.options.chunks; i++) {
-      promises.push(this.downloadChunk(i));
+  // 分片写入的临时文件：HLS 和 DASH 的第一个轨道写入下载的临时文件，
+  // 其余轨道各写入一个 `${id}_${track}` 临时文件（与附加文件的 ID 相同）
+  // 分片按完成顺序追加，在文件中的位置记录在分片中
+  getSegmentFile(track) {
+    if (!this.segmentFiles.has(track)) {
+      const primary = !track || track === this.tracks[0].type;
+      this.segmentFiles.set(track, {
+        file: primary ? this.file : new TempFile(`${this.id}_${track}`),
+        size: 0,
+      });
     }
+    return this.segmentFiles.get(track);
+  }
 
-    try {
-      // 使用 allSettled 而不是 all，这样单个分块失败不会中断其他分块
-      const results = await Promise.allSettled(promises);
+  // 按顺序合并分片：HLS 合并为一个文件；DASH 每个轨道一个文件，第一个轨道是主文件，其余作为附加文件保存
+  // 合并结果由临时文件的切片组成，由磁盘支持，不会载入内存
+  async assembleSegments() {
+    const files = new Map();
+    for (const [track, { file }] of this.segmentFiles) {
+      files.set(track, await file.getFile());
+    }
+    const assemble = (segments) =>
+      new Blob(
+        segments.map((segment) =>
+          files
+            .get(segment.track)
+            .slice(segment.offset, segment.offset + segment.size)
+        )
+      );
 
-      // 如果已经暂停，不要标记为完成
-      if (this.state === 'paused') {
-        console.log('下载已暂停，等待恢复');
-        return;
-      }
+    if (this.streamType !== 'dash') {
+      this.chunks = [assemble(this.segments)];
+      return;
+    }
 
-      // 检查是否有失败的分块
-      const failures = results.filter((r) => r.status === 'rejected');
+    const tracks = this.tracks.map((track) => ({
+      track: track.type,
+      filename: track.filename,
+      blob: assemble(
+        this.segments.filter((segment) => segment.track === track.type)
+      ),
+    }));
+    this.chunks = [tracks[0].blob];
+    this.attachments = tracks.slice(1);
+  }
 
-      if (failures.length > 0) {
-        console.error(`${failures.length} 个分块下载失败`);
-        throw new Error(
-          `${failures.length} 个分块下载失败: ${failures[0].reason}`
-        );
-      }
+  // 分片下载工作循环
+  async runSegmentWorker(workerId) {
+    let segment = this.acquireSegment();
 
-      // 检查是否所有分块都真正完成了
-      const allCompleted = this.chunkProgress.every((chunk) => chunk.completed);
-      if (allCompleted) {
-        this.finish();
-      } else {
-        console.warn('部分分块未完成，下载未完成');
+    while (segment) {
+      segment.active = true;
+      try {
+        await this.downloadSegmentWithRetry(segment, workerId);
+      } catch (error) {
+        segment.failed = true;
+        throw error;
+      } finally {
+        segment.active = false;
       }
-    } catch (error) {
-      this.handleError(error);
+      segment = this.acquireSegment();
     }
   }
 
-  // 下载单个分块(支持断点续传)
-  async downloadChunk(index) {
-    const chunkInfo = this.chunkProgress[index];
-    const chunkStartTime = Date.now();
+  // 领取下一个未下载的分片
+  acquireSegment() {
+    if (this.state !== 'in_progress') return null;
+    return (
+      this.segments.find((s) => !s.completed && !s.active && !s.failed) || null
+    );
+  }
 
-    if (chunkInfo.completed) {
-      console.log(`${this.logPrefix} 分块 ${index} 已完成,跳过`);
-      return;
-    }
+  // 下载分片，失败时按指数退避重试
+  async downloadSegmentWithRetry(segment, workerId) {
+    let busyRetries = 0;
+    while (true) {
+      await this.waitForHost(ConnectionPool.hostOf(segment.uri));
+      if (this.state !== 'in_progress') return;
+      try {
+        await this.downloadSegment(segment, workerId);
+        return;
+      } catch (error) {
+        if (error.name === 'AbortError' && this.state === 'paused') return;
+        // 需要认证时有凭据则立即重试，否则下载已暂停，结束该连接
+        if (error.name === 'AuthRequiredError') {
+          if (this.handleAuthRequired(error)) continue;
+          throw error;
+        }
 
-    // 计算当前分块的实际起始位置(考虑已下载的部分)
-    const currentStart = chunkInfo.start + chunkInfo.downloaded;
-    const currentEnd = chunkInfo.end;
+        if (
+          this.isServerBusy(error) &&
+          ++busyRetries <= this.options.maxBusyRetries
+        ) {
+          this.handleServerBusy(error, ConnectionPool.hostOf(segment.uri));
+          continue;
+        }
 
-    if (currentStart > currentEnd) {
-      chunkInfo.completed = true;
-      return;
+        segment.retries++;
+        segment.lastError = error.message;
+        if (
+          this.state !== 'in_progress' ||
+          !this.isRetryable(error) ||
+          segment.retries > this.options.maxRetries
+        ) {
+          this.interruptReason = `分片 ${segment.index} 失败: ${error.message}`;
+          throw error;
+        }
+
+        // 停滞的连接立即重新请求
+        const delay =
+          error.name === 'StallError' ? 0 : this.getRetryDelay(segment.retries);
+        console.warn(
+          `${this.logPrefix} 分片 ${segment.index} 第 ${segment.retries}/${this.options.maxRetries} 次重试, ${delay}ms 后重新下载: ${error.message}`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (this.state !== 'in_progress') return;
+      }
     }
+  }
 
-    const chunkSize = currentEnd - currentStart + 1;
-    console.log(
-      `${this.logPrefix} 分块 ${index}: 范围=${currentStart}-${currentEnd} (${(
-        chunkSize / 1024
-      ).toFixed(2)} KB)`
-    );
+  // 下载单个分片（分片较小，失败后整个分片重新下载）
+  async downloadSegment(segment, workerId) {
+    const headers = {};
+    if (segment.byteRange) {
+      const { offset, length } = segment.byteRange;
+      headers.Range = `bytes=${offset}-${offset + length - 1}`;
+    }
 
+    const parts = [];
+    let size = 0;
+    segment.workerId = workerId;
+    segment.received = 0;
     try {
-      const headers = { Range: `bytes=${currentStart}-${currentEnd}` };
-      const fetchStartTime = Date.now();
-
-      const response = await fetch(this.url, {
-        headers,
-        signal: this.abortControllers[index].signal,
+      const requestHeaders = this.getRequestHeaders(
+        segment.uri,
+        'GET',
+        headers
+      );
+      segment.lastActivity = Date.now();
+      const response = await fetch(segment.uri, {
+        headers: requestHeaders,
+        signal: this.abortControllers[workerId].signal,
         credentials: 'include', // 携带认证信息
       });
-
-      const fetchDuration = Date.now() - fetchStartTime;
-      console.log(
-        `${this.logPrefix} 分块 ${index} 响应: 状态=${response.status}, 耗时=${fetchDuration}ms`
-      );
-
-      if (!response.ok && response.status !== 206) {
-        throw new Error(`分块 ${index} HTTP 错误: ${response.status}`);
+      this.checkAuth(response, segment.uri, requestHeaders);
+      if (!response.ok) {
+        throw this.createHttpError(`分片 ${segment.index}`, response);
       }
 
       const reader = response.body.getReader();
-      let lastLogTime = Date.now();
-      let bytesInInterval = 0;
-
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
-        // 保存数据块
-        chunkInfo.data.push(value);
-        chunkInfo.downloaded += value.length;
-        bytesInInterval += value.length;
+        parts.push(value);
+        size += value.length;
+        segment.received = size;
+        segment.lastActivity = null; // 限速等待期间不检测停滞
         this.updateProgress(value.length);
         this.lastActivityTime = Date.now();
-
-        // 每2秒记录一次分块进度
-        const now = Date.now();
-        if (now - lastLogTime > 2000) {
-          const speed = (bytesInInterval / (now - lastLogTime)) * 1000;
-          console.log(
-            `${this.logPrefix} 分块 ${index} 进度: ${(
-              (chunkInfo.downloaded / chunkSize) *
-              100
-            ).toFixed(1)}%, 速度: ${(speed / 1024).toFixed(2)} KB/s`
-          );
-          lastLogTime = now;
-          bytesInInterval = 0;
-        }
+        await this.throttle(value.length);
+        segment.lastActivity = Date.now();
       }
-
-      // 标记分块完成
-      chunkInfo.completed = true;
-      this.chunks[index] = new Blob(chunkInfo.data);
-      const chunkDuration = Date.now() - chunkStartTime;
-      console.log(
-        `${
-          this.logPrefix
-        } 分块 ${index} 完成,耗时: ${chunkDuration}ms, 平均速度: ${(
-          ((chunkSize / chunkDuration) * 1000) /
-          1024
-        ).toFixed(2)} KB/s`
-      );
     } catch (error) {
-      const chunkDuration = Date.now() - chunkStartTime;
-
-      // 如果是 AbortError 且状态为 paused,不抛出错误
-      if (error.name === 'AbortError' && this.state === 'paused') {
-        console.log(
-          `${this.logPrefix} 分块 ${index} 已暂停,已下载: ${chunkInfo.downloaded} 字节,耗时: ${chunkDuration}ms`
-        );
-        return;
-      }
-
-      console.error(
-        `${this.logPrefix} 分块 ${index} 失败,耗时: ${chunkDuration}ms, 错误: ${error.name} - ${error.message}`
+      // 未完成的分片会整个重新下载，撤销已计入的进度
+      this.bytesReceived -= size;
+      this.lastBytesReceived = Math.min(
+        this.lastBytesReceived,
+        this.bytesReceived
       );
-      this.interruptReason = `分块 ${index} 失败: ${error.message}`;
+      // 停滞被 checkStalls 中止，作为可重试的错误重新请求
+      if (error.name === 'AbortError' && segment.stalled) {
+        throw this.createStallError(`分片 ${segment.index}`);
+      }
       throw error;
+    } finally {
+      segment.lastActivity = null;
+      segment.stalled = false;
+    }
+
+    let data = new Blob(parts);
+    if (segment.key) {
+      const cryptoKey = await this.getHlsKey(segment.key.uri);
+      const iv = segment.key.iv || HlsPlaylist.sequenceIv(segment.sequence);
+      data = new Blob([
+        await HlsPlaylist.decrypt(await data.arrayBuffer(), cryptoKey, iv),
+      ]);
+    }
+
+    // 追加到轨道的临时文件（取消后不再写入，避免重新创建已删除的文件）
+    if (this.cancelled) throw new Error('下载已取消');
+    const target = this.getSegmentFile(segment.track);
+    segment.offset = target.size;
+    target.size += data.size;
+    await target.file.write(segment.offset, data);
+
+    segment.size = data.size;
+    segment.completed = true;
+    this.updateSegmentEstimate();
+  }
+
+  // 获取 AES-128 密钥（同一个密钥地址只请求一次）
+  getHlsKey(uri) {
+    if (!this.hlsKeys.has(uri)) {
+      const keyPromise = (async () => {
+        const response = await this.fetchWithTimeout(uri);
+        if (!response.ok) {
+          const error = new Error(`获取密钥失败: HTTP ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+        return HlsPlaylist.importKey(await response.arrayBuffer());
+      })();
+      // 获取失败时删除缓存，下次重试时重新请求
+      keyPromise.catch(() => this.hlsKeys.delete(uri));
+      this.hlsKeys.set(uri, keyPromise);
     }
+    return this.hlsKeys.get(uri);
+  }
+
+  // 根据已完成分片的平均大小估算总大小
+  updateSegmentEstimate() {
+    const completed = this.segments.filter((segment) => segment.completed);
+    const completedBytes = completed.reduce((sum, s) => sum + s.size, 0);
+    this.totalBytes = Math.round(
+      (completedBytes / completed.length) * this.segments.length
+    );
+  }
+
+  // 获取流媒体分片进度
+  getSegmentStats() {
+    if (!this.streamType) return null;
+    return {
+      total: this.segments.length,
+      completed: this.segments.filter((segment) => segment.completed).length,
+      retries: this.segments.reduce((sum, segment) => sum + segment.retries, 0),
+    };
   }
 
   // 单线程下载(不支持 Range 或大小未知)
+  // 停滞时无法从中断的位置继续，从头重新下载（最多 maxRetries 次）
   async downloadSingle() {
+    const transfer = { lastActivity: null, stalled: false };
+    this.singleTransfer = transfer;
+    this.startWatchdog();
+    try {
+      for (let retries = 1; ; retries++) {
+        try {
+          await this.downloadSingleOnce(transfer);
+          return;
+        } catch (error) {
+          if (
+            error.name !== 'StallError' ||
+            retries > this.options.maxRetries
+          ) {
+            throw error;
+          }
+          console.warn(
+            `${this.logPrefix} 单线程下载第 ${retries}/${this.options.maxRetries} 次重试，从头重新下载`
+          );
+          this.bytesReceived = 0;
+          this.lastBytesReceived = 0;
+          this.emitProgress();
+        }
+      }
+    } finally {
+      // 暂停后很快恢复时，新一轮下载已经开始，不能停止它的定时器
+      if (this.singleTransfer === transfer) {
+        this.singleTransfer = null;
+        this.stopWatchdog();
+      }
+    }
+  }
+
+  async downloadSingleOnce(transfer) {
     const abortController = new AbortController();
     this.abortControllers = [abortController];
     const downloadStartTime = Date.now();
@@ -326,19 +2133,45 @@ class Downloader {
     console.log(`${this.logPrefix} 开始单线程下载...`);
 
     try {
-      const fetchStartTime = Date.now();
-      const response = await fetch(this.url, {
-        signal: abortController.signal,
-        credentials: 'include', // 携带认证信息
-      });
+      let response;
+      let busyRetries = 0;
+      while (true) {
+        await this.waitForHost(this.host);
+        if (this.state !== 'in_progress') return;
+
+        const fetchStartTime = Date.now();
+        transfer.lastActivity = fetchStartTime;
+        const requestHeaders = this.getRequestHeaders(this.url, 'GET');
+        response = await fetch(this.url, {
+          headers: requestHeaders,
+          signal: abortController.signal,
+          credentials: 'include', // 携带认证信息
+        });
+        this.checkAuth(response, this.url, requestHeaders);
 
-      const fetchDuration = Date.now() - fetchStartTime;
-      console.log(
-        `${this.logPrefix} 单线程响应: 状态=${response.status}, 耗时=${fetchDuration}ms`
-      );
+        const fetchDuration = Date.now() - fetchStartTime;
+        console.log(
+          `${this.logPrefix} 单线程响应: 状态=${response.status}, 耗时=${fetchDuration}ms`
+        );
 
-      if (!response.ok) {
-        throw new Error(`下载失败: HTTP ${response.status}`);
+        if (response.ok) break;
+        const error = this.createHttpError('单线程下载', response);
+        if (
+          !this.isServerBusy(error) ||
+          ++busyRetries > this.options.maxBusyRetries
+        ) {
+          throw error;
+        }
+        // 服务器限流时等待 Retry-After 指定的时间后重新请求
+        if (response.body) {
+          response.body.cancel().catch(() => {});
+        }
+        this.handleServerBusy(error, this.host);
+      }
+
+      this.applyResponseInfo(response);
+      if (!this.expectedHash) {
+        this.expectedHash = Hasher.fromHeaders(response.headers);
       }
 
       // 尝试从响应头获取文件大小
@@ -350,8 +2183,10 @@ class Downloader {
         );
       }
 
+      // 从头写入临时文件，清除之前未完成的数据
+      await this.file.truncate(0);
+
       const reader = response.body.getReader();
-      const chunks = [];
       let lastLogTime = Date.now();
       let bytesInInterval = 0;
 
@@ -359,10 +2194,14 @@ class Downloader {
         const { done, value } = await reader.read();
         if (done) break;
 
-        chunks.push(value);
+        if (this.cancelled) throw new Error('下载已取消');
+        transfer.lastActivity = null; // 写入和限速等待期间不检测停滞
+        await this.file.write(this.bytesReceived, value);
         bytesInInterval += value.length;
         this.updateProgress(value.length);
         this.lastActivityTime = Date.now();
+        await this.throttle(value.length);
+        transfer.lastActivity = Date.now();
 
         // 每2秒记录一次进度
         const now = Date.now();
@@ -381,8 +2220,13 @@ class Downloader {
           bytesInInterval = 0;
         }
       }
+      transfer.lastActivity = null;
+
+      // 响应经过压缩时 Content-Length 是压缩后的大小，无法用于校验
+      if (!response.headers.get('content-encoding')) {
+        this.verifyByteCount(this.bytesReceived);
+      }
 
-      this.chunks = [new Blob(chunks)];
       const downloadDuration = Date.now() - downloadStartTime;
       console.log(
         `${
@@ -392,7 +2236,7 @@ class Downloader {
           1024
         ).toFixed(2)} KB/s`
       );
-      this.finish();
+      await this.finish();
     } catch (error) {
       const downloadDuration = Date.now() - downloadStartTime;
 
@@ -403,12 +2247,41 @@ class Downloader {
         return;
       }
 
+      // 停滞被 checkStalls 中止，由 downloadSingle 从头重新下载
+      if (error.name === 'AbortError' && transfer.stalled) {
+        throw this.createStallError('单线程下载');
+      }
+
       console.error(
         `${this.logPrefix} 单线程下载失败,耗时: ${downloadDuration}ms, 错误: ${error.name} - ${error.message}`
       );
       this.interruptReason = `单线程下载失败: ${error.message}`;
       throw error;
+    } finally {
+      transfer.lastActivity = null;
+      transfer.stalled = false;
+    }
+  }
+
+  // 限速：依次等待全局限速器和单个下载限速器
+  async throttle(bytes) {
+    if (this.options.globalLimiter) {
+      await this.options.globalLimiter.consume(bytes);
     }
+    await this.rateLimiter.consume(bytes);
+  }
+
+  // 运行中调整单个下载的速度上限 (bytes/s)，0 表示不限速
+  setSpeedLimit(bytesPerSecond) {
+    this.options.speedLimit = bytesPerSecond;
+    this.rateLimiter.setRate(bytesPerSecond);
+    console.log(
+      `${this.logPrefix} 速度上限: ${
+        bytesPerSecond > 0
+          ? `${(bytesPerSecond / 1024).toFixed(0)} KB/s`
+          : '不限速'
+      }`
+    );
   }
 
   // 更新进度和速度
@@ -426,35 +2299,183 @@ class Downloader {
       this.lastSpeedUpdate = now;
       this.lastBytesReceived = this.bytesReceived;
 
-      if (this.onProgress) {
-        this.onProgress({
-          id: this.id,
-          bytesReceived: this.bytesReceived,
-          totalBytes: this.totalBytes,
-          speed: this.speed,
-          state: this.state,
-        });
-      }
+      this.emitProgress();
+    }
+  }
+
+  // 发送进度事件
+  emitProgress() {
+    if (this.onProgress) {
+      this.onProgress({
+        id: this.id,
+        filename: this.filename,
+        finalUrl: this.finalUrl,
+        bytesReceived: this.bytesReceived,
+        totalBytes: this.totalBytes,
+        speed: this.speed,
+        state: this.state,
+        chunkStats: this.getChunkStats(),
+        mirrorStats: this.getMirrorStats(),
+        segmentStats: this.getSegmentStats(),
+        waitingUntil: this.waitingUntil,
+      });
     }
   }
 
+  // 获取各分块的状态（范围、进度、重试次数和最后一次错误）
+  getChunkStats() {
+    return this.chunkProgress.map((chunk) => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      downloaded: chunk.downloaded,
+      completed: chunk.completed,
+      retries: chunk.retries || 0,
+      lastError: chunk.lastError || null,
+    }));
+  }
+
   // 完成下载
-  finish() {
+  async finish() {
     this.state = 'complete';
     this.endTime = Date.now();
     this.speed = 0;
 
     console.log(`下载完成: ${this.filename}`);
 
-    // 合并所有分块
-    const finalBlob = new Blob(this.chunks);
+    // 提交临时文件并保存分块进度，保存失败时仍可从临时文件恢复
+    // 流媒体已按分片顺序合并（见 assembleSegments），其他下载直接读取临时文件
+    let finalBlob;
+    try {
+      if (this.streamType) {
+        finalBlob = new Blob(this.chunks);
+      } else {
+        await this.checkpoint();
+        finalBlob = await this.file.getFile();
+      }
+    } catch (error) {
+      this.handleError(error);
+      return;
+    }
+
+    await this.detectFileType(finalBlob);
+
+    // 保存前校验文件完整性
+    this.integrity = await this.verifyIntegrity(finalBlob);
 
     if (this.onComplete) {
       this.onComplete({
         id: this.id,
         blob: finalBlob,
         filename: this.filename,
+        mimeType: this.mimeType,
+        integrity: this.integrity,
+        mirrorStats: this.getMirrorStats(),
+        hostReport: this.getHostReport(),
+        attachments: this.attachments,
+      });
+    }
+  }
+
+  // 根据文件开头的字节识别类型，修正缺失或错误的扩展名
+  // 流媒体的文件名由合并方式决定，用户指定的文件名也不修改
+  async detectFileType(blob) {
+    try {
+      const bytes = new Uint8Array(await blob.slice(0, 64).arrayBuffer());
+      const detected = FileType.detect(bytes);
+      this.mimeType = detected
+        ? detected.mime
+        : (this.contentType || '').split(';')[0].trim() || null;
+
+      if (this.streamType || !this.options.useServerFilename) return;
+      const filename = FileType.fixFilename(this.filename, {
+        bytes,
+        contentType: this.contentType,
       });
+      if (filename !== this.filename) {
+        console.log(`${this.logPrefix} 根据文件内容修正文件名: ${filename}`);
+        this.filename = filename;
+      }
+    } catch (error) {
+      console.warn(`${this.logPrefix} 识别文件类型失败:`, error);
+    }
+  }
+
+  // 计算文件摘要并与期望值比较
+  async verifyIntegrity(blob) {
+    // 流媒体合并后的文件没有对应的校验文件
+    if (!this.expectedHash && this.options.checksumLookup && !this.streamType) {
+      this.expectedHash = await this.fetchChecksumFile();
+    }
+    if (!this.expectedHash) {
+      return { status: 'unverified' };
+    }
+
+    const { algorithm, value, source } = this.expectedHash;
+    const result = { algorithm, expected: value, source };
+    try {
+      const hashStartTime = Date.now();
+      const actual = await Hasher.hashBlob(blob, algorithm);
+      console.log(
+        `${this.logPrefix} ${algorithm} 校验完成,耗时: ${
+          Date.now() - hashStartTime
+        }ms, 期望: ${value}, 实际: ${actual}`
+      );
+      return {
+        ...result,
+        actual,
+        status: actual === value ? 'verified' : 'mismatch',
+      };
+    } catch (error) {
+      console.warn(`${this.logPrefix} 计算校验值失败:`, error);
+      return { ...result, status: 'unverified', error: error.message };
+    }
+  }
+
+  // 读取同目录下的 <文件名>.sha256 校验文件，不存在或格式不对时返回 null
+  async fetchChecksumFile() {
+    let checksumUrl;
+    let remoteName;
+    try {
+      const url = new URL(this.url);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      remoteName = decodeURIComponent(url.pathname.split('/').pop());
+      if (!remoteName) return null;
+      url.pathname += '.sha256';
+      url.search = '';
+      url.hash = '';
+      checksumUrl = url.href;
+    } catch (error) {
+      console.warn(`${this.logPrefix} 无法生成校验文件地址: ${error.message}`);
+      return null;
+    }
+
+    try {
+      const response = await this.fetchWithTimeout(checksumUrl);
+      const contentType = response.headers.get('content-type') || '';
+      const contentLength = parseInt(
+        response.headers.get('content-length') || '0'
+      );
+      // 很多站点对不存在的路径返回 HTML 页面，不能当作校验文件
+      if (
+        !response.ok ||
+        contentType.includes('text/html') ||
+        contentLength > 64 * 1024
+      ) {
+        return null;
+      }
+
+      const expected = Hasher.parseChecksumFile(
+        await response.text(),
+        remoteName
+      );
+      if (expected) {
+        console.log(`${this.logPrefix} 从 ${checksumUrl} 获取到 SHA-256`);
+      }
+      return expected;
+    } catch (error) {
+      console.warn(`${this.logPrefix} 读取校验文件失败: ${error.message}`);
+      return null;
     }
   }
 
@@ -466,6 +2487,20 @@ class Downloader {
       return;
     }
 
+    // 用户主动取消,不作为错误上报
+    if (this.cancelled) {
+      console.log(`${this.logPrefix} 下载已取消`);
+      return;
+    }
+
+    // 需要认证：有凭据时重新开始（还没有开始下载数据，或单线程下载只能从头开始），否则已暂停等待凭据
+    if (error.name === 'AuthRequiredError') {
+      if (this.handleAuthRequired(error)) {
+        this.start();
+      }
+      return;
+    }
+
     const totalDuration = Date.now() - this.startTime;
     const inactiveTime = Date.now() - this.lastActivityTime;
 
@@ -502,6 +2537,9 @@ class Downloader {
         duration: totalDuration,
         bytesReceived: this.bytesReceived,
         totalBytes: this.totalBytes,
+        chunkStats: this.getChunkStats(),
+        mirrorStats: this.getMirrorStats(),
+        hostReport: this.getHostReport(),
       });
     }
   }
@@ -515,6 +2553,7 @@ class Downloader {
         `${this.logPrefix} 暂停下载: ${this.filename}, 已运行: ${duration}ms, 已下载: ${this.bytesReceived} bytes`
       );
       this.state = 'paused';
+      this.checkpoint();
 
       // 中止所有分块的下载
       this.abortControllers.forEach((controller, index) => {
@@ -546,7 +2585,10 @@ class Downloader {
       );
       this.state = 'in_progress';
 
-      if (this.supportsRange && this.chunkProgress.length > 0) {
+      if (this.streamType && this.segments.length > 0) {
+        // 已下载的流媒体分片保留在临时文件中，只下载剩余的分片
+        this.downloadSegments().catch((error) => this.handleError(error));
+      } else if (this.supportsRange && this.chunkProgress.length > 0) {
         // 支持断点续传，从中断处继续
         this.downloadChunks();
       } else {
@@ -559,9 +2601,67 @@ class Downloader {
     }
   }
 
+  // 从持久化的分块进度重建下载器（浏览器重启或 Service Worker 被回收后）
+  // 已下载的数据保存在同一 ID 的临时文件中
+  static restore(meta, options = {}) {
+    const downloader = new Downloader(meta.url, meta.filename, {
+      ...options,
+      id: meta.id,
+      // 旧版本的记录没有 connections，0 表示自动调整
+      chunks:
+        meta.connections !== undefined
+          ? meta.connections
+          : meta.chunkProgress.length,
+    });
+
+    downloader.finalUrl = meta.finalUrl || null;
+    downloader.contentType = meta.contentType || null;
+    downloader.totalBytes = meta.totalBytes;
+    downloader.supportsRange = meta.supportsRange;
+    downloader.etag = meta.etag || null;
+    downloader.lastModified = meta.lastModified || null;
+    downloader.expectedHash = meta.expectedHash || downloader.expectedHash;
+    if (meta.mirrors) {
+      downloader.mirrors = meta.mirrors.map((mirror) => ({ ...mirror }));
+    }
+    downloader.state = 'paused';
+
+    downloader.chunkProgress = meta.chunkProgress.map((chunk) => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      downloaded: chunk.downloaded,
+      persisted: chunk.downloaded,
+      completed:
+        chunk.completed && chunk.downloaded === chunk.end - chunk.start + 1,
+    }));
+    downloader.abortControllers = downloader.chunkProgress.map(
+      () => new AbortController()
+    );
+
+    downloader.bytesReceived = downloader.chunkProgress.reduce(
+      (sum, chunk) => sum + chunk.downloaded,
+      0
+    );
+    downloader.lastBytesReceived = downloader.bytesReceived;
+
+    console.log(
+      `${downloader.logPrefix} 从持久化存储恢复: ${downloader.bytesReceived} / ${downloader.totalBytes} bytes`
+    );
+    return downloader;
+  }
+
   // 取消
   cancel() {
     this.state = 'interrupted';
+    this.cancelled = true;
+    const files = new Set([this.file]);
+    this.segmentFiles.forEach(({ file }) => files.add(file));
+    files.forEach((file) => {
+      file.remove().catch((error) => {
+        console.warn(`${this.logPrefix} 删除临时文件失败:`, error);
+      });
+    });
     this.abortControllers.forEach((controller) => {
       try {
         controller.abort();
@@ -572,7 +2672,7 @@ class Downloader {
   }
 }
 
-// 导出给 background.js 使用
+// 导出给离屏文档使用
 if (typeof self !== 'undefined') {
   self.Downloader = Downloader;
 }
@@ -0,0 +1,250 @@
+/**
+ * 文件类型识别
+ * 根据 Content-Type 和文件开头的特征字节推断扩展名，修正缺失或错误的扩展名，
+ * 并为管理页面提供文件分类
+ */
+class FileType {
+  // 根据文件开头的字节识别类型，返回 {mime, exts} 或 null
+  static detect(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const matches = (pattern, offset = 0) => {
+      const expected =
+        typeof pattern === 'string'
+          ? Array.from(pattern, (char) => char.charCodeAt(0))
+          : pattern;
+      return expected.every(
+        (byte, i) => byte === null || data[offset + i] === byte
+      );
+    };
+
+    const signature = FileType.SIGNATURES.find(
+      (item) =>
+        matches(item.bytes) && (!item.offset8 || matches(item.offset8, 8))
+    );
+    if (signature) return signature;
+
+    // 没有 ID3 标签的 MP3 以帧同步字节开头（layer 为 0 的是 AAC）
+    if (data[0] === 0xff && (data[1] & 0xe0) === 0xe0 && data[1] & 0x06) {
+      return { mime: 'audio/mpeg', exts: ['mp3'] };
+    }
+    return null;
+  }
+
+  // Content-Type 对应的扩展名，未知或通用类型返回 null
+  static fromContentType(contentType) {
+    const mime = String(contentType || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    return FileType.MIME_EXTENSIONS[mime] || null;
+  }
+
+  // 文件名的扩展名（小写），没有扩展名时返回空字符串
+  // 只有字母数字组成且含字母的后缀才视为扩展名（"v1.2" 的 "2" 不是扩展名）
+  static getExtension(filename) {
+    const name = String(filename || '');
+    const dot = name.lastIndexOf('.');
+    if (dot <= 0) return '';
+    const ext = name.slice(dot + 1).toLowerCase();
+    return /^(?=.*[a-z])[a-z0-9]{1,8}$/.test(ext) ? ext : '';
+  }
+
+  // 根据文件内容和 Content-Type 修正文件名的扩展名
+  // 没有扩展名或扩展名与文件内容明显不符（如 ZIP 内容却是 .pdf）时替换为识别出的扩展名；
+  // 无法从内容识别时，只在没有扩展名时使用 Content-Type 推断
+  static fixFilename(filename, { bytes, contentType } = {}) {
+    const ext = FileType.getExtension(filename);
+    const generic = !ext || FileType.GENERIC_EXTENSIONS.includes(ext);
+    const base = ext ? filename.slice(0, -ext.length - 1) : filename;
+
+    const detected = bytes ? FileType.detect(bytes) : null;
+    if (detected) {
+      if (detected.exts.includes(ext)) return filename;
+      const conflicting = FileType.SIGNATURES.some((item) =>
+        item.exts.includes(ext)
+      );
+      if (generic || conflicting) {
+        return `${base}.${detected.exts[0]}`;
+      }
+      return filename;
+    }
+
+    const fromType = FileType.fromContentType(contentType);
+    if (generic && fromType) {
+      return `${base}.${fromType}`;
+    }
+    return filename;
+  }
+
+  // 文件分类：image / video / audio / document / archive / other
+  // 扩展名无法分类时使用识别出的 MIME 类型
+  static getCategory(filename, mimeType) {
+    const ext =
+      FileType.getExtension(filename) || FileType.fromContentType(mimeType);
+    for (const [category, exts] of Object.entries(FileType.CATEGORIES)) {
+      if (exts.includes(ext)) return category;
+    }
+
+    const mime = String(mimeType || '').toLowerCase();
+    if (/^(image|video|audio)\//.test(mime)) return mime.split('/')[0];
+    if (mime === 'application/pdf' || mime.startsWith('text/')) {
+      return 'document';
+    }
+    return 'other';
+  }
+}
+
+// 特征字节：文件开头的字节与 bytes 一致（null 表示任意字节），offset8 为从第 8 个字节开始的子类型
+// exts 的第一个是默认扩展名，其余是内容相同的其他格式（如 docx 也是 zip）
+FileType.SIGNATURES = [
+  { mime: 'application/pdf', exts: ['pdf'], bytes: '%PDF-' },
+  {
+    mime: 'application/zip',
+    exts: [
+      'zip',
+      'docx',
+      'xlsx',
+      'pptx',
+      'jar',
+      'apk',
+      'epub',
+      'odt',
+      'ods',
+      'odp',
+      'xpi',
+      'ipa',
+      'whl',
+    ],
+    bytes: [0x50, 0x4b, 0x03, 0x04],
+  },
+  {
+    mime: 'application/x-rar-compressed',
+    exts: ['rar'],
+    bytes: 'Rar!\x1a\x07',
+  },
+  {
+    mime: 'application/x-7z-compressed',
+    exts: ['7z'],
+    bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c],
+  },
+  { mime: 'application/gzip', exts: ['gz', 'tgz'], bytes: [0x1f, 0x8b] },
+  {
+    mime: 'application/x-xz',
+    exts: ['xz'],
+    bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00],
+  },
+  { mime: 'application/x-bzip2', exts: ['bz2', 'tbz2'], bytes: 'BZh' },
+  { mime: 'image/png', exts: ['png'], bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mime: 'image/jpeg', exts: ['jpg', 'jpeg'], bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', exts: ['gif'], bytes: 'GIF8' },
+  { mime: 'image/webp', exts: ['webp'], bytes: 'RIFF', offset8: 'WEBP' },
+  { mime: 'image/bmp', exts: ['bmp'], bytes: 'BM' },
+  { mime: 'audio/wav', exts: ['wav'], bytes: 'RIFF', offset8: 'WAVE' },
+  { mime: 'video/x-msvideo', exts: ['avi'], bytes: 'RIFF', offset8: 'AVI ' },
+  {
+    mime: 'video/mp4',
+    exts: ['mp4', 'm4v', 'm4a', 'mov', '3gp', 'm4s'],
+    bytes: [null, null, null, null, 0x66, 0x74, 0x79, 0x70], // ????ftyp
+  },
+  {
+    mime: 'video/webm',
+    exts: ['webm', 'mkv', 'mka'],
+    bytes: [0x1a, 0x45, 0xdf, 0xa3],
+  },
+  { mime: 'audio/ogg', exts: ['ogg', 'oga', 'ogv', 'opus'], bytes: 'OggS' },
+  { mime: 'audio/flac', exts: ['flac'], bytes: 'fLaC' },
+  { mime: 'audio/mpeg', exts: ['mp3'], bytes: 'ID3' },
+  { mime: 'application/x-msdownload', exts: ['exe', 'dll'], bytes: 'MZ' },
+  {
+    mime: 'application/x-ole-storage', // MSI 和旧版 Office 文档
+    exts: ['msi', 'doc', 'xls', 'ppt'],
+    bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1],
+  },
+  {
+    mime: 'application/vnd.debian.binary-package',
+    exts: ['deb'],
+    bytes: '!<arch>',
+  },
+];
+
+// Content-Type 对应的扩展名
+FileType.MIME_EXTENSIONS = {
+  'application/json': 'json',
+  'application/x-yaml': 'yaml',
+  'application/yaml': 'yaml',
+  'text/yaml': 'yaml',
+  'text/csv': 'csv',
+  'text/plain': 'txt',
+  'text/html': 'html',
+  'text/markdown': 'md',
+  'application/xml': 'xml',
+  'text/xml': 'xml',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+  'application/gzip': 'gz',
+  'application/x-gzip': 'gz',
+  'application/x-tar': 'tar',
+  'application/x-7z-compressed': '7z',
+  'application/vnd.rar': 'rar',
+  'application/x-rar-compressed': 'rar',
+  'application/x-msdownload': 'exe',
+  'application/x-apple-diskimage': 'dmg',
+  'application/vnd.android.package-archive': 'apk',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+    'pptx',
+  'application/epub+zip': 'epub',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/avif': 'avif',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+  'video/x-matroska': 'mkv',
+  'video/mp2t': 'ts',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/flac': 'flac',
+  'audio/aac': 'aac',
+};
+
+// 管理页面的文件分类
+FileType.CATEGORIES = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'avif'],
+  video: ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v', 'ts'],
+  audio: ['mp3', 'wav', 'flac', 'm4a', 'aac', 'ogg', 'opus'],
+  document: [
+    'pdf',
+    'doc',
+    'docx',
+    'xls',
+    'xlsx',
+    'ppt',
+    'pptx',
+    'txt',
+    'md',
+    'csv',
+    'epub',
+  ],
+  archive: ['zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2', 'xz', 'iso'],
+};
+
+// 没有实际意义的扩展名，视为没有扩展名
+FileType.GENERIC_EXTENSIONS = ['download', 'bin', 'tmp', 'crdownload'];
+
+// 导出给 Downloader、后台脚本和管理页面使用
+if (typeof self !== 'undefined') {
+  self.FileType = FileType;
+}
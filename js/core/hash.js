@@ -0,0 +1,370 @@
+/**
+ * 文件完整性校验
+ * 增量计算 MD5 / SHA-1 / SHA-256（按流读取 Blob，不需要一次性载入整个文件），
+ * 并解析 Digest / Content-MD5 响应头和 .sha256 校验文件中的期望值
+ */
+
+// 各算法的十六进制摘要长度，用于根据长度推断算法
+const HASH_HEX_LENGTHS = { md5: 32, sha1: 40, sha256: 64 };
+
+// MD5 每轮的常量和循环左移位数
+const MD5_K = Array.from(
+  { length: 64 },
+  (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0
+);
+const MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+
+// SHA-256 的轮常量（前 64 个质数立方根的小数部分）
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+// 各算法的初始状态
+const HASH_INITIAL_STATE = {
+  md5: [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476],
+  sha1: [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0],
+  sha256: [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ],
+};
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+class Hasher {
+  constructor(algorithm) {
+    this.algorithm = Hasher.normalizeAlgorithm(algorithm);
+    if (!this.algorithm) {
+      throw new Error(`不支持的哈希算法: ${algorithm}`);
+    }
+
+    this.state = new Uint32Array(HASH_INITIAL_STATE[this.algorithm]);
+    this.words = new Uint32Array(this.algorithm === 'md5' ? 16 : 80);
+    this.buffer = new Uint8Array(64); // 未满 64 字节的剩余数据
+    this.bufferLength = 0;
+    this.length = 0; // 已处理的总字节数
+  }
+
+  // 统一算法名称：SHA-256 / sha256 / sha-256 -> sha256
+  static normalizeAlgorithm(name) {
+    const normalized = String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+    return HASH_HEX_LENGTHS[normalized] ? normalized : null;
+  }
+
+  // 追加数据
+  update(bytes) {
+    let offset = 0;
+    this.length += bytes.length;
+
+    if (this.bufferLength > 0) {
+      const take = Math.min(64 - this.bufferLength, bytes.length);
+      this.buffer.set(bytes.subarray(0, take), this.bufferLength);
+      this.bufferLength += take;
+      offset = take;
+      if (this.bufferLength < 64) return;
+      this.processBlock(this.buffer, 0);
+      this.bufferLength = 0;
+    }
+
+    while (offset + 64 <= bytes.length) {
+      this.processBlock(bytes, offset);
+      offset += 64;
+    }
+
+    if (offset < bytes.length) {
+      this.buffer.set(bytes.subarray(offset));
+      this.bufferLength = bytes.length - offset;
+    }
+  }
+
+  // 结束计算，返回小写十六进制摘要
+  digest() {
+    const bitsHigh = Math.floor(this.length / 0x20000000) >>> 0;
+    const bitsLow = (this.length * 8) >>> 0;
+    const littleEndian = this.algorithm === 'md5';
+
+    // 补位：0x80 + 若干 0 + 8 字节的消息长度（位）
+    const padLength = (this.bufferLength < 56 ? 56 : 120) - this.bufferLength;
+    const padding = new Uint8Array(padLength + 8);
+    const view = new DataView(padding.buffer);
+    padding[0] = 0x80;
+    if (littleEndian) {
+      view.setUint32(padLength, bitsLow, true);
+      view.setUint32(padLength + 4, bitsHigh, true);
+    } else {
+      view.setUint32(padLength, bitsHigh);
+      view.setUint32(padLength + 4, bitsLow);
+    }
+    this.update(padding);
+
+    const output = new DataView(new ArrayBuffer(this.state.length * 4));
+    this.state.forEach((word, i) =>
+      output.setUint32(i * 4, word, littleEndian)
+    );
+    return Array.from(new Uint8Array(output.buffer))
+      .map((byte) => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // 处理一个 64 字节的数据块
+  processBlock(bytes, offset) {
+    if (this.algorithm === 'md5') {
+      this.processMd5(bytes, offset);
+    } else if (this.algorithm === 'sha1') {
+      this.processSha1(bytes, offset);
+    } else {
+      this.processSha256(bytes, offset);
+    }
+  }
+
+  processMd5(bytes, offset) {
+    const w = this.words;
+    for (let i = 0; i < 16; i++) {
+      const p = offset + i * 4;
+      w[i] =
+        bytes[p] |
+        (bytes[p + 1] << 8) |
+        (bytes[p + 2] << 16) |
+        (bytes[p + 3] << 24);
+    }
+
+    let [a, b, c, d] = this.state;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const temp = d;
+      d = c;
+      c = b;
+      b =
+        (b +
+          rotl((a + f + MD5_K[i] + w[g]) | 0, MD5_S[(i >> 4) * 4 + (i % 4)])) |
+        0;
+      a = temp;
+    }
+
+    this.state[0] += a;
+    this.state[1] += b;
+    this.state[2] += c;
+    this.state[3] += d;
+  }
+
+  processSha1(bytes, offset) {
+    const w = this.words;
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 64);
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(i * 4);
+    }
+    for (let i = 16; i < 80; i++) {
+      w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+
+    let [a, b, c, d, e] = this.state;
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const temp = (rotl(a, 5) + f + e + k + w[i]) | 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30);
+      b = a;
+      a = temp;
+    }
+
+    this.state[0] += a;
+    this.state[1] += b;
+    this.state[2] += c;
+    this.state[3] += d;
+    this.state[4] += e;
+  }
+
+  processSha256(bytes, offset) {
+    const w = this.words;
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset, 64);
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = this.state;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const temp1 = (h + s1 + ch + SHA256_K[i] + w[i]) | 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (s0 + maj) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    const values = [a, b, c, d, e, f, g, h];
+    values.forEach((value, i) => {
+      this.state[i] += value;
+    });
+  }
+
+  // 按流读取 Blob 计算摘要
+  static async hashBlob(blob, algorithm) {
+    const hasher = new Hasher(algorithm);
+    const reader = blob.stream().getReader();
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      hasher.update(value);
+    }
+
+    return hasher.digest();
+  }
+
+  // 解析用户输入的期望值："sha256:abc..."、"SHA-256=abc.." 或直接粘贴的十六进制值（按长度推断算法）
+  static parseExpectedHash(text) {
+    const input = String(text || '').trim();
+    if (!input) return null;
+
+    const match = /^([a-z0-9-]+)\s*[:=]\s*([0-9a-f]+)$/i.exec(input);
+    const value = (match ? match[2] : input).toLowerCase();
+    let algorithm = Object.keys(HASH_HEX_LENGTHS).find(
+      (name) => HASH_HEX_LENGTHS[name] === value.length
+    );
+    if (match) {
+      algorithm = Hasher.normalizeAlgorithm(match[1]);
+    }
+
+    if (
+      !algorithm ||
+      !/^[0-9a-f]+$/.test(value) ||
+      HASH_HEX_LENGTHS[algorithm] !== value.length
+    ) {
+      return null;
+    }
+    return { algorithm, value, source: 'user' };
+  }
+
+  // 从响应头读取期望值：Repr-Digest / Digest（优先 SHA-256），其次 Content-MD5
+  static fromHeaders(headers) {
+    const candidates = [];
+
+    ['repr-digest', 'digest'].forEach((name) => {
+      (headers.get(name) || '').split(',').forEach((item) => {
+        const index = item.indexOf('=');
+        if (index < 0) return;
+        const algorithm = Hasher.normalizeAlgorithm(item.slice(0, index));
+        // Repr-Digest 的值形如 :base64:
+        const value = Hasher.base64ToHex(
+          item
+            .slice(index + 1)
+            .trim()
+            .replace(/^:|:$/g, '')
+        );
+        if (algorithm && value) {
+          candidates.push({ algorithm, value, source: name });
+        }
+      });
+    });
+
+    const contentMd5 = Hasher.base64ToHex(headers.get('content-md5'));
+    if (contentMd5) {
+      candidates.push({
+        algorithm: 'md5',
+        value: contentMd5,
+        source: 'content-md5',
+      });
+    }
+
+    const preference = ['sha256', 'sha1', 'md5'];
+    candidates.sort(
+      (a, b) =>
+        preference.indexOf(a.algorithm) - preference.indexOf(b.algorithm)
+    );
+    return (
+      candidates.find(
+        (c) => HASH_HEX_LENGTHS[c.algorithm] === c.value.length
+      ) || null
+    );
+  }
+
+  // 从 sha256sum / BSD 格式的校验文件中找出对应文件的 SHA-256
+  static parseChecksumFile(text, filename) {
+    const hashes = [];
+
+    String(text || '')
+      .split(/\r?\n/)
+      .forEach((line) => {
+        const match = /\b([0-9a-f]{64})\b/i.exec(line);
+        if (match) {
+          hashes.push({ value: match[1].toLowerCase(), line });
+        }
+      });
+
+    const named = hashes.find((h) => filename && h.line.includes(filename));
+    const found = named || (hashes.length === 1 ? hashes[0] : null);
+    return found
+      ? { algorithm: 'sha256', value: found.value, source: 'checksum-file' }
+      : null;
+  }
+
+  static base64ToHex(base64) {
+    const value = (base64 || '').trim();
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value) || value.length % 4 !== 0) {
+      return null;
+    }
+    return Array.from(atob(value))
+      .map((char) => char.charCodeAt(0).toString(16).padStart(2, '0'))
+      .join('');
+  }
+}
+
+// 导出给 Downloader 使用
+if (typeof self !== 'undefined') {
+  self.Hasher = Hasher;
+}
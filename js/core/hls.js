@@ -0,0 +1,211 @@
+/**
+ * HLS (m3u8) 播放列表解析
+ * 解析主播放列表（多个清晰度）和媒体播放列表（分片列表），并负责 AES-128 分片解密
+ */
+class HlsPlaylist {
+  // 根据地址或 Content-Type 判断是否是 HLS 播放列表
+  static isHls(url, contentType) {
+    if (contentType && /mpegurl/i.test(contentType)) return true;
+    return /\.m3u8?(\?|#|$)/i.test(url || '');
+  }
+
+  // 解析播放列表文本，baseUrl 用于把相对地址转换为绝对地址
+  // 返回 {type: 'master', variants} 或 {type: 'media', segments, map, endList}
+  static parse(text, baseUrl) {
+    const lines = String(text || '')
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+    if (lines[0] !== '#EXTM3U') {
+      throw new Error('不是有效的 m3u8 播放列表');
+    }
+
+    const resolve = (uri) => new URL(uri, baseUrl).href;
+    const variants = [];
+    const segments = [];
+    let map = null;
+    let endList = false;
+    let sequence = 0;
+    let key = null; // 当前生效的加密信息
+    let pendingVariant = null; // EXT-X-STREAM-INF 之后的一行是清晰度地址
+    let pendingSegment = {}; // EXTINF / EXT-X-BYTERANGE 之后的一行是分片地址
+    let lastRangeEnd = 0; // BYTERANGE 省略偏移时从上一个分片的结束位置开始
+
+    lines.forEach((line) => {
+      if (!line.startsWith('#')) {
+        if (pendingVariant) {
+          variants.push({ ...pendingVariant, uri: resolve(line) });
+          pendingVariant = null;
+          return;
+        }
+        segments.push({
+          uri: resolve(line),
+          duration: pendingSegment.duration || 0,
+          byteRange: pendingSegment.byteRange || null,
+          key: key,
+          sequence: sequence++,
+        });
+        pendingSegment = {};
+        return;
+      }
+
+      const index = line.indexOf(':');
+      const tag = index < 0 ? line : line.slice(0, index);
+      const value = index < 0 ? '' : line.slice(index + 1);
+
+      switch (tag) {
+        case '#EXT-X-STREAM-INF': {
+          const attrs = HlsPlaylist.parseAttributes(value);
+          pendingVariant = {
+            bandwidth: parseInt(attrs.BANDWIDTH) || 0,
+            resolution: attrs.RESOLUTION || null,
+            codecs: attrs.CODECS || null,
+            name: attrs.NAME || null,
+          };
+          break;
+        }
+        case '#EXT-X-MEDIA-SEQUENCE':
+          sequence = parseInt(value) || 0;
+          break;
+        case '#EXTINF':
+          pendingSegment.duration = parseFloat(value) || 0;
+          break;
+        case '#EXT-X-BYTERANGE':
+          pendingSegment.byteRange = HlsPlaylist.parseByteRange(
+            value,
+            lastRangeEnd
+          );
+          lastRangeEnd =
+            pendingSegment.byteRange.offset + pendingSegment.byteRange.length;
+          break;
+        case '#EXT-X-KEY': {
+          const attrs = HlsPlaylist.parseAttributes(value);
+          key = null;
+          if (attrs.METHOD !== 'NONE') {
+            // 只支持整个分片 AES-128 加密（SAMPLE-AES 等需要解析媒体格式）
+            if (attrs.METHOD !== 'AES-128' || !attrs.URI) {
+              throw new Error(`不支持的加密方式: ${attrs.METHOD || value}`);
+            }
+            key = {
+              method: attrs.METHOD,
+              uri: attrs.URI ? resolve(attrs.URI) : null,
+              iv: attrs.IV ? HlsPlaylist.parseIv(attrs.IV) : null,
+            };
+          }
+          break;
+        }
+        case '#EXT-X-MAP': {
+          // fMP4 分片的初始化段
+          const attrs = HlsPlaylist.parseAttributes(value);
+          map = {
+            uri: resolve(attrs.URI),
+            byteRange: attrs.BYTERANGE
+              ? HlsPlaylist.parseByteRange(attrs.BYTERANGE, 0)
+              : null,
+            key: key,
+            sequence: sequence,
+          };
+          break;
+        }
+        case '#EXT-X-ENDLIST':
+          endList = true;
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (variants.length > 0) {
+      return { type: 'master', variants };
+    }
+    return { type: 'media', segments, map, endList };
+  }
+
+  // 解析属性列表：KEY=VALUE,KEY="VALUE,含逗号"
+  static parseAttributes(text) {
+    const attrs = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attrs;
+  }
+
+  // 解析 <length>[@<offset>]，格式错误时抛出异常
+  static parseByteRange(text, defaultOffset) {
+    const match = /^(\d+)(?:@(\d+))?$/.exec(String(text).trim());
+    if (!match) {
+      throw new Error(`分片范围格式无效: ${text}`);
+    }
+    return {
+      length: parseInt(match[1]),
+      offset: match[2] === undefined ? defaultOffset : parseInt(match[2]),
+    };
+  }
+
+  // 解析十六进制 IV（0x 开头，不足 16 字节时左侧补 0），格式错误时抛出异常
+  static parseIv(text) {
+    if (!/^0x[0-9a-f]{1,32}$/i.test(text)) {
+      throw new Error(`IV 格式无效: ${text}`);
+    }
+    const hex = text.replace(/^0x/i, '').padStart(32, '0');
+    const iv = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+      iv[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return iv;
+  }
+
+  // 没有指定 IV 时使用分片序号（大端 128 位整数）
+  static sequenceIv(sequence) {
+    const iv = new Uint8Array(16);
+    new DataView(iv.buffer).setUint32(12, sequence);
+    return iv;
+  }
+
+  // 选择清晰度：优先使用指定的地址，否则选择码率最高的
+  static selectVariant(variants, preferredUri) {
+    const preferred = variants.find((variant) => variant.uri === preferredUri);
+    if (preferred) return preferred;
+    return variants.reduce((best, variant) =>
+      variant.bandwidth > best.bandwidth ? variant : best
+    );
+  }
+
+  // 清晰度的显示名称
+  static describeVariant(variant) {
+    const parts = [];
+    if (variant.name) parts.push(variant.name);
+    if (variant.resolution) parts.push(variant.resolution);
+    if (variant.bandwidth) {
+      parts.push(`${(variant.bandwidth / 1000).toFixed(0)} kbps`);
+    }
+    return parts.join(' · ') || variant.uri;
+  }
+
+  // 合并后的文件名：去掉 .m3u8 后缀，TS 分片保存为 .ts，fMP4 分片保存为 .mp4
+  static outputFilename(filename, fragmentedMp4) {
+    const ext = fragmentedMp4 ? '.mp4' : '.ts';
+    const base = String(filename || 'video').replace(/\.m3u8?$/i, '');
+    return base.toLowerCase().endsWith(ext) ? base : base + ext;
+  }
+
+  // 导入 AES-128 密钥
+  static importKey(rawKey) {
+    return crypto.subtle.importKey('raw', rawKey, 'AES-CBC', false, [
+      'decrypt',
+    ]);
+  }
+
+  // AES-128-CBC 解密分片（PKCS7 填充由 WebCrypto 处理）
+  static decrypt(data, cryptoKey, iv) {
+    return crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, data);
+  }
+}
+
+// 导出给 Downloader 和管理页面使用
+if (typeof self !== 'undefined') {
+  self.HlsPlaylist = HlsPlaylist;
+}
@@ -0,0 +1,131 @@
+/**
+ * 主机配置
+ * 按主机记录下载统计（各连接数下的速度、是否支持 HEAD 和 Range 请求），
+ * 新建下载时从统计中得出该主机的初始配置。保存在 chrome.storage.local 的 hostProfiles 键中
+ */
+
+/* global ConnectionPool */
+
+class HostProfiles {
+  constructor(storageKey = 'hostProfiles') {
+    this.storageKey = storageKey;
+    this.profiles = {}; // 主机 -> 配置
+    this.loading = null;
+  }
+
+  // 读取已保存的配置（只读取一次）
+  load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local
+        .get(this.storageKey)
+        .then((items) => {
+          this.profiles = items[this.storageKey] || {};
+        })
+        .catch((error) => {
+          this.loading = null; // 允许下次重试
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  save() {
+    return chrome.storage.local.set({ [this.storageKey]: this.profiles });
+  }
+
+  // 所有主机的配置（最近更新的在前），附带计算出的最佳连接数和对应速度
+  async getAll() {
+    await this.load();
+    return Object.values(this.profiles)
+      .map((profile) => ({ ...profile, ...HostProfiles.getBest(profile) }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // 合并一次下载的统计 {host, headSupported, rangeSupported, connections: {连接数: {bytes, time}}}
+  // 各连接数的累计时间超过上限时按比例缩小，较新的下载影响更大
+  async record(report) {
+    if (!report || !report.host) return;
+    await this.load();
+
+    const profile = this.profiles[report.host] || {
+      host: report.host,
+      downloads: 0,
+      headSupported: null,
+      rangeSupported: null,
+      connections: {},
+    };
+    profile.downloads++;
+    profile.updatedAt = Date.now();
+    if (report.headSupported !== null) {
+      profile.headSupported = report.headSupported;
+    }
+    if (report.rangeSupported !== null) {
+      profile.rangeSupported = report.rangeSupported;
+    }
+
+    Object.entries(report.connections || {}).forEach(([count, sample]) => {
+      const stats = profile.connections[count] || { bytes: 0, time: 0 };
+      stats.bytes += sample.bytes;
+      stats.time += sample.time;
+      if (stats.time > HostProfiles.MAX_SAMPLE_TIME) {
+        stats.bytes *= HostProfiles.MAX_SAMPLE_TIME / stats.time;
+        stats.time = HostProfiles.MAX_SAMPLE_TIME;
+      }
+      profile.connections[count] = stats;
+    });
+
+    this.profiles[report.host] = profile;
+    await this.save();
+  }
+
+  // 重置单个主机的配置，host 为空时重置全部
+  async reset(host) {
+    await this.load();
+    if (host) {
+      delete this.profiles[host];
+    } else {
+      this.profiles = {};
+    }
+    await this.save();
+  }
+
+  // 为该主机的新下载生成 Downloader 选项，没有记录时返回空对象
+  // 同步读取，配置还没有加载完成时按没有记录处理
+  getDownloaderOptions(url) {
+    const profile = this.profiles[ConnectionPool.hostOf(url)];
+    if (!profile) return {};
+
+    return {
+      preferredChunks: HostProfiles.getBest(profile).bestConnections || 0,
+      headSupported: profile.headSupported,
+      rangeSupported: profile.rangeSupported,
+    };
+  }
+
+  // 计算速度最快的连接数（采样时间不足的不参与）
+  // 速度相差不到 10% 时选择连接数较少的，减轻服务器负担
+  static getBest(profile) {
+    const candidates = Object.entries(profile.connections || {})
+      .filter(([, stats]) => stats.time >= HostProfiles.MIN_SAMPLE_TIME)
+      .map(([count, stats]) => ({
+        connections: Number(count),
+        speed: (stats.bytes / stats.time) * 1000,
+      }))
+      .sort((a, b) => a.connections - b.connections);
+    if (candidates.length === 0) {
+      return { bestConnections: null, bestSpeed: null };
+    }
+
+    const fastest = Math.max(...candidates.map((c) => c.speed));
+    const best = candidates.find((c) => c.speed >= fastest * 0.9);
+    return { bestConnections: best.connections, bestSpeed: best.speed };
+  }
+}
+
+HostProfiles.MIN_SAMPLE_TIME = 10 * 1000; // 某个连接数累计下载 10 秒以上才参与比较
+HostProfiles.MAX_SAMPLE_TIME = 10 * 60 * 1000; // 每个连接数最多保留 10 分钟的统计
+
+// 导出给后台脚本使用
+if (typeof self !== 'undefined') {
+  self.HostProfiles = HostProfiles;
+}
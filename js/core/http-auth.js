@@ -0,0 +1,163 @@
+/**
+ * HTTP 认证（RFC 7617 Basic / RFC 7616 Digest）
+ * 解析 401 响应的 WWW-Authenticate 质询，并为之后的每个请求生成 Authorization 请求头
+ */
+
+/* global Hasher */
+
+class HttpAuth {
+  // challenge: parseChallenge 的结果，credentials: {username, password}
+  constructor(challenge, credentials) {
+    this.challenge = challenge;
+    this.credentials = credentials;
+    this.nonceCount = 0; // Digest 认证中同一个 nonce 已使用的次数
+  }
+
+  // 从 WWW-Authenticate 响应头中选出支持的质询（Digest 优先于 Basic）
+  // 返回 {scheme: 'basic' | 'digest', realm, ...参数}，没有支持的质询时返回 null
+  static parseChallenge(header) {
+    const challenges = HttpAuth.parseChallenges(header);
+    return (
+      challenges.find(
+        (c) =>
+          c.scheme === 'digest' &&
+          c.nonce &&
+          HttpAuth.DIGEST_ALGORITHMS.includes(
+            (c.algorithm || 'MD5').toUpperCase()
+          )
+      ) ||
+      challenges.find((c) => c.scheme === 'basic') ||
+      null
+    );
+  }
+
+  // 解析所有质询，参数名统一为小写
+  // 例：Digest realm="x", qop="auth,auth-int", nonce="abc", Basic realm="y"
+  static parseChallenges(header) {
+    const text = String(header || '');
+    const challenges = [];
+    const pattern =
+      /\s*(?:,\s*)?([!#$%&'*+.^`|~\w-]+)(?:\s*=\s*("(?:[^"\\]|\\.)*"|[^,\s]*))?/gy;
+    let current = null;
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+      if (match[0] === '') break;
+      const [, name, rawValue] = match;
+      if (rawValue === undefined) {
+        // 没有等号的是新的认证方式（Basic、Digest）
+        current = { scheme: name.toLowerCase() };
+        challenges.push(current);
+      } else if (current) {
+        current[name.toLowerCase()] = rawValue.startsWith('"')
+          ? rawValue.slice(1, -1).replace(/\\(.)/g, '$1')
+          : rawValue;
+      }
+    }
+    return challenges;
+  }
+
+  // 生成请求的 Authorization 请求头，url 用于 Digest 的 uri 参数
+  getAuthorization(method, url) {
+    const { username, password } = this.credentials;
+    if (this.challenge.scheme === 'basic') {
+      const bytes = new TextEncoder().encode(`${username}:${password}`);
+      return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+    }
+    return this.getDigestAuthorization(method || 'GET', url);
+  }
+
+  getDigestAuthorization(method, url) {
+    const { username, password } = this.credentials;
+    const { realm = '', nonce, opaque, qop } = this.challenge;
+    const algorithm = (this.challenge.algorithm || 'MD5').toUpperCase();
+
+    const parsed = new URL(url);
+    const uri = parsed.pathname + parsed.search;
+    const cnonce = Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) =>
+      b.toString(16).padStart(2, '0')
+    ).join('');
+    this.nonceCount++;
+    const nc = this.nonceCount.toString(16).padStart(8, '0');
+
+    // 只支持 qop=auth（auth-int 需要对请求体计算摘要），服务器没有提供 qop 时使用 RFC 2069 的方式
+    const useQop =
+      qop &&
+      qop
+        .split(',')
+        .map((value) => value.trim())
+        .includes('auth');
+    const response = HttpAuth.digestResponse({
+      algorithm,
+      username,
+      realm,
+      password,
+      method,
+      uri,
+      nonce,
+      nc,
+      cnonce,
+      qop: useQop ? 'auth' : null,
+    });
+
+    const quote = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+    const params = [
+      `username=${quote(username)}`,
+      `realm=${quote(realm)}`,
+      `nonce=${quote(nonce)}`,
+      `uri=${quote(uri)}`,
+      `algorithm=${algorithm}`,
+      `response=${quote(response)}`,
+    ];
+    if (opaque !== undefined) params.push(`opaque=${quote(opaque)}`);
+    if (useQop) params.push('qop=auth', `nc=${nc}`, `cnonce=${quote(cnonce)}`);
+    return `Digest ${params.join(', ')}`;
+  }
+
+  // 计算 Digest 的 response 参数（RFC 7616 3.4.1），qop 为空时按 RFC 2069 计算
+  static digestResponse({
+    algorithm,
+    username,
+    realm,
+    password,
+    method,
+    uri,
+    nonce,
+    nc,
+    cnonce,
+    qop,
+  }) {
+    const hash = (text) => {
+      const hasher = new Hasher(algorithm.replace(/-SESS$/, ''));
+      hasher.update(new TextEncoder().encode(text));
+      return hasher.digest();
+    };
+
+    let ha1 = hash(`${username}:${realm}:${password}`);
+    if (algorithm.endsWith('-SESS')) {
+      ha1 = hash(`${ha1}:${nonce}:${cnonce}`);
+    }
+    const ha2 = hash(`${method}:${uri}`);
+    return qop
+      ? hash(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+      : hash(`${ha1}:${nonce}:${ha2}`);
+  }
+
+  // 服务器更换了 nonce（质询中 stale=true）时更新，凭据不变
+  updateChallenge(challenge) {
+    this.challenge = challenge;
+    this.nonceCount = 0;
+  }
+
+  // 质询中 stale=true 表示只是 nonce 过期，凭据本身是正确的
+  static isStale(challenge) {
+    return !!challenge && String(challenge.stale).toLowerCase() === 'true';
+  }
+}
+
+// 支持的 Digest 算法
+HttpAuth.DIGEST_ALGORITHMS = ['MD5', 'MD5-SESS', 'SHA-256', 'SHA-256-SESS'];
+
+// 导出给 Downloader 使用
+if (typeof self !== 'undefined') {
+  self.HttpAuth = HttpAuth;
+}
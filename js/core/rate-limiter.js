@@ -0,0 +1,50 @@
+/**
+ * 令牌桶限速器
+ * rate 为每秒允许的字节数，0 表示不限速
+ * 多个 Downloader 共享同一个实例即可实现全局限速
+ */
+class RateLimiter {
+  constructor(rate = 0) {
+    this.rate = 0;
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+    this.setRate(rate);
+  }
+
+  // 调整速率（运行中可随时调整，立即对后续读取生效）
+  setRate(rate) {
+    this.refill();
+    this.rate = Math.max(0, Number(rate) || 0);
+    // 桶容量为 1 秒的流量，避免空闲后瞬间突发
+    this.tokens = Math.min(this.tokens, this.rate);
+  }
+
+  // 按经过的时间补充令牌
+  refill() {
+    const now = Date.now();
+    if (this.rate > 0) {
+      const elapsed = (now - this.lastRefill) / 1000;
+      this.tokens = Math.min(this.rate, this.tokens + elapsed * this.rate);
+    }
+    this.lastRefill = now;
+  }
+
+  // 消耗 bytes 个令牌，令牌不足时等待
+  // 允许令牌暂时为负（预支），单次读取大于桶容量时也能正确限速
+  async consume(bytes) {
+    if (this.rate <= 0) return;
+
+    this.refill();
+    this.tokens -= bytes;
+
+    if (this.tokens < 0) {
+      const waitMs = (-this.tokens / this.rate) * 1000;
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+  }
+}
+
+// 导出给离屏文档使用
+if (typeof self !== 'undefined') {
+  self.RateLimiter = RateLimiter;
+}
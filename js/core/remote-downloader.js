@@ -0,0 +1,115 @@
+/**
+ * 下载引擎代理
+ * Downloader 运行在离屏文档中，后台通过本类以消息控制下载；
+ * 离屏文档发回的事件由 handleEvent 转换为与 Downloader 相同的回调
+ */
+class RemoteDownloader {
+  // send: 向离屏文档发送消息并返回响应的函数
+  constructor(id, send) {
+    this.id = id;
+    this.send = send;
+    this.state = 'in_progress';
+    this.bytesReceived = 0;
+    this.totalBytes = 0;
+    this.speed = 0;
+    this.streamType = null;
+    this.supportsRange = false;
+
+    // 事件回调（与 Downloader 相同）
+    this.onProgress = null;
+    this.onComplete = null;
+    this.onError = null;
+    this.onRestart = null;
+    this.onAuthRequired = null;
+    this.onStall = null;
+  }
+
+  // 开始下载，引擎无法启动时按下载失败处理
+  start(url, filename, options) {
+    return this.call('startDownload', { url, filename, options }).catch(
+      (error) => {
+        this.handleEvent('error', {
+          id: this.id,
+          error: error.message,
+          interruptReason: `下载引擎启动失败: ${error.message}`,
+        });
+      }
+    );
+  }
+
+  // 从持久化的分块进度恢复（恢复后为暂停状态），返回引擎中的下载状态
+  async restore(meta, options) {
+    const response = await this.call('restoreDownload', { meta, options });
+    Object.assign(this, response.status);
+    return response.status;
+  }
+
+  pause() {
+    this.state = 'paused';
+    this.notify('pauseDownload');
+  }
+
+  resume() {
+    this.state = 'in_progress';
+    this.notify('resumeDownload');
+  }
+
+  cancel() {
+    this.state = 'interrupted';
+    this.notify('cancelDownload');
+  }
+
+  // 使用凭据继续因认证暂停的下载
+  setCredentials(credentials, challenge) {
+    this.state = 'in_progress';
+    this.notify('setCredentials', { credentials, challenge });
+  }
+
+  setSpeedLimit(bytesPerSecond) {
+    this.notify('setSpeedLimit', { speedLimit: bytesPerSecond });
+  }
+
+  // 处理引擎发来的事件，status 为引擎中 Downloader 的当前状态
+  handleEvent(event, data, status) {
+    if (status) {
+      Object.assign(this, status);
+    }
+
+    const callbacks = {
+      progress: this.onProgress,
+      complete: this.onComplete,
+      error: this.onError,
+      restart: this.onRestart,
+      authRequired: this.onAuthRequired,
+      stall: this.onStall,
+    };
+    if (callbacks[event]) {
+      callbacks[event](data);
+    }
+  }
+
+  // 发送指令并检查响应
+  async call(action, params = {}) {
+    const response = await this.send({
+      action,
+      downloadId: this.id,
+      ...params,
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || '下载引擎无响应');
+    }
+    return response;
+  }
+
+  // 发送不需要等待结果的指令，失败时只记录日志
+  notify(action, params) {
+    this.call(action, params).catch((error) => {
+      console.warn(`[RemoteDownloader ${this.id}] ${action} 失败:`, error);
+    });
+  }
+}
+
+// 导出给 background.js 使用
+if (typeof self !== 'undefined') {
+  self.RemoteDownloader = RemoteDownloader;
+}
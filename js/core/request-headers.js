@@ -0,0 +1,218 @@
+/**
+ * 自定义请求头
+ * 解析用户输入的请求头，并按能否由 fetch 设置分为两部分：
+ * fetch 可以设置的由 Downloader 直接发送；Referer、Cookie、User-Agent 等 fetch 不允许设置的，
+ * 由后台添加 declarativeNetRequest 会话规则，在扩展发往该主机的请求中设置
+ */
+
+/* global ConnectionPool */
+
+class RequestHeaders {
+  // 解析 "Name: value" 格式的文本（每行一个），空行忽略，格式错误时抛出异常
+  static parse(text) {
+    const headers = {};
+    String(text || '')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .forEach((line) => {
+        const colon = line.indexOf(':');
+        const name = colon > 0 ? line.slice(0, colon).trim() : '';
+        if (!/^[!#$%&'*+.^`|~\w-]+$/.test(name)) {
+          throw new Error(`请求头格式无效: ${line}`);
+        }
+        headers[RequestHeaders.normalizeName(name)] = line
+          .slice(colon + 1)
+          .trim();
+      });
+    return headers;
+  }
+
+  // 从拦截到的原始请求头（webRequest 的 [{name, value}]）中取出需要重放的请求头
+  // 与连接、缓存和分块相关的由浏览器或 Downloader 自行设置
+  static fromCaptured(requestHeaders) {
+    const headers = {};
+    (requestHeaders || []).forEach(({ name, value }) => {
+      const lower = name.toLowerCase();
+      if (
+        value === undefined ||
+        RequestHeaders.SKIPPED.includes(lower) ||
+        lower.startsWith('sec-')
+      ) {
+        return;
+      }
+      headers[RequestHeaders.normalizeName(name)] = value;
+    });
+    return headers;
+  }
+
+  // 分为 fetch 可以设置的请求头和需要通过规则设置的请求头
+  static split(headers) {
+    const fetchHeaders = {};
+    const ruleHeaders = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      const lower = name.toLowerCase();
+      const forbidden =
+        RequestHeaders.FORBIDDEN.includes(lower) || lower.startsWith('proxy-');
+      (forbidden ? ruleHeaders : fetchHeaders)[name] = value;
+    });
+    return { fetchHeaders, ruleHeaders };
+  }
+
+  // 添加或更新下载对应的会话规则，ruleId 为空时分配新的规则 id，返回使用的规则 id
+  // 没有需要通过规则设置的请求头时删除已有规则并返回 null
+  // 规则匹配扩展自身（不属于任何标签页）发往该主机和端口（不含子域名）的请求，HLS 分片、镜像探测等同一主机的请求也会带上
+  // 规则无法区分同一主机的不同下载，后台不会让需要规则的下载与同一主机的其他下载同时进行（见 sharesHostWith）
+  static async applyRule(ruleId, url, headers) {
+    const { ruleHeaders } = RequestHeaders.split(headers);
+    const host = ConnectionPool.hostOf(url);
+    if (!RequestHeaders.needsRule(headers) || !host) {
+      await RequestHeaders.removeRule(ruleId);
+      return null;
+    }
+
+    const id = ruleId || (await RequestHeaders.nextRuleId());
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: [id],
+      addRules: [
+        {
+          id,
+          priority: 1,
+          action: {
+            type: 'modifyHeaders',
+            requestHeaders: Object.entries(ruleHeaders).map(
+              ([header, value]) => ({ header, operation: 'set', value })
+            ),
+          },
+          condition: {
+            urlFilter: `|http*://${host}^`,
+            initiatorDomains: [chrome.runtime.id],
+            tabIds: [chrome.tabs.TAB_ID_NONE],
+          },
+        },
+      ],
+    });
+    return id;
+  }
+
+  // 两个下载是否会受到彼此请求头规则的影响（主机和端口相同且至少一个需要规则）
+  static sharesHostWith(url, headers, otherUrl, otherHeaders) {
+    const host = ConnectionPool.hostOf(url);
+    return (
+      Boolean(host) &&
+      host === ConnectionPool.hostOf(otherUrl) &&
+      (RequestHeaders.needsRule(headers) ||
+        RequestHeaders.needsRule(otherHeaders))
+    );
+  }
+
+  // 是否有需要通过规则设置的请求头
+  static needsRule(headers) {
+    return Object.keys(RequestHeaders.split(headers).ruleHeaders).length > 0;
+  }
+
+  // 删除会话规则
+  static async removeRule(ruleId) {
+    if (!ruleId) return;
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: [ruleId],
+    });
+  }
+
+  // 删除不在 keepIds 中的会话规则（清理已删除下载留下的规则）
+  static async removeUnusedRules(keepIds) {
+    const rules = await chrome.declarativeNetRequest.getSessionRules();
+    const removeRuleIds = rules
+      .map((rule) => rule.id)
+      .filter((id) => !keepIds.includes(id));
+    if (removeRuleIds.length > 0) {
+      await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds });
+    }
+  }
+
+  // 未使用的规则 id（会话规则在 Service Worker 重启后仍然存在，需要从现有规则中计算）
+  static async nextRuleId() {
+    const rules = await chrome.declarativeNetRequest.getSessionRules();
+    return rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+  }
+
+  // 去掉含有凭据的请求头（Cookie、Authorization 等），用于保存到本地存储和返回给界面的下载记录
+  static withoutSensitive(headers) {
+    return RequestHeaders.filter(
+      headers,
+      (name) => !RequestHeaders.isSensitive(name)
+    );
+  }
+
+  // 只保留含有凭据的请求头
+  static sensitiveOf(headers) {
+    return RequestHeaders.filter(headers, RequestHeaders.isSensitive);
+  }
+
+  static isSensitive(name) {
+    return RequestHeaders.SENSITIVE.includes(name.toLowerCase());
+  }
+
+  static filter(headers, predicate) {
+    const result = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      if (predicate(name)) result[name] = value;
+    });
+    return result;
+  }
+
+  // 请求头名称统一为首字母大写的形式（user-agent -> User-Agent）
+  static normalizeName(name) {
+    return name
+      .toLowerCase()
+      .replace(
+        /(^|-)([a-z])/g,
+        (match, dash, char) => dash + char.toUpperCase()
+      );
+  }
+}
+
+// fetch 不允许设置的请求头（Chrome 中 User-Agent 也无法通过 fetch 设置）
+RequestHeaders.FORBIDDEN = [
+  'accept-charset',
+  'accept-encoding',
+  'cookie',
+  'date',
+  'dnt',
+  'origin',
+  'referer',
+  'user-agent',
+];
+
+// 含有凭据的请求头，只保存在内存和会话存储中
+RequestHeaders.SENSITIVE = ['authorization', 'cookie', 'proxy-authorization'];
+
+// 拦截下载时不重放的请求头
+RequestHeaders.SKIPPED = [
+  'host',
+  'connection',
+  'content-length',
+  'keep-alive',
+  'upgrade',
+  'upgrade-insecure-requests',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'expect',
+  'range',
+  'if-range',
+  'if-match',
+  'if-none-match',
+  'if-modified-since',
+  'if-unmodified-since',
+  'accept-encoding',
+  'cache-control',
+  'pragma',
+  'priority',
+  'purpose',
+];
+
+// 导出给后台脚本和下载器使用
+if (typeof self !== 'undefined') {
+  self.RequestHeaders = RequestHeaders;
+}
@@ -0,0 +1,143 @@
+/**
+ * 保存目录
+ * 保存用户通过 File System Access API 授权的目录句柄（IndexedDB），
+ * 下载完成后直接把文件写入该目录，不经过 chrome.downloads
+ */
+class SaveFolder {
+  constructor(dbName = 'chrome-download-manager-folder') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  // 打开数据库（只打开一次，后续复用同一个连接）
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('handles');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null; // 允许下次重试
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // 在事务中读写目录句柄
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('handles', mode);
+      const request = operation(tx.objectStore('handles'));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // 读取已授权的目录句柄，没有时返回 undefined
+  getHandle() {
+    return this.run('readonly', (store) => store.get('directory'));
+  }
+
+  // 保存目录句柄（句柄可以直接存入 IndexedDB）
+  setHandle(handle) {
+    return this.run('readwrite', (store) => store.put(handle, 'directory'));
+  }
+
+  // 清除目录句柄
+  clear() {
+    return this.run('readwrite', (store) => store.delete('directory'));
+  }
+
+  // 查询读写权限：granted / prompt / denied，没有选择目录时返回 null
+  // 浏览器重启后权限可能需要重新授予
+  async queryPermission() {
+    const handle = await this.getHandle();
+    if (!handle) return null;
+    return handle.queryPermission({ mode: 'readwrite' });
+  }
+
+  // 请求读写权限（需要用户操作触发，只能在页面中调用）
+  async requestPermission() {
+    const handle = await this.getHandle();
+    if (!handle) return null;
+    return handle.requestPermission({ mode: 'readwrite' });
+  }
+
+  // 将文件写入目录（subfolder 为相对路径，如 "videos/2024"），返回保存的相对路径
+  // 同名文件已存在时自动加序号，不覆盖
+  async save(subfolder, filename, blob) {
+    const root = await this.getHandle();
+    if (!root) {
+      throw new Error('尚未选择保存目录');
+    }
+
+    let dir = root;
+    const path = [root.name];
+    for (const name of SaveFolder.splitPath(subfolder)) {
+      dir = await dir.getDirectoryHandle(name, { create: true });
+      path.push(name);
+    }
+
+    const name = await SaveFolder.uniqueName(dir, filename);
+    const fileHandle = await dir.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    try {
+      // 流式写入，临时文件不会整体载入内存
+      await blob.stream().pipeTo(writable);
+    } catch (error) {
+      await dir.removeEntry(name).catch(() => {});
+      throw error;
+    }
+
+    path.push(name);
+    return path.join('/');
+  }
+
+  // 拆分相对路径，去掉空段、"." 和 ".."，并替换文件名中不允许的字符
+  static splitPath(path) {
+    return String(path || '')
+      .split(/[\\/]+/)
+      .map((name) => SaveFolder.sanitize(name))
+      .filter((name) => name && name !== '.' && name !== '..');
+  }
+
+  // 替换文件名中不允许的字符
+  static sanitize(name) {
+    return String(name || '')
+      .replace(/[<>:"|?*]/g, '_')
+      .trim();
+  }
+
+  // 目录中已有同名文件时，生成 "name (1).ext" 形式的文件名
+  static async uniqueName(dir, filename) {
+    const base =
+      SaveFolder.sanitize(filename.split(/[\\/]/).pop()) || 'download';
+    const dot = base.lastIndexOf('.');
+    const stem = dot > 0 ? base.slice(0, dot) : base;
+    const ext = dot > 0 ? base.slice(dot) : '';
+
+    for (let i = 0; ; i++) {
+      const candidate = i === 0 ? base : `${stem} (${i})${ext}`;
+      const exists = await dir
+        .getFileHandle(candidate)
+        .then(() => true)
+        .catch((error) => {
+          if (error.name === 'NotFoundError') return false;
+          if (error.name === 'TypeMismatchError') return true; // 同名的文件夹
+          throw error;
+        });
+      if (!exists) return candidate;
+    }
+  }
+}
+
+// 导出给离屏文档和管理页面使用
+if (typeof self !== 'undefined') {
+  self.SaveFolder = SaveFolder;
+}
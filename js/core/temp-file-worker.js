@@ -0,0 +1,93 @@
+/**
+ * 临时文件写入线程
+ * 同步访问句柄（createSyncAccessHandle）只能在专用 Worker 中使用：数据直接写入文件中的对应位置，
+ * 不像写入流那样在关闭时复制整个文件，大文件的提交开销与文件大小无关
+ * 消息 {id, op, name, ...}，回复 {id, result} 或 {id, error: {name, message}}
+ */
+
+const handles = new Map(); // 文件名 -> Promise<FileSystemSyncAccessHandle>
+
+// 打开同步访问句柄（已打开时复用），文件不存在时创建
+function openHandle(name) {
+  if (!handles.has(name)) {
+    const opening = navigator.storage
+      .getDirectory()
+      .then((root) => root.getFileHandle(name, { create: true }))
+      .then((fileHandle) => fileHandle.createSyncAccessHandle());
+    // 打开失败时删除缓存，下次重新打开
+    opening.catch(() => handles.delete(name));
+    handles.set(name, opening);
+  }
+  return handles.get(name);
+}
+
+// 关闭句柄（句柄打开期间文件被锁定，其他上下文无法读取或删除）
+async function closeHandle(name) {
+  const opening = handles.get(name);
+  if (!opening) return;
+  handles.delete(name);
+  const handle = await opening.catch(() => null);
+  if (handle) {
+    handle.flush();
+    handle.close();
+  }
+}
+
+const operations = {
+  async write({ name, position, data }) {
+    const handle = await openHandle(name);
+    const bytes =
+      data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+    const written = handle.write(bytes, { at: position });
+    if (written !== bytes.length) {
+      throw new Error(`只写入了 ${written} / ${bytes.length} 字节`);
+    }
+  },
+
+  async truncate({ name, size }) {
+    const handle = await openHandle(name);
+    handle.truncate(size);
+  },
+
+  // 确保已写入的数据保存到磁盘
+  async flush({ name }) {
+    if (!handles.has(name)) return;
+    const handle = await handles.get(name);
+    handle.flush();
+  },
+
+  close({ name }) {
+    return closeHandle(name);
+  },
+
+  // 文件大小，文件不存在时返回 0
+  async size({ name }) {
+    if (handles.has(name)) {
+      const handle = await handles.get(name);
+      return handle.getSize();
+    }
+    const root = await navigator.storage.getDirectory();
+    const fileHandle = await root.getFileHandle(name).catch(() => null);
+    return fileHandle ? (await fileHandle.getFile()).size : 0;
+  },
+
+  async remove({ name }) {
+    await closeHandle(name);
+    const root = await navigator.storage.getDirectory();
+    await root.removeEntry(name).catch((error) => {
+      if (error.name !== 'NotFoundError') throw error;
+    });
+  },
+};
+
+self.onmessage = async ({ data: message }) => {
+  try {
+    const result = await operations[message.op](message);
+    self.postMessage({ id: message.id, result });
+  } catch (error) {
+    self.postMessage({
+      id: message.id,
+      error: { name: error.name, message: error.message },
+    });
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * 下载临时文件
+ * 使用源私有文件系统（OPFS）保存下载中的数据：收到的数据直接写入文件中对应的偏移位置，
+ * 不在内存中累积，内存占用与文件大小无关
+ * 读写由专用 Worker 中的同步访问句柄完成（见 temp-file-worker.js），写入不复制已有数据
+ */
+class TempFile {
+  constructor(name) {
+    this.name = name;
+    this.queue = Promise.resolve(); // 串行化写入、提交和删除
+    this.error = null; // 写入失败后文件中缺少数据，之后的写入和提交都会失败
+  }
+
+  // 获取文件句柄，create 为 false 且文件不存在时抛出 NotFoundError
+  async getHandle(create = true) {
+    const root = await navigator.storage.getDirectory();
+    return root.getFileHandle(this.name, { create });
+  }
+
+  // 在指定位置写入数据（Uint8Array 或 Blob）
+  write(position, data) {
+    return this.enqueue(async () => {
+      if (this.error) throw this.error;
+      // 只传递视图对应的数据，而不是整个底层缓冲区
+      const bytes =
+        data instanceof Uint8Array && data.byteLength !== data.buffer.byteLength
+          ? data.slice()
+          : data;
+      await TempFile.request('write', {
+        name: this.name,
+        position,
+        data: bytes,
+      }).catch((error) => this.fail(error));
+    });
+  }
+
+  // 截断文件（重新开始单线程下载时清除旧数据）
+  truncate(size) {
+    return this.enqueue(async () => {
+      if (this.error) throw this.error;
+      await TempFile.request('truncate', { name: this.name, size }).catch(
+        (error) => this.fail(error)
+      );
+    });
+  }
+
+  // 确保已写入的数据保存到磁盘（只刷新，不复制文件，可以频繁调用）
+  commit() {
+    return this.enqueue(async () => {
+      if (this.error) throw this.error;
+      await TempFile.request('flush', { name: this.name }).catch((error) =>
+        this.fail(error)
+      );
+    });
+  }
+
+  // 关闭句柄后读取文件，返回的 File 由磁盘支持，不会整体载入内存
+  // 之后再写入会重新打开句柄，已读取的 File 随之失效
+  async getFile() {
+    await this.enqueue(async () => {
+      if (this.error) throw this.error;
+      await TempFile.request('close', { name: this.name });
+    });
+    const handle = await this.getHandle(false);
+    return handle.getFile();
+  }
+
+  // 文件大小，文件不存在时返回 0
+  getSize() {
+    return this.enqueue(() => TempFile.request('size', { name: this.name }));
+  }
+
+  // 删除文件，放弃未提交的数据
+  remove() {
+    return this.enqueue(async () => {
+      await TempFile.request('remove', { name: this.name });
+      this.error = null;
+    });
+  }
+
+  // 记录错误并抛出
+  // 标记为 TempFileError：磁盘空间不足等问题重试也无法解决
+  fail(error) {
+    this.error = new Error(`写入临时文件失败: ${error.message}`);
+    this.error.name = 'TempFileError';
+    throw this.error;
+  }
+
+  // 加入操作队列，前一个操作失败不影响后续操作
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // 发送给写入线程（第一次使用时创建），返回操作结果
+  static request(op, params) {
+    if (!TempFile.worker) {
+      TempFile.worker = new Worker(TempFile.WORKER_URL);
+      TempFile.worker.onmessage = ({ data }) => {
+        const pending = TempFile.pending.get(data.id);
+        if (!pending) return;
+        TempFile.pending.delete(data.id);
+        if (data.error) {
+          const error = new Error(data.error.message);
+          error.name = data.error.name;
+          pending.reject(error);
+        } else {
+          pending.resolve(data.result);
+        }
+      };
+      // 线程无法启动时所有操作都会失败
+      TempFile.worker.onerror = (event) => {
+        const error = new Error(`临时文件线程出错: ${event.message}`);
+        TempFile.pending.forEach((pending) => pending.reject(error));
+        TempFile.pending.clear();
+      };
+    }
+
+    const id = TempFile.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      TempFile.pending.set(id, { resolve, reject });
+      TempFile.worker.postMessage({ ...params, id, op });
+    });
+  }
+
+  // 删除指定的临时文件（不存在时忽略）
+  // 由后台脚本调用，不经过写入线程；正在写入的文件被锁定，由下载器自己删除
+  static async remove(name) {
+    const root = await navigator.storage.getDirectory();
+    await root.removeEntry(name).catch((error) => {
+      if (error.name !== 'NotFoundError') throw error;
+    });
+  }
+
+  // 列出所有临时文件名
+  static async list() {
+    const root = await navigator.storage.getDirectory();
+    const names = [];
+    for await (const name of root.keys()) {
+      names.push(name);
+    }
+    return names;
+  }
+}
+
+TempFile.WORKER_URL = '/js/core/temp-file-worker.js';
+TempFile.worker = null; // 写入线程，离屏文档中所有临时文件共用
+TempFile.pending = new Map(); // 请求 id -> {resolve, reject}
+TempFile.nextRequestId = 1;
+
+// 导出给 Downloader、后台脚本和离屏文档使用
+if (typeof self !== 'undefined') {
+  self.TempFile = TempFile;
+}
@@ -0,0 +1,318 @@
+// 智能下载管理器 - 离屏文档脚本
+// 下载引擎运行在离屏文档中：Service Worker 可能在传输过程中被挂起，离屏文档则会一直存在，
+// 正在进行的下载不会因此中断。后台通过消息控制下载，下载事件通过消息发回后台。
+// 下载完成后由离屏文档生成 Blob URL（Service Worker 中无法使用 URL.createObjectURL），
+// 供后台交给 chrome.downloads 保存
+
+/* global Downloader, ChunkStore, RateLimiter, ConnectionPool, TempFile, SaveFolder */
+
+class OffscreenHost {
+  constructor() {
+    this.downloaders = new Map(); // downloadId -> 运行中或暂停的 Downloader
+    this.completed = new Map(); // downloadId（附加文件为 `${id}_${track}`）-> 下载完成、等待保存的 Blob
+    this.blobUrls = new Map(); // downloadId -> Blob URL
+    this.chunkStore = new ChunkStore(); // 分块进度持久化存储
+    this.saveFolder = new SaveFolder(); // 用户授权的保存目录
+    this.globalLimiter = new RateLimiter(0); // 所有下载共享的全局限速器
+    this.pool = new ConnectionPool(); // 所有下载共享的连接数上限
+
+    chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
+    console.log('离屏文档已就绪');
+  }
+
+  // 处理来自后台的消息（只处理发给离屏文档的消息）
+  handleMessage(request, sender, sendResponse) {
+    if (request.target !== 'offscreen') return false;
+
+    (async () => {
+      try {
+        switch (request.action) {
+          case 'startDownload':
+            this.startDownload(
+              request.downloadId,
+              request.url,
+              request.filename,
+              request.options
+            );
+            sendResponse({ success: true });
+            break;
+
+          case 'restoreDownload': {
+            const status = await this.restoreDownload(
+              request.meta,
+              request.options
+            );
+            sendResponse({ success: true, status });
+            break;
+          }
+
+          case 'pauseDownload':
+            this.getDownloader(request.downloadId).pause();
+            sendResponse({ success: true });
+            break;
+
+          case 'resumeDownload':
+            this.getDownloader(request.downloadId).resume();
+            sendResponse({ success: true });
+            break;
+
+          case 'setCredentials':
+            this.getDownloader(request.downloadId).setCredentials(
+              request.credentials,
+              request.challenge
+            );
+            sendResponse({ success: true });
+            break;
+
+          case 'cancelDownload':
+            this.getDownloader(request.downloadId).cancel();
+            this.downloaders.delete(request.downloadId);
+            sendResponse({ success: true });
+            break;
+
+          case 'setSpeedLimit':
+            this.getDownloader(request.downloadId).setSpeedLimit(
+              request.speedLimit
+            );
+            sendResponse({ success: true });
+            break;
+
+          case 'setGlobalSpeedLimit':
+            this.globalLimiter.setRate(request.speedLimit);
+            sendResponse({ success: true });
+            break;
+
+          case 'setConnectionLimits':
+            this.setConnectionLimits(request.limits);
+            sendResponse({ success: true });
+            break;
+
+          case 'listDownloads':
+            sendResponse({
+              success: true,
+              downloads: [...this.downloaders.values()].map((downloader) => ({
+                id: downloader.id,
+                status: this.getStatus(downloader),
+              })),
+            });
+            break;
+
+          case 'createBlobUrl': {
+            const url = await this.createBlobUrl(
+              request.downloadId,
+              request.expectedSize
+            );
+            sendResponse({ success: true, url });
+            break;
+          }
+
+          case 'releaseBlobUrl':
+            this.releaseBlobUrl(request.downloadId);
+            this.completed.delete(request.downloadId);
+            sendResponse({ success: true });
+            break;
+
+          case 'saveToFolder': {
+            const result = await this.saveToFolder(
+              request.subfolder,
+              request.files
+            );
+            sendResponse({ success: true, ...result });
+            break;
+          }
+
+          default:
+            sendResponse({ success: false, error: '未知操作' });
+        }
+      } catch (error) {
+        console.error('离屏文档处理消息失败:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true; // 保持消息通道开启
+  }
+
+  // 创建并开始下载（ID 由后台生成，保证两边一致）
+  startDownload(downloadId, url, filename, options) {
+    const downloader = new Downloader(url, filename, {
+      ...this.getOptions(options),
+      id: downloadId,
+    });
+    this.bindDownloader(downloader);
+    downloader.start();
+  }
+
+  // 从持久化的分块进度重建下载器，恢复后为暂停状态
+  async restoreDownload(meta, options) {
+    // 已提交的数据必须都在临时文件中，否则续传会得到缺失数据的文件
+    const committedEnd = Math.max(
+      0,
+      ...meta.chunkProgress
+        .filter((chunk) => chunk.downloaded > 0)
+        .map((chunk) => chunk.start + chunk.downloaded)
+    );
+    const fileSize = await new TempFile(meta.id).getSize();
+    if (fileSize < committedEnd) {
+      throw new Error('下载任务无法恢复: 已下载的临时文件不完整');
+    }
+
+    const existing = this.downloaders.get(meta.id);
+    if (existing) {
+      existing.cancel();
+    }
+
+    const downloader = Downloader.restore(meta, this.getOptions(options));
+    this.bindDownloader(downloader);
+    return this.getStatus(downloader);
+  }
+
+  // 补充只存在于离屏文档中的选项（持久化存储、全局限速器和连接池）
+  getOptions(options = {}) {
+    const { globalSpeedLimit, connectionLimits, ...rest } = options;
+    if (globalSpeedLimit !== undefined) {
+      this.globalLimiter.setRate(globalSpeedLimit);
+    }
+    if (connectionLimits) {
+      this.setConnectionLimits(connectionLimits);
+    }
+    return {
+      ...rest,
+      store: this.chunkStore,
+      globalLimiter: this.globalLimiter,
+      pool: this.pool,
+    };
+  }
+
+  // 调整总连接数和同一主机连接数的上限
+  setConnectionLimits(limits) {
+    this.pool.setLimits(limits.maxConnections, limits.maxConnectionsPerHost);
+  }
+
+  getDownloader(downloadId) {
+    const downloader = this.downloaders.get(downloadId);
+    if (!downloader) {
+      throw new Error('下载任务不在运行中');
+    }
+    return downloader;
+  }
+
+  // 后台需要同步的 Downloader 状态
+  getStatus(downloader) {
+    return {
+      state: downloader.state,
+      bytesReceived: downloader.bytesReceived,
+      totalBytes: downloader.totalBytes,
+      speed: downloader.speed,
+      streamType: downloader.streamType,
+      supportsRange: downloader.supportsRange,
+    };
+  }
+
+  // 将 Downloader 的回调转为发给后台的事件
+  // 后台的 Service Worker 休眠时，消息会将其唤醒
+  bindDownloader(downloader) {
+    this.downloaders.set(downloader.id, downloader);
+
+    const emit = (event, data) => {
+      chrome.runtime
+        .sendMessage({
+          target: 'background',
+          action: 'engineEvent',
+          downloadId: downloader.id,
+          event: event,
+          data: data,
+          status: this.getStatus(downloader),
+        })
+        .catch((error) => {
+          console.warn(`发送下载事件失败 (${event}):`, error);
+        });
+    };
+
+    downloader.onProgress = (data) => emit('progress', data);
+    downloader.onRestart = (data) => emit('restart', data);
+    downloader.onAuthRequired = (data) => emit('authRequired', data);
+    downloader.onStall = (data) => emit('stall', data);
+    downloader.onError = (data) => {
+      this.downloaders.delete(downloader.id);
+      emit('error', data);
+    };
+    // Blob 无法通过消息传递，保留在离屏文档中，后台只收到大小
+    downloader.onComplete = (data) => {
+      this.downloaders.delete(downloader.id);
+      this.completed.set(data.id, data.blob);
+      data.attachments.forEach((file) => {
+        this.completed.set(`${data.id}_${file.track}`, file.blob);
+      });
+
+      emit('complete', {
+        id: data.id,
+        filename: data.filename,
+        mimeType: data.mimeType,
+        size: data.blob.size,
+        integrity: data.integrity,
+        mirrorStats: data.mirrorStats,
+        hostReport: data.hostReport,
+        attachments: data.attachments.map((file) => ({
+          track: file.track,
+          filename: file.filename,
+          size: file.blob.size,
+        })),
+      });
+    };
+  }
+
+  // 读取下载完成的数据（离屏文档重新创建后从临时文件读取）
+  async getBlob(downloadId) {
+    if (this.completed.has(downloadId)) {
+      return this.completed.get(downloadId);
+    }
+    return new TempFile(downloadId).getFile();
+  }
+
+  // 生成 Blob URL（临时文件的 File 由磁盘支持，不会整体载入内存）
+  async createBlobUrl(downloadId, expectedSize) {
+    const blob = await this.getBlob(downloadId);
+
+    if (expectedSize !== undefined && blob.size !== expectedSize) {
+      throw new Error(
+        `已保存的数据不完整: ${blob.size} / ${expectedSize} bytes`
+      );
+    }
+
+    this.releaseBlobUrl(downloadId);
+    const url = URL.createObjectURL(blob);
+    this.blobUrls.set(downloadId, url);
+
+    console.log(`已生成 Blob URL (ID: ${downloadId}, 大小: ${blob.size} 字节)`);
+    return url;
+  }
+
+  // 释放 Blob URL
+  releaseBlobUrl(downloadId) {
+    const url = this.blobUrls.get(downloadId);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.blobUrls.delete(downloadId);
+    }
+  }
+
+  // 写入用户授权的保存目录，files 为 [{downloadId, filename}]
+  // 没有读写权限时不写入，返回 {permission, paths: null}
+  async saveToFolder(subfolder, files) {
+    const permission = await this.saveFolder.queryPermission();
+    if (permission !== 'granted') {
+      return { permission, paths: null };
+    }
+
+    const paths = [];
+    for (const file of files) {
+      const blob = await this.getBlob(file.downloadId);
+      paths.push(await this.saveFolder.save(subfolder, file.filename, blob));
+    }
+    return { permission, paths };
+  }
+}
+
+// 初始化离屏文档
+new OffscreenHost();
@@ -1,9 +1,18 @@
+/* global HlsPlaylist, DashManifest, SaveFolder, FileType, DownloadSchedule */
+
 class DownloadManagerPage {
   constructor() {
     this.downloads = [];
     this.currentFilter = 'all';
     this.currentType = null;
     this.searchQuery = '';
+    this.settings = {};
+    this.saveFolder = new SaveFolder(); // 直接保存文件的目录（File System Access API）
+    this.speedLimitTarget = null; // 正在设置限速的下载 ID
+    this.speedLimitOptions = [0, 128, 256, 512, 1024, 2048, 5120, 10240]; // 限速选项 (KB/s)，0 表示不限速
+    this.priorities = ['high', 'normal', 'low']; // 下载优先级（从高到低）
+    this.priorityLabels = { high: '高', normal: '普通', low: '低' };
+    this.priorityIcons = { high: '🔺', normal: '➖', low: '🔻' };
 
     this.init();
   }
@@ -75,19 +84,66 @@ class DownloadManagerPage {
       document.getElementById('urlInput').focus();
     });
 
+    // 关闭按钮和背景点击关闭所在的模态框
     closeBtns.forEach((btn) => {
-      btn.addEventListener('click', () => modal.classList.remove('show'));
+      btn.addEventListener('click', () =>
+        btn.closest('.modal').classList.remove('show')
+      );
     });
 
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) modal.classList.remove('show');
+    document.querySelectorAll('.modal').forEach((m) => {
+      m.addEventListener('click', (e) => {
+        if (e.target === m) m.classList.remove('show');
+      });
     });
 
+    // 设置
+    document
+      .getElementById('settingsBtn')
+      .addEventListener('click', () => this.openSettings());
+    document
+      .getElementById('saveSettingsBtn')
+      .addEventListener('click', () => this.saveSettings());
+    document
+      .getElementById('chooseFolderBtn')
+      .addEventListener('click', () => this.chooseSaveFolder());
+    document
+      .getElementById('authorizeFolderBtn')
+      .addEventListener('click', () => this.authorizeSaveFolder());
+    document
+      .getElementById('clearFolderBtn')
+      .addEventListener('click', () => this.clearSaveFolder());
+
+    // 主机配置
+    document
+      .getElementById('hostProfilesBtn')
+      .addEventListener('click', () => this.openHostProfiles());
+    document
+      .getElementById('resetAllHostProfilesBtn')
+      .addEventListener('click', () => this.resetHostProfile(null));
+    document
+      .getElementById('hostProfilesBody')
+      .addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-host]');
+        if (btn) this.resetHostProfile(btn.dataset.host);
+      });
+
+    // 单个下载限速
+    document
+      .getElementById('saveSpeedLimitBtn')
+      .addEventListener('click', () => this.saveSpeedLimit());
+
     // 开始下载
     document
       .getElementById('startDownloadBtn')
       .addEventListener('click', () => this.startNewDownload());
 
+    // HLS / DASH 地址：读取可选的清晰度和音视频轨道
+    document.getElementById('urlInput').addEventListener('change', () => {
+      this.loadHlsVariants();
+      this.loadDashTracks();
+    });
+
     // 清除已完成
     document
       .getElementById('clearCompletedBtn')
@@ -136,6 +192,8 @@ class DownloadManagerPage {
       const chromeMap = new Map(chromeDownloads.map((cd) => [cd.id, cd]));
 
       this.downloads.forEach((d) => {
+        // 直接写入保存目录的文件没有 Chrome 下载记录，无法检查，视为存在
+        if (d.saveMethod === 'folder') return;
         if (d.finalDownloadId) {
           const cd = chromeMap.get(d.finalDownloadId);
           // 如果记录存在且 exists 为 true，则文件存在
@@ -160,6 +218,7 @@ class DownloadManagerPage {
       all: this.downloads.length,
       in_progress: this.downloads.filter((d) => d.state === 'in_progress')
         .length,
+      queued: this.downloads.filter((d) => d.state === 'queued').length,
       complete: this.downloads.filter((d) => d.state === 'complete').length,
       interrupted: this.downloads.filter((d) => d.state === 'interrupted')
         .length,
@@ -175,30 +234,9 @@ class DownloadManagerPage {
     if (totalEl) totalEl.textContent = this.downloads.length;
   }
 
-  getFileType(filename) {
-    const ext = filename.split('.').pop().toLowerCase();
-    const types = {
-      image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp'],
-      video: ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm'],
-      audio: ['mp3', 'wav', 'flac', 'm4a', 'aac', 'ogg'],
-      document: [
-        'pdf',
-        'doc',
-        'docx',
-        'xls',
-        'xlsx',
-        'ppt',
-        'pptx',
-        'txt',
-        'md',
-      ],
-      archive: ['zip', 'rar', '7z', 'tar', 'gz', 'iso'],
-    };
-
-    for (const [type, exts] of Object.entries(types)) {
-      if (exts.includes(ext)) return type;
-    }
-    return 'other';
+  // 文件分类（扩展名无法分类时使用下载完成时识别出的文件类型）
+  getFileType(d) {
+    return FileType.getCategory(d.filename, d.mimeType);
   }
 
   getFileIcon(type) {
@@ -221,7 +259,7 @@ class DownloadManagerPage {
 
       // 类型过滤
       if (this.currentType) {
-        const type = this.getFileType(d.filename);
+        const type = this.getFileType(d);
         if (type !== this.currentType) return false;
       }
 
@@ -240,6 +278,11 @@ class DownloadManagerPage {
   renderList() {
     const list = document.getElementById('downloadList');
     const filtered = this.filterDownloads();
+    if (this.currentFilter === 'queued') {
+      // 排队列表按开始顺序显示
+      const rank = (d) => this.priorities.indexOf(d.priority);
+      filtered.sort((a, b) => rank(a) - rank(b) || a.queueOrder - b.queueOrder);
+    }
 
     if (filtered.length === 0) {
       list.innerHTML = `
@@ -258,11 +301,18 @@ class DownloadManagerPage {
   }
 
   createDownloadItemHTML(d) {
-    const type = this.getFileType(d.filename);
+    const type = this.getFileType(d);
     const icon = this.getFileIcon(type);
-    const size = this.formatSize(d.totalBytes);
+    let size = this.formatSize(d.totalBytes);
     const received = this.formatSize(d.bytesReceived);
-    const speed = d.state === 'in_progress' ? this.formatSpeed(d.speed) : '-';
+    if (d.segmentStats && d.state !== 'complete') {
+      // HLS 的总大小是估算值，同时显示分片进度
+      size = `~${size} (分片 ${d.segmentStats.completed}/${d.segmentStats.total})`;
+    }
+    let speed = d.state === 'in_progress' ? this.formatSpeed(d.speed) : '-';
+    if (d.speedLimit > 0 && (d.state === 'in_progress' || d.paused)) {
+      speed += ` (≤ ${this.formatSpeed(d.speedLimit)})`;
+    }
     const time = new Date(d.startTime).toLocaleString();
 
     let statusClass = `status-${d.state}`;
@@ -274,6 +324,43 @@ class DownloadManagerPage {
       statusText = '文件不存在';
     }
 
+    // 服务器限流，等待 Retry-After 指定的时间
+    if (d.state === 'in_progress' && d.waitingUntil > Date.now()) {
+      statusClass = 'status-waiting';
+      statusText = `等待服务器 (${Math.ceil(
+        (d.waitingUntil - Date.now()) / 1000
+      )} 秒)`;
+    }
+
+    // 未到开始时间或不在下载时段内
+    if (
+      (d.state === 'queued' || d.scheduledPause) &&
+      !DownloadSchedule.isAllowed(d.schedule)
+    ) {
+      statusText = d.state === 'queued' ? '等待计划' : '等待下载时段';
+    }
+    if (d.state === 'queued' && d.priority !== 'normal') {
+      statusText += ` (${this.priorityLabels[d.priority]}优先级)`;
+    }
+
+    // 分块重试信息
+    const retryInfo = this.getRetryInfo(d);
+    if (retryInfo.total > 0 && d.state !== 'complete') {
+      statusText += ` (重试 ${retryInfo.total})`;
+    }
+
+    // 完整性校验结果
+    const integrity = this.getIntegrityInfo(d);
+    let statusTitle =
+      retryInfo.details || DownloadSchedule.describe(d.schedule);
+    if (d.state === 'complete' && integrity) {
+      statusText += ` ${integrity.label}`;
+      statusTitle = integrity.details;
+      if (integrity.status === 'mismatch' && d.exists !== false) {
+        statusClass = 'status-mismatch';
+      }
+    }
+
     let progressHTML = '';
     if (d.state === 'in_progress') {
       const percent =
@@ -305,7 +392,9 @@ class DownloadManagerPage {
                     </div>
                 </div>
                 <div class="col-status">
-                    <span class="status-badge ${statusClass}">${statusText}</span>
+                    <span class="status-badge ${statusClass}" title="${this.escapeHtml(
+                      statusTitle
+                    )}">${statusText}</span>
                 </div>
                 <div class="col-size">${received} / ${size}</div>
                 <div class="col-speed">${speed}</div>
@@ -326,16 +415,27 @@ class DownloadManagerPage {
       } else {
         buttons += `<button class="action-btn" data-action="pause" title="暂停">⏸️</button>`;
       }
+      buttons += `<button class="action-btn" data-action="speedLimit" title="限速">${
+        d.speedLimit > 0 ? '🐢' : '🚀'
+      }</button>`;
+      buttons += `<button class="action-btn" data-action="cancel" title="取消">❌</button>`;
+    } else if (d.state === 'queued') {
+      buttons += `<button class="action-btn" data-action="moveUp" title="提前">⬆️</button>`;
+      buttons += `<button class="action-btn" data-action="moveDown" title="推后">⬇️</button>`;
+      buttons += `<button class="action-btn" data-action="priority" title="优先级: ${
+        this.priorityLabels[d.priority]
+      }（点击切换）">${this.priorityIcons[d.priority]}</button>`;
       buttons += `<button class="action-btn" data-action="cancel" title="取消">❌</button>`;
     } else if (d.state === 'complete') {
-      // 只有文件存在时才显示打开文件夹按钮
-      if (d.exists !== false) {
+      // 只有文件存在时才显示打开文件夹按钮（直接写入保存目录的文件无法打开）
+      if (d.exists !== false && d.saveMethod !== 'folder') {
         buttons += `<button class="action-btn" data-action="openFolder" title="打开文件夹">📁</button>`;
       }
     } else {
       buttons += `<button class="action-btn" data-action="retry" title="重试">🔄</button>`;
     }
 
+    buttons += `<button class="action-btn" data-action="detail" title="详情">ℹ️</button>`;
     buttons += `<button class="action-btn" data-action="copyLink" title="复制链接">🔗</button>`;
     buttons += `<button class="action-btn" data-action="delete" title="删除记录">🗑️</button>`;
 
@@ -389,6 +489,33 @@ class DownloadManagerPage {
           }
           break;
         }
+        case 'moveUp':
+        case 'moveDown':
+          await chrome.runtime.sendMessage({
+            action: 'moveInQueue',
+            downloadId: id,
+            direction: action === 'moveUp' ? 'up' : 'down',
+          });
+          this.loadDownloads();
+          break;
+        case 'priority': {
+          // 依次切换 高 -> 普通 -> 低 -> 高
+          const d = this.downloads.find((item) => item.id == id);
+          const index = this.priorities.indexOf(d && d.priority);
+          await chrome.runtime.sendMessage({
+            action: 'setDownloadPriority',
+            downloadId: id,
+            priority: this.priorities[(index + 1) % this.priorities.length],
+          });
+          this.loadDownloads();
+          break;
+        }
+        case 'speedLimit':
+          this.openSpeedLimit(id);
+          break;
+        case 'detail':
+          this.showDetail(id);
+          break;
         case 'copyLink': {
           const d = this.downloads.find((item) => item.id == id);
           if (d) {
@@ -407,6 +534,31 @@ class DownloadManagerPage {
     const url = document.getElementById('urlInput').value.trim();
     const filename = document.getElementById('filenameInput').value.trim();
     const threads = parseInt(document.getElementById('threadsInput').value);
+    const priority = document.getElementById('priorityInput').value;
+    const startAt = document.getElementById('startAtInput').value;
+    const schedule = {
+      startAt: startAt ? new Date(startAt).getTime() : undefined, // 按本地时间解析
+      windowStart: document.getElementById('windowStartInput').value,
+      windowEnd: document.getElementById('windowEndInput').value,
+    };
+    const expectedHash = document.getElementById('hashInput').value.trim();
+    const variantGroup = document.getElementById('variantGroup');
+    const hlsVariant = variantGroup.hidden
+      ? undefined
+      : document.getElementById('variantInput').value;
+    const dashGroup = document.getElementById('dashGroup');
+    let dashVideo;
+    let dashAudio;
+    if (!dashGroup.hidden) {
+      dashVideo = document.getElementById('dashVideoInput').value || undefined;
+      dashAudio = document.getElementById('dashAudioInput').value || undefined;
+    }
+    const mirrors = document
+      .getElementById('mirrorsInput')
+      .value.split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean);
+    const headers = document.getElementById('headersInput').value;
 
     if (!url) {
       this.showNotification('请输入下载链接', 'error');
@@ -414,16 +566,37 @@ class DownloadManagerPage {
     }
 
     try {
-      await chrome.runtime.sendMessage({
+      const response = await chrome.runtime.sendMessage({
         action: 'startDownload',
         url: url,
         filename: filename || undefined,
-        options: { threads: threads },
+        options: {
+          threads: threads,
+          expectedHash: expectedHash || undefined,
+          mirrors: mirrors,
+          hlsVariant: hlsVariant,
+          dashVideo: dashVideo,
+          dashAudio: dashAudio,
+          headers: headers,
+          priority: priority,
+          schedule: schedule,
+        },
       });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '未知错误');
+      }
 
       document.getElementById('newDownloadModal').classList.remove('show');
       document.getElementById('urlInput').value = '';
       document.getElementById('filenameInput').value = '';
+      document.getElementById('hashInput').value = '';
+      document.getElementById('mirrorsInput').value = '';
+      document.getElementById('headersInput').value = '';
+      document.getElementById('startAtInput').value = '';
+      document.getElementById('windowStartInput').value = '';
+      document.getElementById('windowEndInput').value = '';
+      variantGroup.hidden = true;
+      dashGroup.hidden = true;
       this.showNotification('下载任务已开始', 'success');
       this.loadDownloads();
     } catch (error) {
@@ -431,6 +604,362 @@ class DownloadManagerPage {
     }
   }
 
+  // 输入 HLS 主播放列表地址时，列出可选的清晰度
+  async loadHlsVariants() {
+    const url = document.getElementById('urlInput').value.trim();
+    const group = document.getElementById('variantGroup');
+    const select = document.getElementById('variantInput');
+    group.hidden = true;
+
+    if (!HlsPlaylist.isHls(url)) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'probeHls',
+        url: url,
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '未知错误');
+      }
+      if (response.variants.length === 0) return; // 媒体播放列表，无需选择
+
+      select.innerHTML = response.variants
+        .map(
+          (variant) =>
+            `<option value="${this.escapeHtml(
+              variant.uri
+            )}">${this.escapeHtml(variant.label)}</option>`
+        )
+        .join('');
+      group.hidden = false;
+    } catch (error) {
+      this.showNotification('读取播放列表失败: ' + error.message, 'error');
+    }
+  }
+
+  // 输入 DASH 清单地址时，列出可选的视频和音频轨道
+  async loadDashTracks() {
+    const url = document.getElementById('urlInput').value.trim();
+    const group = document.getElementById('dashGroup');
+    group.hidden = true;
+
+    if (!DashManifest.isDash(url)) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'probeDash',
+        url: url,
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '未知错误');
+      }
+
+      const options = (tracks) =>
+        tracks
+          .map(
+            (track) =>
+              `<option value="${this.escapeHtml(
+                track.id
+              )}">${this.escapeHtml(track.label)}</option>`
+          )
+          .join('');
+      document.getElementById('dashVideoInput').innerHTML =
+        options(response.video) || '<option value="none">无视频轨道</option>';
+      document.getElementById('dashAudioInput').innerHTML =
+        options(response.audio) + '<option value="none">不下载音频</option>';
+      group.hidden = false;
+    } catch (error) {
+      this.showNotification('读取 DASH 清单失败: ' + error.message, 'error');
+    }
+  }
+
+  // 填充限速选项（value 为 bytes/s）
+  renderSpeedLimitOptions(select, currentLimit) {
+    select.innerHTML = this.speedLimitOptions
+      .map((kb) => {
+        const value = kb * 1024;
+        const label = kb === 0 ? '不限速' : this.formatSpeed(value);
+        return `<option value="${value}" ${
+          value === currentLimit ? 'selected' : ''
+        }>${label}</option>`;
+      })
+      .join('');
+  }
+
+  async openSettings() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getSettings',
+      });
+      this.settings = (response && response.settings) || {};
+    } catch (error) {
+      this.showNotification('加载设置失败: ' + error.message, 'error');
+      return;
+    }
+
+    this.renderSpeedLimitOptions(
+      document.getElementById('globalSpeedLimitInput'),
+      this.settings.globalSpeedLimit || 0
+    );
+    document.getElementById('maxRetriesInput').value = this.settings.maxRetries;
+    document.getElementById('stallTimeoutInput').value =
+      this.settings.stallTimeout;
+    document.getElementById('maxActiveDownloadsInput').value =
+      this.settings.maxActiveDownloads;
+    document.getElementById('maxConnectionsInput').value =
+      this.settings.maxConnections;
+    document.getElementById('maxConnectionsPerHostInput').value =
+      this.settings.maxConnectionsPerHost;
+    document.getElementById('checksumLookupInput').checked =
+      this.settings.checksumLookup !== false;
+    document.getElementById('saveToFolderInput').checked =
+      !!this.settings.saveToFolder;
+    document.getElementById('saveSubfolderInput').value =
+      this.settings.saveSubfolder || '';
+    await this.renderSaveFolder();
+    document.getElementById('settingsModal').classList.add('show');
+  }
+
+  // 显示保存目录和权限状态
+  async renderSaveFolder() {
+    const nameEl = document.getElementById('saveFolderName');
+    const authorizeBtn = document.getElementById('authorizeFolderBtn');
+    const clearBtn = document.getElementById('clearFolderBtn');
+
+    let handle = null;
+    let permission = null;
+    try {
+      handle = await this.saveFolder.getHandle();
+      permission = await this.saveFolder.queryPermission();
+    } catch (error) {
+      console.error('读取保存目录失败:', error);
+    }
+
+    nameEl.textContent = '未选择';
+    if (handle) {
+      nameEl.textContent = handle.name;
+    }
+    if (handle && permission !== 'granted') {
+      nameEl.textContent += '（需要重新授权）';
+    }
+    authorizeBtn.hidden = !handle || permission === 'granted';
+    clearBtn.hidden = !handle;
+  }
+
+  // 选择保存目录（File System Access API，需要用户操作触发）
+  async chooseSaveFolder() {
+    try {
+      const handle = await window.showDirectoryPicker({
+        id: 'download-folder',
+        mode: 'readwrite',
+      });
+      await this.saveFolder.setHandle(handle);
+      document.getElementById('saveToFolderInput').checked = true;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.showNotification('选择文件夹失败: ' + error.message, 'error');
+      }
+    }
+    await this.renderSaveFolder();
+  }
+
+  // 重新授权（浏览器重启后目录权限可能失效）
+  async authorizeSaveFolder() {
+    try {
+      const permission = await this.saveFolder.requestPermission();
+      if (permission !== 'granted') {
+        this.showNotification('未获得保存目录的访问权限', 'error');
+      }
+    } catch (error) {
+      this.showNotification('授权失败: ' + error.message, 'error');
+    }
+    await this.renderSaveFolder();
+  }
+
+  // 清除保存目录，之后的下载使用浏览器下载保存
+  async clearSaveFolder() {
+    try {
+      await this.saveFolder.clear();
+      document.getElementById('saveToFolderInput').checked = false;
+    } catch (error) {
+      this.showNotification('清除保存目录失败: ' + error.message, 'error');
+    }
+    await this.renderSaveFolder();
+  }
+
+  async saveSettings() {
+    const settings = {
+      globalSpeedLimit: parseInt(
+        document.getElementById('globalSpeedLimitInput').value
+      ),
+      maxRetries: Math.min(
+        20,
+        Math.max(0, parseInt(document.getElementById('maxRetriesInput').value))
+      ),
+      stallTimeout: parseInt(
+        document.getElementById('stallTimeoutInput').value
+      ),
+      maxActiveDownloads: parseInt(
+        document.getElementById('maxActiveDownloadsInput').value
+      ),
+      maxConnections: parseInt(
+        document.getElementById('maxConnectionsInput').value
+      ),
+      maxConnectionsPerHost: parseInt(
+        document.getElementById('maxConnectionsPerHostInput').value
+      ),
+      checksumLookup: document.getElementById('checksumLookupInput').checked,
+      saveToFolder: document.getElementById('saveToFolderInput').checked,
+      saveSubfolder: document.getElementById('saveSubfolderInput').value.trim(),
+    };
+
+    if (isNaN(settings.maxRetries)) {
+      this.showNotification('重试次数必须是 0 到 20 之间的数字', 'error');
+      return;
+    }
+    if (!(settings.stallTimeout >= 0 && settings.stallTimeout <= 600)) {
+      this.showNotification('无数据超时必须是 0 到 600 之间的秒数', 'error');
+      return;
+    }
+    const maxActive = settings.maxActiveDownloads;
+    if (!(maxActive >= 0 && maxActive <= 20)) {
+      this.showNotification('同时下载数上限必须是 0 到 20 之间的数字', 'error');
+      return;
+    }
+    if (
+      !(settings.maxConnections >= 0) ||
+      !(settings.maxConnectionsPerHost >= 0)
+    ) {
+      this.showNotification('连接数上限必须是不小于 0 的数字', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'updateSettings',
+        settings: settings,
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '未知错误');
+      }
+      this.settings = response.settings;
+      document.getElementById('settingsModal').classList.remove('show');
+      this.showNotification('设置已保存', 'success');
+    } catch (error) {
+      this.showNotification('保存设置失败: ' + error.message, 'error');
+    }
+  }
+
+  // 显示各主机记录的下载统计
+  async openHostProfiles() {
+    await this.renderHostProfiles();
+    document.getElementById('hostProfilesModal').classList.add('show');
+  }
+
+  async renderHostProfiles() {
+    let profiles = [];
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getHostProfiles',
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '未知错误');
+      }
+      profiles = response.profiles;
+    } catch (error) {
+      this.showNotification('读取主机配置失败: ' + error.message, 'error');
+    }
+
+    const support = (value) => {
+      if (value === true) return '✓';
+      if (value === false) return '✗';
+      return '-';
+    };
+    const rows = profiles
+      .map(
+        (p) => `
+                    <tr>
+                        <td>${this.escapeHtml(p.host)}</td>
+                        <td>${p.downloads}</td>
+                        <td>${p.bestConnections || '-'}</td>
+                        <td>${
+                          p.bestSpeed ? this.formatSpeed(p.bestSpeed) : '-'
+                        }</td>
+                        <td>${support(p.headSupported)}</td>
+                        <td>${support(p.rangeSupported)}</td>
+                        <td>${new Date(p.updatedAt).toLocaleString()}</td>
+                        <td><button class="btn btn-outline" data-host="${this.escapeHtml(
+                          p.host
+                        )}">重置</button></td>
+                    </tr>`
+      )
+      .join('');
+
+    document.getElementById('hostProfilesBody').innerHTML =
+      profiles.length > 0
+        ? `
+            <div class="detail-section">
+                <table class="detail-table">
+                    <tr><th>主机</th><th>下载次数</th><th>最佳连接数</th><th>速度</th><th>HEAD</th><th>Range</th><th>更新时间</th><th></th></tr>
+                    ${rows}
+                </table>
+            </div>
+        `
+        : '<div class="detail-section">还没有主机配置，完成下载后会自动记录</div>';
+  }
+
+  // 重置单个主机的配置，host 为 null 时重置全部
+  async resetHostProfile(host) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'resetHostProfile',
+        host,
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '未知错误');
+      }
+      this.showNotification(
+        host ? `已重置 ${host} 的配置` : '已重置全部主机配置',
+        'success'
+      );
+    } catch (error) {
+      this.showNotification('重置主机配置失败: ' + error.message, 'error');
+    }
+    await this.renderHostProfiles();
+  }
+
+  openSpeedLimit(id) {
+    const d = this.downloads.find((item) => item.id == id);
+    if (!d) return;
+
+    this.speedLimitTarget = d.id;
+    document.getElementById('speedLimitLabel').textContent =
+      `速度上限: ${d.filename}`;
+    this.renderSpeedLimitOptions(
+      document.getElementById('speedLimitInput'),
+      d.speedLimit || 0
+    );
+    document.getElementById('speedLimitModal').classList.add('show');
+  }
+
+  async saveSpeedLimit() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'setSpeedLimit',
+        downloadId: this.speedLimitTarget,
+        speedLimit: parseInt(document.getElementById('speedLimitInput').value),
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '未知错误');
+      }
+      document.getElementById('speedLimitModal').classList.remove('show');
+      this.showNotification('限速已更新', 'success');
+      this.loadDownloads();
+    } catch (error) {
+      this.showNotification('设置限速失败: ' + error.message, 'error');
+    }
+  }
+
   async clearCompleted() {
     // 实现清除已完成逻辑
     // 这里需要 background.js 支持批量删除，或者循环调用
@@ -470,9 +999,234 @@ class DownloadManagerPage {
     return this.formatSize(bytesPerSec) + '/s';
   }
 
+  // 显示下载详情（基本信息、镜像、分块和校验结果）
+  showDetail(id) {
+    const d = this.downloads.find((item) => item.id == id);
+    if (!d) return;
+
+    const row = (label, value) =>
+      `<dt>${label}</dt><dd>${this.escapeHtml(String(value))}</dd>`;
+    let html = `
+            <div class="detail-section">
+                <dl class="detail-list">
+                    ${row('文件名', d.filename)}
+                    ${row('地址', d.url)}
+                    ${d.finalUrl ? row('最终地址', d.finalUrl) : ''}
+                    ${
+                      d.headers && Object.keys(d.headers).length > 0
+                        ? row('请求头', Object.keys(d.headers).join(', '))
+                        : ''
+                    }
+                    ${row('状态', this.getStatusText(d.state))}
+                    ${
+                      d.schedule
+                        ? row('计划', DownloadSchedule.describe(d.schedule))
+                        : ''
+                    }
+                    ${d.savedPath ? row('保存位置', d.savedPath) : ''}
+                    ${row(
+                      '大小',
+                      `${this.formatSize(d.bytesReceived)} / ${this.formatSize(
+                        d.totalBytes
+                      )}`
+                    )}
+                </dl>
+            </div>
+        `;
+
+    // 镜像列表和每个镜像的下载量
+    const mirrorStats =
+      d.mirrorStats ||
+      [d.url, ...(d.mirrors || [])].map((url) => ({ url, bytes: 0 }));
+    if (mirrorStats.length > 1) {
+      const rows = mirrorStats
+        .map(
+          (m) => `
+                    <tr class="${m.disabled ? 'disabled' : ''}">
+                        <td>${this.escapeHtml(m.url)}</td>
+                        <td>${this.formatSize(m.bytes || 0)}</td>
+                        <td>${
+                          m.disabled
+                            ? `已停用: ${this.escapeHtml(m.reason)}`
+                            : '使用中'
+                        }</td>
+                    </tr>`
+        )
+        .join('');
+      html += `
+            <div class="detail-section">
+                <h4>镜像 (${mirrorStats.length})</h4>
+                <table class="detail-table">
+                    <tr><th>地址</th><th>已下载</th><th>状态</th></tr>
+                    ${rows}
+                </table>
+            </div>
+        `;
+    }
+
+    if (d.segmentStats) {
+      html += `
+            <div class="detail-section">
+                <h4>流媒体分片</h4>
+                <dl class="detail-list">
+                    ${row(
+                      '分片数',
+                      `${d.segmentStats.completed} / ${d.segmentStats.total} 已完成`
+                    )}
+                    ${row('重试次数', d.segmentStats.retries)}
+                    ${d.hlsVariant ? row('清晰度', d.hlsVariant) : ''}
+                    ${d.dashVideo ? row('视频轨道', d.dashVideo) : ''}
+                    ${d.dashAudio ? row('音频轨道', d.dashAudio) : ''}
+                </dl>
+            </div>
+        `;
+    }
+
+    const attachments = d.attachments || [];
+    if (attachments.length > 0) {
+      const stateLabels = {
+        saving: '保存中',
+        complete: '已保存',
+        interrupted: '保存失败',
+      };
+      const rows = attachments
+        .map((file) =>
+          row(this.escapeHtml(file.filename), stateLabels[file.state])
+        )
+        .join('');
+      html += `
+            <div class="detail-section">
+                <h4>附加文件</h4>
+                <dl class="detail-list">
+                    ${rows}
+                </dl>
+            </div>
+        `;
+    }
+
+    const chunkStats = d.chunkStats || [];
+    if (chunkStats.length > 0) {
+      const retryInfo = this.getRetryInfo(d);
+      html += `
+            <div class="detail-section">
+                <h4>分块</h4>
+                <dl class="detail-list">
+                    ${row(
+                      '分块数',
+                      `${chunkStats.filter((c) => c.completed).length} / ${
+                        chunkStats.length
+                      } 已完成`
+                    )}
+                    ${row('重试次数', retryInfo.total)}
+                </dl>
+            </div>
+        `;
+    }
+
+    // 分块停滞被中止并重新请求的记录（最近的在前）
+    const stallEvents = d.stallEvents || [];
+    if (stallEvents.length > 0) {
+      const rows = stallEvents
+        .slice()
+        .reverse()
+        .map(
+          (s) => `
+                    <tr>
+                        <td>${new Date(s.time).toLocaleString()}</td>
+                        <td>${this.getStallTarget(s)}</td>
+                        <td>${this.formatSize(s.offset)}</td>
+                        <td>${Math.round(s.idle / 1000)} 秒</td>
+                    </tr>`
+        )
+        .join('');
+      html += `
+            <div class="detail-section">
+                <h4>停滞重连 (${stallEvents.length})</h4>
+                <table class="detail-table">
+                    <tr><th>时间</th><th>请求</th><th>位置</th><th>无数据</th></tr>
+                    ${rows}
+                </table>
+            </div>
+        `;
+    }
+
+    const integrity = this.getIntegrityInfo(d);
+    if (integrity) {
+      html += `
+            <div class="detail-section">
+                <h4>完整性校验</h4>
+                <dl class="detail-list">
+                    ${row('结果', integrity.label)}
+                    ${row('详情', integrity.details)}
+                </dl>
+            </div>
+        `;
+    }
+
+    document.getElementById('detailBody').innerHTML = html;
+    document.getElementById('detailModal').classList.add('show');
+  }
+
+  // 汇总各分块的重试次数和最后一次错误
+  getRetryInfo(d) {
+    const retried = (d.chunkStats || []).filter((c) => c.retries > 0);
+    return {
+      total: retried.reduce((sum, c) => sum + c.retries, 0),
+      details: retried
+        .map(
+          (c) =>
+            `分块 ${c.index}: 重试 ${c.retries} 次${
+              c.lastError ? `, 最后错误: ${c.lastError}` : ''
+            }`
+        )
+        .join('\n'),
+    };
+  }
+
+  // 停滞的请求：分块、流媒体分片或单线程下载
+  getStallTarget(stall) {
+    if (stall.segment !== undefined) return `分片 ${stall.segment}`;
+    if (stall.chunk !== undefined) return `分块 ${stall.chunk}`;
+    return '单线程';
+  }
+
+  // 完整性校验状态的显示文字和详情
+  getIntegrityInfo(d) {
+    if (!d.integrity) return null;
+
+    const { status, algorithm, expected, actual, source } = d.integrity;
+    const labels = {
+      verified: '✓ 已校验',
+      mismatch: '✗ 校验失败',
+      unverified: '未校验',
+    };
+    let details = ['没有可用的校验值'];
+    if (algorithm) {
+      details = [
+        `${algorithm.toUpperCase()} (来源: ${source})`,
+        `期望: ${expected}`,
+        actual ? `实际: ${actual}` : d.integrity.error || '',
+      ];
+    }
+
+    return {
+      status,
+      label: labels[status] || status,
+      details: details.filter(Boolean).join('\n'),
+    };
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   getStatusText(state) {
     const map = {
       in_progress: '下载中',
+      queued: '排队中',
       interrupted: '已中断',
       complete: '已完成',
       paused: '已暂停',
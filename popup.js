@@ -12,6 +12,8 @@ class PopupManager {
     this.translations = {}; // 当前语言翻译
     this.isLoading = true; // 添加加载状态标志
     this.notificationTimer = null; // 通知定时器
+    this.settings = {}; // 后台设置
+    this.speedLimitOptions = [0, 128, 256, 512, 1024, 2048, 5120, 10240]; // 限速选项 (KB/s)，0 表示不限速
   }
 
   // 加载所有语言包数据
@@ -158,6 +160,27 @@ class PopupManager {
     const modalConfirm = document.getElementById('modalConfirm');
     if (modalConfirm) modalConfirm.textContent = this._('confirm');
 
+    // 更新登录对话框
+    const authTexts = {
+      authModalTitle: 'authTitle',
+      authRememberLabel: 'authRemember',
+      authCancel: 'cancel',
+      authConfirm: 'login',
+    };
+    Object.entries(authTexts).forEach(([id, key]) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = this._(key);
+    });
+    const authPlaceholders = {
+      authUsernameInput: 'authUsername',
+      authPasswordInput: 'authPassword',
+      authPassphraseInput: 'authPassphrase',
+    };
+    Object.entries(authPlaceholders).forEach(([id, key]) => {
+      const element = document.getElementById(id);
+      if (element) element.placeholder = this._(key);
+    });
+
     // 更新空状态文本
     const emptyState = document.querySelector('.empty-state p');
     if (emptyState) emptyState.textContent = this._('noDownloads');
@@ -171,10 +194,36 @@ class PopupManager {
     if (addDownloadBtn)
       addDownloadBtn.textContent = `➕ ${this._('addDownloadBtn')}`;
 
+    // 更新设置面板
+    const globalSpeedLimitLabel = document.getElementById(
+      'globalSpeedLimitLabel'
+    );
+    if (globalSpeedLimitLabel)
+      globalSpeedLimitLabel.textContent = this._('globalSpeedLimit');
+    this.renderSpeedLimitOptions(
+      document.getElementById('globalSpeedLimitSelect'),
+      this.settings.globalSpeedLimit || 0
+    );
+
     // 更新批量操作相关文本
     this.updateBatchActions();
   }
 
+  // 填充限速选项（value 为 bytes/s）
+  renderSpeedLimitOptions(select, currentLimit) {
+    if (!select) return;
+    select.innerHTML = this.speedLimitOptions
+      .map((kb) => {
+        const value = kb * 1024;
+        const label =
+          kb === 0 ? this._('noSpeedLimit') : this.formatSpeed(value);
+        return `<option value="${value}" ${
+          value === currentLimit ? 'selected' : ''
+        }>${label}</option>`;
+      })
+      .join('');
+  }
+
   async init() {
     // 加载所有语言包
     await this.loadAllLanguagePacks();
@@ -195,6 +244,12 @@ class PopupManager {
     // 等待加载下载列表
     await this.loadDownloads();
 
+    // 有等待登录的下载时直接显示登录对话框（后台因服务器要求认证而打开弹出窗口）
+    const waiting = this.downloads.find((d) => d.authRequest);
+    if (waiting) {
+      this.showAuthDialog(waiting.id);
+    }
+
     // 监听实时进度更新
     chrome.runtime.onMessage.addListener((request) => {
       if (request.action === 'downloadProgress') {
@@ -237,6 +292,13 @@ class PopupManager {
       .getElementById('settingsBtn')
       .addEventListener('click', () => this.openSettings());
 
+    // 全局限速
+    document
+      .getElementById('globalSpeedLimitSelect')
+      .addEventListener('change', (e) =>
+        this.updateSettings({ globalSpeedLimit: parseInt(e.target.value) })
+      );
+
     // 打开下载管理器页面
     const openManagerBtn = document.getElementById('openManagerBtn');
     if (openManagerBtn) {
@@ -318,6 +380,17 @@ class PopupManager {
         this.hideModal();
       }
     });
+
+    // 登录对话框
+    document
+      .getElementById('closeAuthModal')
+      .addEventListener('click', () => this.hideAuthDialog());
+    document
+      .getElementById('authCancel')
+      .addEventListener('click', () => this.hideAuthDialog());
+    document
+      .getElementById('authConfirm')
+      .addEventListener('click', () => this.submitCredentials());
   }
 
   // 加载下载列表
@@ -381,6 +454,9 @@ class PopupManager {
       if (data.state === 'in_progress' && data.speed) {
         text += ` • ${this.formatSpeed(data.speed)}`;
       }
+      if (data.speedLimit > 0) {
+        text += ` (≤ ${this.formatSpeed(data.speedLimit)})`;
+      }
       metaSpan.textContent = text;
     }
 
@@ -504,6 +580,12 @@ class PopupManager {
       // statusText 由 getStatusText 统一处理
     }
 
+    // 完整性校验结果
+    const integrity = this.getIntegrityStatus(download);
+    if (integrity) {
+      statusText += ` · ${integrity.text}`;
+    }
+
     return `
       <div class="download-item ${
         this.selectedDownloads.has(download.id) ? 'selected' : ''
@@ -530,7 +612,11 @@ class PopupManager {
             <div class="status-icon ${this.getStatusIcon(
               download
             )}">${this.getStatusEmoji(download)}</div>
-            <span class="status-text">${statusText}</span>
+            <span class="status-text${
+              integrity ? ` integrity-${integrity.status}` : ''
+            }" title="${this.escapeHtml(
+              integrity ? integrity.title : ''
+            )}">${statusText}</span>
           </div>
           <div class="status-actions">
             ${this.createActionButtons(download)}
@@ -569,6 +655,12 @@ class PopupManager {
       buttons.push(
         `<button class="btn btn-sm" data-action="resume" data-id="${download.id}">▶️</button>`
       );
+    } else if (download.state === 'paused' && download.authRequest) {
+      // 服务器要求认证，输入凭据后继续
+      const loginTitle = this._('login');
+      buttons.push(
+        `<button class="btn btn-sm" data-action="login" data-id="${download.id}" title="${loginTitle}">🔑</button>`
+      );
     } else if (download.state === 'paused') {
       // 兼容 paused 状态
       buttons.push(
@@ -576,14 +668,32 @@ class PopupManager {
       );
     }
 
+    if (download.state === 'queued') {
+      // 排队中的下载只能取消，开始后才能暂停和限速
+      buttons.push(
+        `<button class="btn btn-sm" data-action="cancel" data-id="${download.id}">❌</button>`
+      );
+    }
+
     if (download.state === 'in_progress' || download.state === 'paused') {
+      buttons.push(
+        `<button class="btn btn-sm" data-action="speedLimit" data-id="${
+          download.id
+        }" title="${this._('downloadSpeedLimit')}">${
+          download.speedLimit > 0 ? '🐢' : '🚀'
+        }</button>`
+      );
       buttons.push(
         `<button class="btn btn-sm" data-action="cancel" data-id="${download.id}">❌</button>`
       );
     }
 
-    // 添加打开文件夹按钮（仅对已完成且存在的下载显示）
-    if (download.state === 'complete' && download.exists !== false) {
+    // 添加打开文件夹按钮（仅对已完成且存在的下载显示，直接写入保存目录的文件无法打开）
+    if (
+      download.state === 'complete' &&
+      download.exists !== false &&
+      download.saveMethod !== 'folder'
+    ) {
       buttons.push(
         `<button class="btn btn-sm" data-action="openFolder" data-id="${download.id}">📁</button>`
       );
@@ -691,6 +801,12 @@ class PopupManager {
           }
           return;
         }
+        case 'speedLimit':
+          this.showSpeedLimitDialog(downloadId);
+          return;
+        case 'login':
+          this.showAuthDialog(downloadId);
+          return;
         case 'delete':
           this.showDeleteConfirm(downloadId);
           return;
@@ -727,6 +843,114 @@ class PopupManager {
     );
   }
 
+  // 显示登录对话框
+  async showAuthDialog(downloadId) {
+    const download = this.downloads.find((d) => d.id == downloadId);
+    if (!download || !download.authRequest) return;
+
+    const { host, realm, rejected } = download.authRequest;
+    this.authDownloadId = download.id;
+    document.getElementById('authMessage').textContent = `${
+      rejected ? this._('authRejected') : this._('authRequired')
+    }: ${host}${realm ? ` (${realm})` : ''}\n${download.filename}`;
+    ['authUsernameInput', 'authPasswordInput', 'authPassphraseInput'].forEach(
+      (id) => {
+        document.getElementById(id).value = '';
+      }
+    );
+    document.getElementById('authRememberInput').checked = false;
+
+    // 凭据库的状态决定是否需要口令
+    let hint = this._('authHintDefault');
+    try {
+      const response = await this.sendMessage({
+        action: 'getCredentialStatus',
+      });
+      const status = response && response.status;
+      if (status && status.hosts.includes(host)) {
+        hint = status.unlocked
+          ? this._('authHintSavedUnlocked')
+          : this._('authHintSavedLocked');
+      } else if (status && !status.created) {
+        hint = this._('authHintFirstSave');
+      } else if (status && status.unlocked) {
+        hint = this._('authHintUnlocked');
+      }
+    } catch (error) {
+      console.warn('读取凭据库状态失败:', error);
+    }
+    document.getElementById('authHint').textContent = hint;
+    document.getElementById('authModal').style.display = 'flex';
+    document.getElementById('authUsernameInput').focus();
+  }
+
+  hideAuthDialog() {
+    document.getElementById('authModal').style.display = 'none';
+    this.authDownloadId = null;
+  }
+
+  // 提交凭据并继续下载
+  async submitCredentials() {
+    if (!this.authDownloadId) return;
+    const credentials = {
+      username: document.getElementById('authUsernameInput').value.trim(),
+      password: document.getElementById('authPasswordInput').value,
+      remember: document.getElementById('authRememberInput').checked,
+      passphrase: document.getElementById('authPassphraseInput').value,
+    };
+
+    try {
+      const response = await this.sendMessage({
+        action: 'submitCredentials',
+        downloadId: this.authDownloadId,
+        credentials,
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || '未知错误');
+      }
+      this.hideAuthDialog();
+      this.showNotification(this._('loginSuccess'));
+      this.loadDownloads();
+    } catch (error) {
+      this.showNotification(this._('loginFailed', error.message), 'error');
+    }
+  }
+
+  // 显示单个下载限速对话框
+  showSpeedLimitDialog(downloadId) {
+    const download = this.downloads.find((d) => d.id == downloadId);
+    if (!download) return;
+
+    this.showModal(
+      this._('downloadSpeedLimit'),
+      this._('downloadSpeedLimitMessage', download.filename),
+      async (speedLimit) => {
+        try {
+          const response = await this.sendMessage({
+            action: 'setSpeedLimit',
+            downloadId,
+            speedLimit: parseInt(speedLimit),
+          });
+          if (response && response.success) {
+            this.showNotification(this._('speedLimitUpdated'));
+            this.loadDownloads();
+          } else {
+            this.showNotification(
+              this._('operationFailed', response?.error || ''),
+              'error'
+            );
+          }
+        } catch (error) {
+          this.showNotification(
+            this._('operationFailed', error.message),
+            'error'
+          );
+        }
+      },
+      (select) => this.renderSpeedLimitOptions(select, download.speedLimit || 0)
+    );
+  }
+
   // 选择/取消选择下载
   toggleDownloadSelection(downloadId) {
     const checkbox = document.querySelector(
@@ -957,6 +1181,8 @@ class PopupManager {
       const chromeMap = new Map(chromeDownloads.map((cd) => [cd.id, cd]));
 
       this.downloads.forEach((d) => {
+        // 直接写入保存目录的文件没有 Chrome 下载记录，无法检查，视为存在
+        if (d.saveMethod === 'folder') return;
         if (d.finalDownloadId) {
           const cd = chromeMap.get(d.finalDownloadId);
           // 如果记录存在且 exists 为 true，则文件存在
@@ -1006,10 +1232,46 @@ class PopupManager {
     this.loadDownloads();
   }
 
-  // 打开设置页面
-  openSettings() {
-    // TODO: 实现设置页面
-    this.showNotification('设置功能即将推出', 'info');
+  // 打开/关闭设置面板
+  async openSettings() {
+    const panel = document.getElementById('settingsPanel');
+    if (panel.style.display !== 'none') {
+      panel.style.display = 'none';
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({ action: 'getSettings' });
+      this.settings = (response && response.settings) || {};
+    } catch (error) {
+      console.error('加载设置失败:', error);
+    }
+    this.renderSpeedLimitOptions(
+      document.getElementById('globalSpeedLimitSelect'),
+      this.settings.globalSpeedLimit || 0
+    );
+    panel.style.display = 'block';
+  }
+
+  // 更新设置
+  async updateSettings(changes) {
+    try {
+      const response = await this.sendMessage({
+        action: 'updateSettings',
+        settings: changes,
+      });
+      if (response && response.success) {
+        this.settings = response.settings;
+        this.showNotification(this._('operationSuccess'));
+      } else {
+        this.showNotification(
+          this._('operationFailed', response?.error || ''),
+          'error'
+        );
+      }
+    } catch (error) {
+      this.showNotification(this._('operationFailed', error.message), 'error');
+    }
   }
 
   // 新增下载
@@ -1022,6 +1284,27 @@ class PopupManager {
       return;
     }
 
+    // 指定了请求头时直接让后台开始内部下载（通过 chrome.downloads 创建的下载无法携带这些请求头）
+    const headersInput = document.getElementById('downloadHeadersInput');
+    if (headersInput.value.trim()) {
+      try {
+        const response = await this.sendMessage({
+          action: 'startDownload',
+          url: url,
+          options: { headers: headersInput.value },
+        });
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || '未知错误');
+        }
+        this.showNotification('下载已开始');
+        urlInput.value = '';
+        headersInput.value = '';
+      } catch (error) {
+        this.showNotification('创建下载失败: ' + error.message, 'error');
+      }
+      return;
+    }
+
     // 直接调用 background 的下载方法（通过创建下载事件触发拦截，或者直接发消息）
     // 为了统一逻辑，我们直接发消息给 background 让它开始内部下载
     // 但是 background 目前是通过拦截 onCreated 工作的。
@@ -1088,15 +1371,21 @@ class PopupManager {
   }
 
   // 显示模态框
-  showModal(title, message, onConfirm) {
+  // renderSelect 可选：传入时显示下拉框并由其填充选项，确认回调会收到所选值
+  showModal(title, message, onConfirm, renderSelect) {
     const modal = document.getElementById('modal');
     const modalTitle = document.getElementById('modalTitle');
     const modalMessage = document.getElementById('modalMessage');
+    const modalSelect = document.getElementById('modalSelect');
 
     if (modal && modalTitle && modalMessage) {
       modalTitle.textContent = title;
       modalMessage.textContent = message;
       this.modalConfirmCallback = onConfirm;
+      if (modalSelect) {
+        modalSelect.style.display = renderSelect ? 'block' : 'none';
+        if (renderSelect) renderSelect(modalSelect);
+      }
       modal.style.display = 'flex';
     }
   }
@@ -1113,7 +1402,8 @@ class PopupManager {
   // 确认模态框
   confirmModal() {
     if (this.modalConfirmCallback) {
-      this.modalConfirmCallback();
+      const modalSelect = document.getElementById('modalSelect');
+      this.modalConfirmCallback(modalSelect ? modalSelect.value : undefined);
     }
     this.hideModal();
   }
@@ -1152,6 +1442,8 @@ class PopupManager {
         return 'status-error';
       case 'paused':
         return 'status-paused';
+      case 'queued':
+        return 'status-queued';
       default:
         return '';
     }
@@ -1164,6 +1456,13 @@ class PopupManager {
     }
     switch (download.state) {
       case 'in_progress':
+        // 服务器限流，等待 Retry-After 指定的时间
+        if (download.waitingUntil > Date.now()) {
+          return this._(
+            'waitingForServer',
+            Math.ceil((download.waitingUntil - Date.now()) / 1000)
+          );
+        }
         return this._('inProgress');
       case 'complete':
         return this._('completed');
@@ -1171,11 +1470,39 @@ class PopupManager {
         return this._('interrupted');
       case 'paused':
         return this._('paused');
+      case 'queued':
+        return this._('queued');
       default:
         return download.state;
     }
   }
 
+  // 获取完整性校验状态（仅对已完成且存在的文件显示）
+  getIntegrityStatus(download) {
+    const integrity = download.integrity;
+    if (
+      !integrity ||
+      download.state !== 'complete' ||
+      download.exists === false
+    ) {
+      return null;
+    }
+
+    const algorithm = (integrity.algorithm || '').toUpperCase();
+    const texts = {
+      verified: this._('integrityVerified', algorithm),
+      mismatch: this._('integrityMismatch', algorithm),
+      unverified: this._('integrityUnverified'),
+    };
+    return {
+      status: integrity.status,
+      text: texts[integrity.status] || integrity.status,
+      title: integrity.expected
+        ? `${algorithm}: ${integrity.actual || integrity.expected}`
+        : '',
+    };
+  }
+
   // 获取状态Emoji
   getStatusEmoji(download) {
     if (download.state === 'complete' && download.exists === false) {
@@ -1190,6 +1517,8 @@ class PopupManager {
         return '❌';
       case 'paused':
         return '⏸️';
+      case 'queued':
+        return '⏳';
       default:
         return '❓';
     }
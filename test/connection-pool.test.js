@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+const { ConnectionPool } = loadCore('connection-pool.js');
+
+test('同一主机的连接数上限', () => {
+  const pool = new ConnectionPool(0, 2);
+  assert.equal(pool.acquire('a.com'), true);
+  assert.equal(pool.acquire('a.com'), true);
+  assert.equal(pool.acquire('a.com'), false);
+  assert.equal(pool.available('a.com'), 0);
+  // 其他主机不受影响
+  assert.equal(pool.available('b.com'), 2);
+  assert.equal(pool.acquire('b.com'), true);
+
+  pool.release('a.com');
+  assert.equal(pool.available('a.com'), 1);
+  assert.equal(pool.total, 2);
+});
+
+test('总连接数上限', () => {
+  const pool = new ConnectionPool(3, 2);
+  pool.acquire('a.com');
+  pool.acquire('a.com');
+  pool.acquire('b.com');
+  assert.equal(pool.available('b.com'), 0);
+  assert.equal(pool.available('c.com'), 0);
+  assert.equal(pool.acquire('c.com'), false);
+  pool.release('a.com');
+  assert.equal(pool.available('c.com'), 1);
+});
+
+test('每个下载至少保留一个连接，超出上限后逐步减少', () => {
+  const pool = new ConnectionPool(1, 1);
+  pool.acquire('a.com');
+  assert.equal(pool.acquire('a.com', true), true);
+  assert.equal(pool.total, 2);
+  assert.equal(pool.available('a.com'), -1);
+
+  // 运行中提高上限
+  pool.setLimits(4, 3);
+  assert.equal(pool.available('a.com'), 1);
+  // 0 或无效值表示不限制
+  pool.setLimits(0, 'abc');
+  assert.equal(pool.available('a.com'), Infinity);
+});
+
+test('释放后不保留空主机，多余的释放不会变为负数', () => {
+  const pool = new ConnectionPool(2, 2);
+  pool.acquire('a.com');
+  pool.release('a.com');
+  pool.release('a.com');
+  assert.equal(pool.total, 0);
+  assert.equal(pool.hosts.has('a.com'), false);
+  assert.equal(pool.available('a.com'), 2);
+});
+
+test('地址对应的主机名包含端口', () => {
+  assert.equal(
+    ConnectionPool.hostOf('https://Example.org:8443/a'),
+    'example.org:8443'
+  );
+  assert.equal(
+    ConnectionPool.hostOf('https://example.org:443/a'),
+    'example.org'
+  );
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(ConnectionPool.hostOf('not a url'), '');
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('退避到期后自动清除，已有更晚的退避时保持不变', (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const pool = new ConnectionPool();
+
+  assert.equal(pool.getBackoff('a.com'), 0);
+  pool.backoff('a.com', now + 5000);
+  pool.backoff('a.com', now + 2000);
+  assert.equal(pool.getBackoff('a.com'), now + 5000);
+  assert.equal(pool.getBackoff('b.com'), 0);
+
+  now += 4999;
+  assert.equal(pool.getBackoff('a.com'), 1005000);
+  now += 1;
+  assert.equal(pool.getBackoff('a.com'), 0);
+  assert.equal(pool.backoffs.has('a.com'), false);
+});
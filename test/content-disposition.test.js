@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+const { ContentDisposition } = loadCore('content-disposition.js');
+
+// 服务器直接发送 UTF-8 文件名时，响应头按字节读取得到的字符串
+const latin1 = (text) =>
+  Array.from(new TextEncoder().encode(text), (byte) =>
+    String.fromCharCode(byte)
+  ).join('');
+
+test('解析类型和参数，分号可以出现在引号内', () => {
+  assert.deepEqual(
+    ContentDisposition.parse('Attachment; FileName="a;b.txt"; size=3'),
+    { type: 'attachment', params: { filename: 'a;b.txt', size: '3' } }
+  );
+  assert.deepEqual(ContentDisposition.parse('inline'), {
+    type: 'inline',
+    params: {},
+  });
+});
+
+test('filename* 优先于 filename，与参数顺序无关', () => {
+  assert.equal(
+    ContentDisposition.getFilename(
+      `attachment; filename*=UTF-8''%E4%B8%AD%E6%96%87.pdf; filename="fallback.pdf"`
+    ),
+    '中文.pdf'
+  );
+  assert.equal(
+    ContentDisposition.getFilename(
+      `attachment; filename="fallback.pdf"; filename*=utf-8''%e2%82%ac%20rates.txt`
+    ),
+    '€ rates.txt'
+  );
+  assert.equal(
+    ContentDisposition.getFilename(
+      `attachment; filename*=iso-8859-1'en'%A3%20rates.txt`
+    ),
+    '£ rates.txt'
+  );
+});
+
+test('普通 filename：引号转义、未加引号、URL 编码和按字节读取的 UTF-8', () => {
+  assert.equal(
+    ContentDisposition.getFilename('attachment; filename="a \\"b\\".txt"'),
+    'a _b_.txt'
+  );
+  assert.equal(
+    ContentDisposition.getFilename('inline; filename=foo.html'),
+    'foo.html'
+  );
+  assert.equal(
+    ContentDisposition.getFilename('attachment; filename="%E4%B8%AD.zip"'),
+    '中.zip'
+  );
+  assert.equal(
+    ContentDisposition.getFilename(
+      `attachment; filename="${latin1('中文.zip')}"`
+    ),
+    '中文.zip'
+  );
+  // 不是 UTF-8 的字节按 ISO-8859-1 使用
+  assert.equal(
+    ContentDisposition.getFilename('attachment; filename="café.txt"'),
+    'café.txt'
+  );
+});
+
+test('去掉路径和不允许的字符', () => {
+  assert.equal(
+    ContentDisposition.getFilename('attachment; filename="../../etc/passwd"'),
+    'passwd'
+  );
+  assert.equal(
+    ContentDisposition.getFilename(
+      `attachment; filename*=UTF-8''..%5C..%5Cboot.ini`
+    ),
+    'boot.ini'
+  );
+  assert.equal(
+    ContentDisposition.getFilename('attachment; filename="..hidden"'),
+    'hidden'
+  );
+  assert.equal(
+    ContentDisposition.getFilename('attachment; filename="a\u0001<b>.txt"'),
+    'a_b_.txt'
+  );
+});
+
+test('格式错误的 filename* 改用 filename', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(
+      ContentDisposition.getFilename(
+        `attachment; filename*=bogus'x'%ff.txt; filename=ok.txt`
+      ),
+      'ok.txt'
+    );
+    assert.equal(
+      ContentDisposition.getFilename(
+        `attachment; filename*=UTF-8''%ZZ.txt; filename=ok.txt`
+      ),
+      'ok.txt'
+    );
+    assert.equal(
+      ContentDisposition.getFilename(
+        `attachment; filename*=UTF-8''%ff%fe.txt; filename=ok.txt`
+      ),
+      'ok.txt'
+    );
+    assert.equal(
+      ContentDisposition.getFilename(`attachment; filename*=no-quotes.txt`),
+      null
+    );
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('没有可用文件名时返回 null', () => {
+  assert.equal(ContentDisposition.getFilename(null), null);
+  assert.equal(ContentDisposition.getFilename(''), null);
+  assert.equal(ContentDisposition.getFilename('attachment'), null);
+  assert.equal(ContentDisposition.getFilename('attachment; filename=""'), null);
+  assert.equal(ContentDisposition.getFilename('attachment; filename=/'), null);
+});
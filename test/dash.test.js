@@ -0,0 +1,284 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+const { DashManifest } = loadCore('dash.js');
+
+const MPD = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- 注释 -->
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT0H0M10.5S">
+  <BaseURL>https://cdn.example.com/v/</BaseURL>
+  <Period>
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate timescale="1000" initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/seg-$Number%05d$.m4s?a=1&amp;b=2" startNumber="1" duration="4000"/>
+      <Representation id="v1" bandwidth="500000" width="640" height="360" codecs="avc1"/>
+      <Representation id="v2" bandwidth="2000000" width="1280" height="720" codecs="avc1"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="en">
+      <SegmentTemplate timescale="48000" initialization="a/init.mp4" media="a/$Time$.m4s">
+        <SegmentTimeline><S t="0" d="96000" r="1"/><S d="48000"/><S d="96000" r="-1"/></SegmentTimeline>
+      </SegmentTemplate>
+      <Representation id="a1" bandwidth="128000"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4">
+      <Representation id="a2" bandwidth="64000">
+        <BaseURL>audio2.mp4</BaseURL>
+        <SegmentList>
+          <Initialization sourceURL="audio2.mp4" range="0-99"/>
+          <SegmentURL mediaRange="100-199"/>
+          <SegmentURL mediaRange="200-299"/>
+        </SegmentList>
+      </Representation>
+    </AdaptationSet>
+    <AdaptationSet mimeType="text/vtt"><Representation id="t" bandwidth="1"/></AdaptationSet>
+  </Period>
+</MPD>`;
+
+// 构造 sidx box（sizes 为各媒体分片大小），hierarchical 为 true 时第一项引用下一级 sidx
+const sidxBox = (
+  sizes,
+  { version = 0, firstOffset = 0, hierarchical = false } = {}
+) => {
+  const buffer = new ArrayBuffer((version === 0 ? 32 : 40) + sizes.length * 12);
+  const view = new DataView(buffer);
+  view.setUint32(0, buffer.byteLength);
+  new Uint8Array(buffer).set(new TextEncoder().encode('sidx'), 4);
+  view.setUint8(8, version);
+  view.setUint32(12, 1); // reference_ID
+  view.setUint32(16, 1000); // timescale
+  let p = 20;
+  if (version === 0) {
+    view.setUint32(p + 4, firstOffset);
+    p += 8;
+  } else {
+    view.setBigUint64(p + 8, BigInt(firstOffset));
+    p += 16;
+  }
+  view.setUint16(p + 2, sizes.length);
+  p += 4;
+  sizes.forEach((size, i) => {
+    view.setUint32(p, (hierarchical && i === 0 ? 0x80000000 : 0) | size);
+    p += 12;
+  });
+  return new Uint8Array(buffer);
+};
+
+const concat = (...parts) => {
+  const result = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result.buffer;
+};
+
+// 8 字节的 free box
+const FREE_BOX = new Uint8Array([0, 0, 0, 8, 0x66, 0x72, 0x65, 0x65]);
+
+test('isDash 根据地址或 Content-Type 判断', () => {
+  assert.equal(DashManifest.isDash('https://a.com/v/manifest.mpd?x=1'), true);
+  assert.equal(
+    DashManifest.isDash('https://a.com/play', 'application/dash+xml'),
+    true
+  );
+  assert.equal(DashManifest.isDash('https://a.com/mpd/video.mp4'), false);
+});
+
+test('解析清单：时长、轨道和显示名称，跳过字幕轨道', () => {
+  const manifest = DashManifest.parse(MPD, 'https://x.com/manifest.mpd');
+  assert.equal(manifest.dynamic, false);
+  assert.equal(manifest.duration, 10.5);
+  assert.deepEqual(
+    manifest.video.map((rep) => rep.label),
+    ['640x360 · avc1 · 500 kbps', '1280x720 · avc1 · 2000 kbps']
+  );
+  assert.deepEqual(
+    manifest.audio.map((rep) => [rep.id, rep.label]),
+    [
+      ['a1', 'en · 128 kbps'],
+      ['a2', '64 kbps'],
+    ]
+  );
+  assert.equal(
+    manifest.audio[1].baseUrl,
+    'https://cdn.example.com/v/audio2.mp4'
+  );
+});
+
+test('选择轨道', () => {
+  const { video } = DashManifest.parse(MPD, 'https://x.com/manifest.mpd');
+  assert.equal(DashManifest.selectRepresentation(video).id, 'v2');
+  assert.equal(DashManifest.selectRepresentation(video, 'v1').id, 'v1');
+  assert.equal(DashManifest.selectRepresentation(video, 'none'), null);
+  assert.equal(DashManifest.selectRepresentation([]), null);
+});
+
+test('SegmentTemplate 按时长生成分片，替换模板变量和实体', () => {
+  const { video, duration } = DashManifest.parse(
+    MPD,
+    'https://x.com/manifest.mpd'
+  );
+  assert.deepEqual(
+    DashManifest.buildSegments(video[1], duration).map((s) => s.uri),
+    [
+      'https://cdn.example.com/v/v2/init.mp4',
+      'https://cdn.example.com/v/v2/seg-00001.m4s?a=1&b=2',
+      'https://cdn.example.com/v/v2/seg-00002.m4s?a=1&b=2',
+      'https://cdn.example.com/v/v2/seg-00003.m4s?a=1&b=2',
+    ]
+  );
+});
+
+test('SegmentTimeline 展开重复次数，r=-1 重复到 Period 结束', () => {
+  const { audio, duration } = DashManifest.parse(
+    MPD,
+    'https://x.com/manifest.mpd'
+  );
+  // 10.5 秒 × 48000 = 504000：0, 96000, 192000(d=48000), 240000, 336000, 432000
+  assert.deepEqual(
+    DashManifest.buildSegments(audio[0], duration).map((s) => s.uri),
+    [
+      'https://cdn.example.com/v/a/init.mp4',
+      'https://cdn.example.com/v/a/0.m4s',
+      'https://cdn.example.com/v/a/96000.m4s',
+      'https://cdn.example.com/v/a/192000.m4s',
+      'https://cdn.example.com/v/a/240000.m4s',
+      'https://cdn.example.com/v/a/336000.m4s',
+      'https://cdn.example.com/v/a/432000.m4s',
+    ]
+  );
+});
+
+test('SegmentList 使用字节范围', () => {
+  const { audio, duration } = DashManifest.parse(
+    MPD,
+    'https://x.com/manifest.mpd'
+  );
+  const uri = 'https://cdn.example.com/v/audio2.mp4';
+  assert.deepEqual(DashManifest.buildSegments(audio[1], duration), [
+    { uri, byteRange: { offset: 0, length: 100 } },
+    { uri, byteRange: { offset: 100, length: 100 } },
+    { uri, byteRange: { offset: 200, length: 100 } },
+  ]);
+});
+
+test('SegmentBase 按 sidx 索引拆分', () => {
+  const manifest = DashManifest.parse(
+    `<MPD mediaPresentationDuration="PT10S"><Period><AdaptationSet mimeType="video/mp4">
+      <Representation id="v" bandwidth="1"><BaseURL>v.mp4</BaseURL><SegmentBase indexRange="700-755"/></Representation>
+    </AdaptationSet></Period></MPD>`,
+    'https://x.com/dash/manifest.mpd'
+  );
+  const [rep] = manifest.video;
+  assert.equal(DashManifest.buildSegments(rep, manifest.duration), null);
+
+  const uri = 'https://x.com/dash/v.mp4';
+  assert.deepEqual(
+    DashManifest.segmentsFromIndex(rep, sidxBox([1000, 2000]).buffer),
+    [
+      { uri, byteRange: { offset: 0, length: 756 } },
+      { uri, byteRange: { offset: 756, length: 1000 } },
+      { uri, byteRange: { offset: 1756, length: 2000 } },
+    ]
+  );
+});
+
+test('parseSidx：跳过其他 box，支持 version 1 和 first_offset', () => {
+  assert.deepEqual(
+    DashManifest.parseSidx(
+      concat(FREE_BOX, sidxBox([5000], { firstOffset: 12 })),
+      700
+    ),
+    [{ offset: 700 + 8 + 44 + 12, length: 5000 }]
+  );
+  assert.deepEqual(
+    DashManifest.parseSidx(
+      concat(sidxBox([10, 20], { version: 1, firstOffset: 4 })),
+      0
+    ),
+    [
+      { offset: 64 + 4, length: 10 },
+      { offset: 64 + 4 + 10, length: 20 },
+    ]
+  );
+});
+
+test('parseSidx：格式错误的索引抛出异常', () => {
+  assert.throws(() => DashManifest.parseSidx(concat(FREE_BOX), 0), /没有 sidx/);
+  assert.throws(
+    () => DashManifest.parseSidx(new ArrayBuffer(4), 0),
+    /没有 sidx/
+  );
+  // box 被截断
+  assert.throws(
+    () => DashManifest.parseSidx(sidxBox([1, 2, 3]).buffer.slice(0, 40), 0),
+    /sidx 索引数据不完整/
+  );
+  // reference_count 超出 box
+  const box = sidxBox([1]);
+  new DataView(box.buffer).setUint16(30, 9);
+  assert.throws(
+    () => DashManifest.parseSidx(box.buffer, 0),
+    /sidx 索引数据不完整/
+  );
+  assert.throws(
+    () =>
+      DashManifest.parseSidx(sidxBox([1, 2], { hierarchical: true }).buffer, 0),
+    /多级 sidx/
+  );
+});
+
+test('格式错误的清单抛出异常', () => {
+  const url = 'https://x.com/manifest.mpd';
+  assert.throws(() => DashManifest.parse('<html></html>', url), /不是有效的/);
+  assert.throws(() => DashManifest.parse('not xml', url), /不是有效的/);
+  assert.throws(() => DashManifest.parse('<MPD></MPD>', url), /没有 Period/);
+
+  const build = (segmentInfo, duration = 10) =>
+    DashManifest.buildSegments(
+      DashManifest.parse(
+        `<MPD><Period><AdaptationSet mimeType="video/mp4"><Representation id="v">${segmentInfo}</Representation></AdaptationSet></Period></MPD>`,
+        url
+      ).video[0],
+      duration
+    );
+  assert.throws(
+    () => build('<SegmentTemplate media="$Number$.m4s"/>'),
+    /缺少 duration/
+  );
+  assert.throws(
+    () =>
+      build(
+        '<SegmentTemplate media="$Time$.m4s"><SegmentTimeline><S t="0" d="0" r="-1"/></SegmentTimeline></SegmentTemplate>'
+      ),
+    /分片时长无效/
+  );
+  assert.throws(
+    () => build('<SegmentList><SegmentURL mediaRange="5-"/></SegmentList>'),
+    /字节范围格式无效/
+  );
+  assert.throws(
+    () => build('<SegmentList><SegmentURL mediaRange="9-3"/></SegmentList>'),
+    /字节范围格式无效/
+  );
+});
+
+test('时长、模板和文件名', () => {
+  assert.equal(DashManifest.parseDuration('P1DT2H3M4.5S'), 93784.5);
+  assert.equal(DashManifest.parseDuration('PT0.5S'), 0.5);
+  assert.equal(DashManifest.parseDuration('garbage'), 0);
+  assert.equal(DashManifest.parseDuration(undefined), 0);
+  assert.equal(
+    DashManifest.fillTemplate('$RepresentationID$_$Number%03d$_$$.m4s', {
+      RepresentationID: 'v1',
+      Number: 7,
+    }),
+    'v1_007_$.m4s'
+  );
+  assert.equal(
+    DashManifest.outputFilename('manifest.mpd', 'audio'),
+    'manifest.audio.m4a'
+  );
+  assert.equal(DashManifest.outputFilename('', 'video'), 'video.video.mp4');
+});
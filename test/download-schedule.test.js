@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+// 使用有夏令时的时区，每个测试文件在单独的进程中运行
+process.env.TZ = 'America/New_York';
+
+const { DownloadSchedule } = loadCore('download-schedule.js');
+
+// 本地时间
+const at = (year, month, day, hours, minutes = 0) =>
+  new Date(year, month - 1, day, hours, minutes).getTime();
+
+const NIGHT = { start: '22:00', end: '07:00' };
+
+test('由用户输入生成计划', () => {
+  assert.equal(DownloadSchedule.create(), null);
+  assert.equal(DownloadSchedule.create({ startAt: '' }), null);
+  assert.deepEqual(
+    DownloadSchedule.create({ windowStart: '7:05', windowEnd: ' 23:30 ' }),
+    { startAt: null, window: { start: '07:05', end: '23:30' } }
+  );
+  assert.deepEqual(DownloadSchedule.create({ startAt: '1700000000000' }), {
+    startAt: 1700000000000,
+    window: null,
+  });
+});
+
+test('格式错误的输入抛出异常', () => {
+  assert.throws(
+    () => DownloadSchedule.create({ windowStart: '22:00' }),
+    /时间格式无效: \(空\)/
+  );
+  assert.throws(
+    () => DownloadSchedule.create({ windowStart: '08:00', windowEnd: '8:00' }),
+    /不能相同/
+  );
+  assert.throws(
+    () => DownloadSchedule.create({ startAt: 'tomorrow' }),
+    /开始时间无效/
+  );
+  assert.throws(() => DownloadSchedule.parseTime('25:00'), /时间格式无效/);
+  assert.throws(() => DownloadSchedule.parseTime('12:60'), /时间格式无效/);
+  assert.throws(() => DownloadSchedule.parseTime('1200'), /时间格式无效/);
+});
+
+test('跨越午夜的下载时段，包含开始时间，不包含结束时间', () => {
+  assert.equal(DownloadSchedule.isInWindow(NIGHT, at(2026, 5, 1, 22)), true);
+  assert.equal(DownloadSchedule.isInWindow(NIGHT, at(2026, 5, 1, 3)), true);
+  assert.equal(DownloadSchedule.isInWindow(NIGHT, at(2026, 5, 1, 6, 59)), true);
+  assert.equal(DownloadSchedule.isInWindow(NIGHT, at(2026, 5, 1, 7)), false);
+  assert.equal(
+    DownloadSchedule.isInWindow(NIGHT, at(2026, 5, 1, 21, 59)),
+    false
+  );
+
+  const day = { start: '09:00', end: '17:00' };
+  assert.equal(DownloadSchedule.isInWindow(day, at(2026, 5, 1, 9)), true);
+  assert.equal(DownloadSchedule.isInWindow(day, at(2026, 5, 1, 17)), false);
+});
+
+test('未到开始时间时不允许下载', () => {
+  const startAt = at(2026, 5, 2, 0);
+  const schedule = { startAt, window: NIGHT };
+  assert.equal(DownloadSchedule.isAllowed(null), true);
+  assert.equal(DownloadSchedule.isAllowed(schedule, at(2026, 5, 1, 23)), false);
+  assert.equal(DownloadSchedule.isAllowed(schedule, at(2026, 5, 2, 1)), true);
+  assert.equal(DownloadSchedule.isAllowed(schedule, at(2026, 5, 2, 12)), false);
+  assert.equal(
+    DownloadSchedule.isAllowed({ startAt, window: null }, at(2026, 5, 2, 12)),
+    true
+  );
+});
+
+test('下一次状态变化的时间', () => {
+  const startAt = at(2026, 5, 2, 0);
+  assert.equal(DownloadSchedule.nextChange(null), null);
+  assert.equal(
+    DownloadSchedule.nextChange({ startAt, window: null }, at(2026, 5, 1, 12)),
+    startAt
+  );
+  assert.equal(
+    DownloadSchedule.nextChange({ startAt, window: null }, at(2026, 5, 2, 12)),
+    null
+  );
+  assert.equal(
+    DownloadSchedule.nextChange(
+      { startAt: null, window: NIGHT },
+      at(2026, 5, 1, 12)
+    ),
+    at(2026, 5, 1, 22)
+  );
+  // 正好在边界上时返回下一个边界
+  assert.equal(
+    DownloadSchedule.nextChange(
+      { startAt: null, window: NIGHT },
+      at(2026, 5, 1, 22)
+    ),
+    at(2026, 5, 2, 7)
+  );
+});
+
+test('夏令时切换的日期按本地时间计算', () => {
+  const schedule = { startAt: null, window: NIGHT };
+  // 2026-03-08 开始夏令时（UTC-4），2026-11-01 结束（UTC-5）
+  assert.equal(
+    new Date(
+      DownloadSchedule.nextChange(schedule, at(2026, 3, 7, 23))
+    ).toISOString(),
+    '2026-03-08T11:00:00.000Z'
+  );
+  assert.equal(
+    new Date(
+      DownloadSchedule.nextChange(schedule, at(2026, 10, 31, 23))
+    ).toISOString(),
+    '2026-11-01T12:00:00.000Z'
+  );
+});
+
+test('计划的文字说明', () => {
+  assert.equal(DownloadSchedule.describe(null), '');
+  assert.equal(
+    DownloadSchedule.describe({ startAt: null, window: NIGHT }),
+    '仅在 22:00 - 07:00 下载'
+  );
+  const text = DownloadSchedule.describe({
+    startAt: at(2026, 5, 2, 0),
+    window: NIGHT,
+  });
+  assert.match(text, / 开始，仅在 22:00 - 07:00 下载$/);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+const { Downloader } = loadCore('downloader.js');
+
+test('Retry-After 为秒数', () => {
+  assert.equal(Downloader.parseRetryAfter('120'), 120000);
+  assert.equal(Downloader.parseRetryAfter(' 0 '), 0);
+});
+
+test('Retry-After 为 HTTP 日期', () => {
+  const now = Date.parse('Wed, 21 Oct 2015 07:27:30 GMT');
+  assert.equal(
+    Downloader.parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT', now),
+    30000
+  );
+  // 已经过去的时间不需要等待
+  assert.equal(
+    Downloader.parseRetryAfter('Wed, 21 Oct 2015 07:00:00 GMT', now),
+    0
+  );
+  // RFC 850 格式
+  assert.equal(
+    Downloader.parseRetryAfter('Wednesday, 21-Oct-15 07:28:00 GMT', now),
+    30000
+  );
+});
+
+test('无法解析的 Retry-After 返回 null', () => {
+  assert.equal(Downloader.parseRetryAfter(null), null);
+  assert.equal(Downloader.parseRetryAfter(''), null);
+  assert.equal(Downloader.parseRetryAfter('soon'), null);
+  assert.equal(Downloader.parseRetryAfter('-5'), null);
+  assert.equal(Downloader.parseRetryAfter('1.5'), null);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+const { FileType } = loadCore('file-type.js');
+
+// 每个字符作为一个字节
+const bytes = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+test('根据特征字节识别类型', () => {
+  assert.equal(FileType.detect(bytes('%PDF-1.7\n')).mime, 'application/pdf');
+  assert.equal(FileType.detect(bytes('PK\x03\x04')).exts[0], 'zip');
+  assert.equal(FileType.detect(bytes('MZ\x90\x00')).exts[0], 'exe');
+  assert.equal(
+    FileType.detect(bytes('\x00\x00\x00\x20ftypisom')).mime,
+    'video/mp4'
+  );
+  assert.equal(
+    FileType.detect(bytes('RIFF\x00\x00\x00\x00WEBPVP8 ')).mime,
+    'image/webp'
+  );
+  assert.equal(
+    FileType.detect(bytes('RIFF\x00\x00\x00\x00WAVEfmt ')).mime,
+    'audio/wav'
+  );
+  assert.equal(FileType.detect(bytes('\xff\xfb\x90\x00')).mime, 'audio/mpeg');
+  // ArrayBuffer 也可以
+  assert.equal(FileType.detect(bytes('GIF89a').buffer).mime, 'image/gif');
+});
+
+test('无法识别、内容过短或为空时返回 null', () => {
+  assert.equal(FileType.detect(bytes('hello world')), null);
+  assert.equal(FileType.detect(bytes('RIFF\x00\x00\x00\x00XXXX')), null);
+  assert.equal(FileType.detect(bytes('%PD')), null);
+  assert.equal(FileType.detect(new Uint8Array(0)), null);
+  // 帧同步字节但 layer 为 0（AAC）
+  assert.equal(FileType.detect(bytes('\xff\xf1')), null);
+});
+
+test('修正缺失、无意义或与内容不符的扩展名', () => {
+  assert.equal(
+    FileType.fixFilename('export.download', { bytes: bytes('%PDF-1.7') }),
+    'export.pdf'
+  );
+  assert.equal(
+    FileType.fixFilename('clip', { bytes: bytes('\0\0\0\x20ftypisom') }),
+    'clip.mp4'
+  );
+  assert.equal(
+    FileType.fixFilename('report.pdf', { bytes: bytes('PK\x03\x04') }),
+    'report.zip'
+  );
+  assert.equal(
+    FileType.fixFilename('a.bin', { bytes: bytes('RIFF\0\0\0\0WEBPVP8') }),
+    'a.webp'
+  );
+});
+
+test('扩展名与内容一致或无法判断时保留原文件名', () => {
+  // docx 也是 ZIP
+  assert.equal(
+    FileType.fixFilename('report.docx', { bytes: bytes('PK\x03\x04') }),
+    'report.docx'
+  );
+  // txt 没有特征字节，无法判断是否不符
+  assert.equal(
+    FileType.fixFilename('notes.txt', { bytes: bytes('MZxx') }),
+    'notes.txt'
+  );
+  assert.equal(
+    FileType.fixFilename('data.csv', {
+      bytes: bytes('a,b'),
+      contentType: 'application/json',
+    }),
+    'data.csv'
+  );
+  assert.equal(FileType.fixFilename('file.iso', {}), 'file.iso');
+  assert.equal(
+    FileType.fixFilename('file', { bytes: null, contentType: null }),
+    'file'
+  );
+});
+
+test('无法从内容识别时按 Content-Type 补全扩展名', () => {
+  assert.equal(
+    FileType.fixFilename('v1.2', {
+      bytes: bytes('{"a":1}'),
+      contentType: 'application/json; charset=utf-8',
+    }),
+    'v1.2.json'
+  );
+  assert.equal(
+    FileType.fixFilename('page', { contentType: 'text/html' }),
+    'page.html'
+  );
+  assert.equal(
+    FileType.fixFilename('blob', {
+      contentType: 'application/octet-stream',
+    }),
+    'blob'
+  );
+});
+
+test('扩展名和 Content-Type', () => {
+  assert.equal(FileType.getExtension('Archive.TAR.GZ'), 'gz');
+  assert.equal(FileType.getExtension('v1.2'), '');
+  assert.equal(FileType.getExtension('.bashrc'), '');
+  assert.equal(FileType.getExtension(null), '');
+  assert.equal(FileType.fromContentType(' Image/PNG ; q=1'), 'png');
+  assert.equal(FileType.fromContentType('application/octet-stream'), null);
+  assert.equal(FileType.fromContentType(undefined), null);
+});
+
+test('文件分类', () => {
+  assert.equal(FileType.getCategory('photo.JPG'), 'image');
+  assert.equal(FileType.getCategory('movie.mkv'), 'video');
+  assert.equal(FileType.getCategory('a.tgz'), 'archive');
+  assert.equal(
+    FileType.getCategory('export.download', 'application/pdf'),
+    'document'
+  );
+  assert.equal(FileType.getCategory('x', 'image/x-icon'), 'image');
+  assert.equal(FileType.getCategory('readme', 'text/x-rst'), 'document');
+  assert.equal(FileType.getCategory('setup.exe'), 'other');
+  assert.equal(FileType.getCategory(''), 'other');
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, randomBytes } from 'node:crypto';
+import { loadCore } from './load-core.js';
+
+const { Hasher } = loadCore('hash.js');
+
+const bytes = (text) => new TextEncoder().encode(text);
+const hex = (algorithm, data) => {
+  const hasher = new Hasher(algorithm);
+  hasher.update(data);
+  return hasher.digest();
+};
+
+// 448 位的标准测试消息（填充后需要两个块）
+const ABC_448 = 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq';
+
+test('MD5 标准测试向量', () => {
+  assert.equal(hex('md5', bytes('')), 'd41d8cd98f00b204e9800998ecf8427e');
+  assert.equal(hex('md5', bytes('abc')), '900150983cd24fb0d6963f7d28e17f72');
+  assert.equal(
+    hex('md5', bytes('The quick brown fox jumps over the lazy dog')),
+    '9e107d9d372bb6826bd81d3542a419d6'
+  );
+});
+
+test('SHA-1 标准测试向量', () => {
+  assert.equal(
+    hex('sha1', bytes('')),
+    'da39a3ee5e6b4b0d3255bfef95601890afd80709'
+  );
+  assert.equal(
+    hex('sha1', bytes('abc')),
+    'a9993e364706816aba3e25717850c26c9cd0d89d'
+  );
+  assert.equal(
+    hex('sha1', bytes(ABC_448)),
+    '84983e441c3bd26ebaae4aa1f95129e5e54670f1'
+  );
+});
+
+test('SHA-256 标准测试向量', () => {
+  assert.equal(
+    hex('sha256', bytes('')),
+    'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+  );
+  assert.equal(
+    hex('sha256', bytes('abc')),
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+  assert.equal(
+    hex('sha256', bytes(ABC_448)),
+    '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+  );
+  assert.equal(
+    hex('sha256', bytes('a'.repeat(1000000))),
+    'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0'
+  );
+});
+
+test('分多次输入与一次输入结果相同（覆盖 64 字节块边界）', () => {
+  for (const algorithm of ['md5', 'sha1', 'sha256']) {
+    for (const length of [0, 1, 55, 56, 63, 64, 65, 119, 120, 1000]) {
+      const data = randomBytes(length);
+      const hasher = new Hasher(algorithm);
+      for (let offset = 0; offset < length; offset += 7) {
+        hasher.update(data.subarray(offset, offset + 7));
+      }
+      assert.equal(
+        hasher.digest(),
+        createHash(algorithm).update(data).digest('hex'),
+        `${algorithm} ${length} 字节`
+      );
+    }
+  }
+});
+
+test('hashBlob 按流计算 Blob 的摘要', async () => {
+  assert.equal(
+    await Hasher.hashBlob(new Blob(['ab', 'c']), 'SHA-256'),
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+});
+
+test('不支持的算法抛出异常', () => {
+  assert.throws(() => new Hasher('crc32'), /不支持的哈希算法/);
+  assert.equal(Hasher.normalizeAlgorithm('SHA-256'), 'sha256');
+  assert.equal(Hasher.normalizeAlgorithm('sha-512'), null);
+});
+
+test('parseExpectedHash 解析用户输入的期望值', () => {
+  const sha256 = 'a'.repeat(64);
+  assert.deepEqual(Hasher.parseExpectedHash(`SHA-256:${sha256}`), {
+    algorithm: 'sha256',
+    value: sha256,
+    source: 'user',
+  });
+  assert.equal(
+    Hasher.parseExpectedHash('D41D8CD98F00B204E9800998ECF8427E').algorithm,
+    'md5'
+  );
+  assert.equal(
+    Hasher.parseExpectedHash(`sha1=${'b'.repeat(40)}`).value,
+    'b'.repeat(40)
+  );
+
+  // 格式错误：长度与算法不符、非十六进制、未知算法、空输入
+  assert.equal(Hasher.parseExpectedHash(`sha256:${'a'.repeat(40)}`), null);
+  assert.equal(Hasher.parseExpectedHash('xyz'), null);
+  assert.equal(Hasher.parseExpectedHash(`crc:${'a'.repeat(32)}`), null);
+  assert.equal(Hasher.parseExpectedHash(''), null);
+  assert.equal(Hasher.parseExpectedHash(null), null);
+});
+
+test('fromHeaders 优先使用 Digest 中的 SHA-256', () => {
+  const headers = new Headers({
+    digest:
+      'md5=1B2M2Y8AsgTpgAmY7PhCfg==, SHA-256=47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=',
+    'content-md5': '1B2M2Y8AsgTpgAmY7PhCfg==',
+  });
+  assert.deepEqual(Hasher.fromHeaders(headers), {
+    algorithm: 'sha256',
+    value: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+    source: 'digest',
+  });
+});
+
+test('fromHeaders 解析 Repr-Digest 和 Content-MD5，忽略格式错误的值', () => {
+  assert.equal(
+    Hasher.fromHeaders(
+      new Headers({
+        'repr-digest': 'sha-256=:47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=:',
+      })
+    ).source,
+    'repr-digest'
+  );
+  assert.deepEqual(
+    Hasher.fromHeaders(
+      new Headers({
+        digest: 'sha-256=not-base64!, sha-256=AAAA',
+        'content-md5': '1B2M2Y8AsgTpgAmY7PhCfg==',
+      })
+    ),
+    {
+      algorithm: 'md5',
+      value: 'd41d8cd98f00b204e9800998ecf8427e',
+      source: 'content-md5',
+    }
+  );
+  assert.equal(Hasher.fromHeaders(new Headers({ digest: 'garbage' })), null);
+  assert.equal(Hasher.fromHeaders(new Headers()), null);
+});
+
+test('parseChecksumFile 按文件名查找 SHA-256', () => {
+  const a = 'a'.repeat(64);
+  const b = 'B'.repeat(64);
+  const text = `${a}  foo.iso\r\n${b} *bar.iso\n`;
+  assert.equal(Hasher.parseChecksumFile(text, 'bar.iso').value, 'b'.repeat(64));
+  // 只有一个值时不要求文件名匹配，有多个值且都不匹配时返回 null
+  assert.equal(Hasher.parseChecksumFile(a, 'other.iso').value, a);
+  assert.equal(Hasher.parseChecksumFile(text, 'other.iso'), null);
+  assert.equal(Hasher.parseChecksumFile('<html>404</html>', 'foo.iso'), null);
+});
+
+test('base64ToHex 拒绝无效的 Base64', () => {
+  assert.equal(Hasher.base64ToHex('AQID'), '010203');
+  assert.equal(Hasher.base64ToHex('AQI'), null);
+  assert.equal(Hasher.base64ToHex('!!!!'), null);
+  assert.equal(Hasher.base64ToHex(null), null);
+});
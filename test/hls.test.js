@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+const { HlsPlaylist } = loadCore('hls.js');
+
+const MASTER = `#EXTM3U
+#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"
+low/index.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=2400000,RESOLUTION=1280x720,NAME="HD"
+high/index.m3u8
+`;
+
+const MEDIA = `#EXTM3U
+#EXT-X-TARGETDURATION:10
+#EXT-X-MEDIA-SEQUENCE:5
+#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x0102
+#EXTINF:9.9,
+seg0.ts
+#EXT-X-KEY:METHOD=NONE
+#EXTINF:9.9,
+#EXT-X-BYTERANGE:100@0
+all.ts
+#EXT-X-BYTERANGE:50
+#EXTINF:1,
+all.ts
+#EXT-X-ENDLIST
+`;
+
+test('isHls 根据地址或 Content-Type 判断', () => {
+  assert.equal(HlsPlaylist.isHls('https://a.com/v/index.m3u8?token=1'), true);
+  assert.equal(HlsPlaylist.isHls('https://a.com/v/index.M3U'), true);
+  assert.equal(
+    HlsPlaylist.isHls('https://a.com/play', 'application/vnd.apple.mpegurl'),
+    true
+  );
+  assert.equal(HlsPlaylist.isHls('https://a.com/m3u8/file.mp4'), false);
+  assert.equal(HlsPlaylist.isHls(null, null), false);
+});
+
+test('解析主播放列表，相对地址按播放列表地址解析', () => {
+  const playlist = HlsPlaylist.parse(MASTER, 'https://a.com/v/master.m3u8?t=1');
+  assert.equal(playlist.type, 'master');
+  assert.deepEqual(playlist.variants, [
+    {
+      bandwidth: 800000,
+      resolution: '640x360',
+      codecs: 'avc1.4d401e,mp4a.40.2',
+      name: null,
+      uri: 'https://a.com/v/low/index.m3u8',
+    },
+    {
+      bandwidth: 2400000,
+      resolution: '1280x720',
+      codecs: null,
+      name: 'HD',
+      uri: 'https://a.com/v/high/index.m3u8',
+    },
+  ]);
+});
+
+test('选择清晰度：优先指定的地址，否则码率最高的', () => {
+  const { variants } = HlsPlaylist.parse(MASTER, 'https://a.com/v/master.m3u8');
+  assert.equal(HlsPlaylist.selectVariant(variants).name, 'HD');
+  assert.equal(
+    HlsPlaylist.selectVariant(variants, 'https://a.com/v/low/index.m3u8')
+      .bandwidth,
+    800000
+  );
+  assert.equal(
+    HlsPlaylist.selectVariant(variants, 'https://a.com/gone.m3u8').name,
+    'HD'
+  );
+  assert.equal(
+    HlsPlaylist.describeVariant(variants[1]),
+    'HD · 1280x720 · 2400 kbps'
+  );
+});
+
+test('解析媒体播放列表：序号、加密信息和字节范围', () => {
+  const playlist = HlsPlaylist.parse(MEDIA, 'https://a.com/v/high/index.m3u8');
+  assert.equal(playlist.type, 'media');
+  assert.equal(playlist.endList, true);
+  assert.equal(playlist.map, null);
+
+  const [first, second, third] = playlist.segments;
+  assert.equal(first.uri, 'https://a.com/v/high/seg0.ts');
+  assert.equal(first.sequence, 5);
+  assert.equal(first.duration, 9.9);
+  assert.equal(first.key.method, 'AES-128');
+  assert.equal(first.key.uri, 'https://a.com/v/high/key.bin');
+  assert.deepEqual(
+    Array.from(first.key.iv),
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2]
+  );
+
+  // METHOD=NONE 之后不再加密；省略偏移时从上一个范围的结束位置开始
+  assert.equal(second.key, null);
+  assert.deepEqual(second.byteRange, { length: 100, offset: 0 });
+  assert.deepEqual(third.byteRange, { length: 50, offset: 100 });
+  assert.equal(third.sequence, 7);
+});
+
+test('解析 fMP4 初始化段', () => {
+  const playlist = HlsPlaylist.parse(
+    '#EXTM3U\n#EXT-X-MAP:URI="init.mp4",BYTERANGE="720@0"\n#EXTINF:4,\nseg1.m4s\n',
+    'https://a.com/v/index.m3u8'
+  );
+  assert.deepEqual(playlist.map, {
+    uri: 'https://a.com/v/init.mp4',
+    byteRange: { length: 720, offset: 0 },
+    key: null,
+    sequence: 0,
+  });
+  assert.equal(playlist.endList, false);
+});
+
+test('格式错误的播放列表抛出异常', () => {
+  const base = 'https://a.com/v/index.m3u8';
+  assert.throws(() => HlsPlaylist.parse('<html></html>', base), /不是有效的/);
+  assert.throws(() => HlsPlaylist.parse('', base), /不是有效的/);
+  assert.throws(
+    () => HlsPlaylist.parse('#EXTM3U\n#EXT-X-BYTERANGE:abc\nseg.ts', base),
+    /分片范围格式无效/
+  );
+  assert.throws(
+    () =>
+      HlsPlaylist.parse(
+        '#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI="k",IV=0xZZ\nseg.ts',
+        base
+      ),
+    /IV 格式无效/
+  );
+  assert.throws(
+    () =>
+      HlsPlaylist.parse(
+        '#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="k"\nseg.ts',
+        base
+      ),
+    /不支持的加密方式: SAMPLE-AES/
+  );
+  assert.throws(
+    () => HlsPlaylist.parse('#EXTM3U\n#EXT-X-KEY:METHOD=AES-128\nseg.ts', base),
+    /不支持的加密方式/
+  );
+});
+
+test('没有分片的媒体播放列表', () => {
+  assert.deepEqual(HlsPlaylist.parse('#EXTM3U\n', 'https://a.com/x.m3u8'), {
+    type: 'media',
+    segments: [],
+    map: null,
+    endList: false,
+  });
+});
+
+test('合并后的文件名', () => {
+  assert.equal(HlsPlaylist.outputFilename('index.m3u8'), 'index.ts');
+  assert.equal(HlsPlaylist.outputFilename('movie.M3U8', true), 'movie.mp4');
+  assert.equal(HlsPlaylist.outputFilename('movie.ts'), 'movie.ts');
+  assert.equal(HlsPlaylist.outputFilename(''), 'video.ts');
+});
+
+test('没有 IV 时使用分片序号，AES-128 解密', async () => {
+  assert.deepEqual(
+    Array.from(HlsPlaylist.sequenceIv(0x01020304)).slice(12),
+    [1, 2, 3, 4]
+  );
+
+  const rawKey = new Uint8Array(16).map((_, i) => i);
+  const iv = HlsPlaylist.sequenceIv(7);
+  const plain = new TextEncoder().encode('segment data');
+  const encryptKey = await crypto.subtle.importKey(
+    'raw',
+    rawKey,
+    'AES-CBC',
+    false,
+    ['encrypt']
+  );
+  const encrypted = await crypto.subtle.encrypt(
+    { name: 'AES-CBC', iv },
+    encryptKey,
+    plain
+  );
+
+  const key = await HlsPlaylist.importKey(rawKey);
+  const decrypted = await HlsPlaylist.decrypt(encrypted, key, iv);
+  assert.equal(new TextDecoder().decode(decrypted), 'segment data');
+});
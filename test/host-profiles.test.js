@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+const { HostProfiles } = loadCore('connection-pool.js', 'host-profiles.js');
+
+// 连接数 -> 速度 (bytes/s)，每个连接数采样 20 秒
+const profileOf = (speeds) => ({
+  connections: Object.fromEntries(
+    Object.entries(speeds).map(([count, speed]) => [
+      count,
+      { bytes: speed * 20, time: 20 * 1000 },
+    ])
+  ),
+});
+
+test('选择速度最快的连接数', () => {
+  assert.deepEqual(
+    HostProfiles.getBest(profileOf({ 1: 100, 4: 400, 8: 300 })),
+    {
+      bestConnections: 4,
+      bestSpeed: 400,
+    }
+  );
+});
+
+test('速度相差不到 10% 时选择连接数较少的', () => {
+  assert.equal(
+    HostProfiles.getBest(profileOf({ 2: 910, 4: 950, 16: 1000 }))
+      .bestConnections,
+    2
+  );
+  assert.equal(
+    HostProfiles.getBest(profileOf({ 2: 890, 16: 1000 })).bestConnections,
+    16
+  );
+});
+
+test('采样时间不足的连接数不参与比较', () => {
+  const profile = profileOf({ 2: 500 });
+  profile.connections[8] = { bytes: 1e9, time: 9999 };
+  assert.equal(HostProfiles.getBest(profile).bestConnections, 2);
+
+  assert.deepEqual(
+    HostProfiles.getBest({ connections: { 8: { bytes: 1e9, time: 5000 } } }),
+    { bestConnections: null, bestSpeed: null }
+  );
+  assert.deepEqual(HostProfiles.getBest({}), {
+    bestConnections: null,
+    bestSpeed: null,
+  });
+});
+
+test('由主机配置生成下载选项', () => {
+  const profiles = new HostProfiles();
+  profiles.profiles['example.org:8080'] = {
+    ...profileOf({ 1: 100, 6: 600 }),
+    headSupported: false,
+    rangeSupported: true,
+  };
+  assert.deepEqual(
+    profiles.getDownloaderOptions('https://example.org:8080/file.zip'),
+    { preferredChunks: 6, headSupported: false, rangeSupported: true }
+  );
+  // 端口不同视为不同主机
+  assert.deepEqual(
+    profiles.getDownloaderOptions('https://example.org/file.zip'),
+    {}
+  );
+});
+
+test('合并统计时较早的采样按比例缩小', async (t) => {
+  const saved = {};
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async (key) => (key in saved ? { [key]: saved[key] } : {}),
+        set: async (values) => Object.assign(saved, values),
+      },
+    },
+  };
+  t.mock.method(Date, 'now', () => 1000);
+  const profiles = new HostProfiles();
+  const minutes = (count) => count * 60 * 1000;
+
+  await profiles.record({
+    host: 'a.com',
+    headSupported: true,
+    rangeSupported: null,
+    connections: { 4: { bytes: 100, time: minutes(8) } },
+  });
+  await profiles.record({
+    host: 'a.com',
+    headSupported: null,
+    rangeSupported: false,
+    connections: { 4: { bytes: 500, time: minutes(4) } },
+  });
+
+  const profile = saved.hostProfiles['a.com'];
+  assert.equal(profile.downloads, 2);
+  assert.equal(profile.headSupported, true);
+  assert.equal(profile.rangeSupported, false);
+  assert.deepEqual(profile.connections[4], { bytes: 500, time: minutes(10) });
+});
@@ -0,0 +1,245 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { loadCore } from './load-core.js';
+
+const { HttpAuth, CredentialStore } = loadCore(
+  'hash.js',
+  'http-auth.js',
+  'credential-store.js'
+);
+
+// RFC 7616 3.9.1 的示例
+const RFC_CHALLENGE = (algorithm) =>
+  `Digest realm="http-auth@example.org", qop="auth, auth-int", ` +
+  `algorithm=${algorithm}, nonce="7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v", ` +
+  `opaque="FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS"`;
+
+const RFC_REQUEST = {
+  username: 'Mufasa',
+  realm: 'http-auth@example.org',
+  password: 'Circle of Life',
+  method: 'GET',
+  uri: '/dir/index.html',
+  nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+  nc: '00000001',
+  cnonce: 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ',
+  qop: 'auth',
+};
+
+const md5 = (text) => createHash('md5').update(text).digest('hex');
+
+test('解析质询，Digest 优先于 Basic，选择第一个支持的算法', () => {
+  const header = `Basic realm="x", ${RFC_CHALLENGE('SHA-256')}, ${RFC_CHALLENGE('MD5')}`;
+  assert.equal(HttpAuth.parseChallenges(header).length, 3);
+  assert.deepEqual(HttpAuth.parseChallenge(header), {
+    scheme: 'digest',
+    realm: 'http-auth@example.org',
+    qop: 'auth, auth-int',
+    algorithm: 'SHA-256',
+    nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+    opaque: 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS',
+  });
+  assert.equal(
+    HttpAuth.parseChallenge(
+      `${RFC_CHALLENGE('SHA-512-256')}, ${RFC_CHALLENGE('MD5')}`
+    ).algorithm,
+    'MD5'
+  );
+});
+
+test('解析质询：参数名大小写、引号转义和不支持的质询', () => {
+  assert.deepEqual(HttpAuth.parseChallenge('BASIC Realm="a \\"b\\", c"'), {
+    scheme: 'basic',
+    realm: 'a "b", c',
+  });
+  // 不支持的算法或缺少 nonce 的 Digest 被忽略
+  assert.equal(
+    HttpAuth.parseChallenge(
+      'Digest realm="x", nonce="n", algorithm=SHA-512-256, Basic realm="y"'
+    ).scheme,
+    'basic'
+  );
+  assert.equal(HttpAuth.parseChallenge('Digest realm="x"'), null);
+  assert.equal(HttpAuth.parseChallenge('Bearer realm="x"'), null);
+  assert.equal(HttpAuth.parseChallenge(''), null);
+  assert.equal(HttpAuth.parseChallenge(null), null);
+});
+
+test('Digest response 与 RFC 7616 3.9.1 的示例一致', () => {
+  assert.equal(
+    HttpAuth.digestResponse({ ...RFC_REQUEST, algorithm: 'SHA-256' }),
+    '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1'
+  );
+  assert.equal(
+    HttpAuth.digestResponse({ ...RFC_REQUEST, algorithm: 'MD5' }),
+    '8ca523f5e9506fed4657c9700eebdbec'
+  );
+});
+
+test('-sess 算法和没有 qop 时的 response', () => {
+  const ha1 = md5('Mufasa:http-auth@example.org:Circle of Life');
+  const ha2 = md5('GET:/dir/index.html');
+  const { nonce, nc, cnonce } = RFC_REQUEST;
+  const sessHa1 = md5(`${ha1}:${nonce}:${cnonce}`);
+  assert.equal(
+    HttpAuth.digestResponse({ ...RFC_REQUEST, algorithm: 'MD5-SESS' }),
+    md5(`${sessHa1}:${nonce}:${nc}:${cnonce}:auth:${ha2}`)
+  );
+  // RFC 2069
+  assert.equal(
+    HttpAuth.digestResponse({ ...RFC_REQUEST, algorithm: 'MD5', qop: null }),
+    md5(`${ha1}:${nonce}:${ha2}`)
+  );
+});
+
+test('Digest 请求头：response 可以验证，nc 递增，更换 nonce 后重新计数', () => {
+  const auth = new HttpAuth(HttpAuth.parseChallenge(RFC_CHALLENGE('SHA-256')), {
+    username: 'Mufasa',
+    password: 'Circle of Life',
+  });
+
+  const check = (expectedNc) => {
+    const header = auth.getAuthorization(
+      'GET',
+      'https://example.org/dir/index.html'
+    );
+    const [params] = HttpAuth.parseChallenges(header);
+    assert.equal(params.scheme, 'digest');
+    assert.equal(params.username, 'Mufasa');
+    assert.equal(params.uri, '/dir/index.html');
+    assert.equal(params.algorithm, 'SHA-256');
+    assert.equal(params.opaque, 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS');
+    assert.equal(params.qop, 'auth');
+    assert.equal(params.nc, expectedNc);
+    assert.equal(
+      params.response,
+      HttpAuth.digestResponse({
+        ...RFC_REQUEST,
+        algorithm: 'SHA-256',
+        nonce: params.nonce,
+        nc: params.nc,
+        cnonce: params.cnonce,
+      })
+    );
+    return params;
+  };
+
+  const first = check('00000001');
+  const second = check('00000002');
+  assert.notEqual(first.cnonce, second.cnonce);
+
+  const stale = HttpAuth.parseChallenge(
+    RFC_CHALLENGE('SHA-256') + ', stale=TRUE'
+  );
+  assert.equal(HttpAuth.isStale(stale), true);
+  assert.equal(
+    HttpAuth.isStale(HttpAuth.parseChallenge(RFC_CHALLENGE('MD5'))),
+    false
+  );
+  assert.equal(HttpAuth.isStale(null), false);
+  auth.updateChallenge(stale);
+  check('00000001');
+});
+
+test('Basic 请求头按 UTF-8 编码（RFC 7617）', () => {
+  const header = (username, password) =>
+    new HttpAuth({ scheme: 'basic' }, { username, password }).getAuthorization(
+      'GET',
+      'https://example.org/'
+    );
+  assert.equal(
+    header('Aladdin', 'open sesame'),
+    'Basic QWxhZGRpbjpvcGVuIHNlc2FtZQ=='
+  );
+  assert.equal(header('test', '123£'), 'Basic dGVzdDoxMjPCow==');
+});
+
+// chrome.storage 的内存实现
+function createStorageArea() {
+  const items = {};
+  return {
+    items,
+    async get(key) {
+      return key in items ? { [key]: structuredClone(items[key]) } : {};
+    },
+    async set(values) {
+      Object.assign(items, structuredClone(values));
+    },
+    async remove(key) {
+      delete items[key];
+    },
+  };
+}
+
+function mockStorage() {
+  globalThis.chrome = {
+    storage: { local: createStorageArea(), session: createStorageArea() },
+  };
+  return globalThis.chrome.storage;
+}
+
+// 测试中减少 PBKDF2 迭代次数
+CredentialStore.ITERATIONS = 1000;
+
+test('凭据库：首次解锁时创建，锁定后无法读取和保存', async () => {
+  const storage = mockStorage();
+  const store = new CredentialStore();
+  assert.deepEqual(await store.getStatus(), {
+    created: false,
+    unlocked: false,
+    hosts: [],
+  });
+
+  await store.unlock('secret');
+  await store.save('example.org:8080', { username: 'u', password: 'p' });
+  assert.deepEqual(await store.get('example.org:8080'), {
+    username: 'u',
+    password: 'p',
+  });
+  assert.equal(await store.get('other.org'), null);
+  // 保存的是密文
+  assert.doesNotMatch(JSON.stringify(storage.local.items), /"p"|"u"/);
+
+  // Service Worker 重启后用 session 中的密钥仍然可以读取
+  const restarted = new CredentialStore();
+  assert.deepEqual(await restarted.getStatus(), {
+    created: true,
+    unlocked: true,
+    hosts: ['example.org:8080'],
+  });
+  assert.equal((await restarted.get('example.org:8080')).password, 'p');
+
+  await store.lock();
+  assert.equal(await store.get('example.org:8080'), null);
+  await assert.rejects(
+    store.save('other.org', { username: 'a', password: 'b' }),
+    /凭据库未解锁/
+  );
+  assert.equal((await new CredentialStore().getStatus()).unlocked, false);
+
+  // 用同一个口令重新解锁
+  await store.unlock('secret');
+  assert.equal((await store.get('example.org:8080')).username, 'u');
+  await store.remove('example.org:8080');
+  assert.deepEqual((await store.getStatus()).hosts, []);
+});
+
+test('凭据库：口令错误或为空时抛出异常并保持锁定', async () => {
+  mockStorage();
+  const store = new CredentialStore();
+  await store.unlock('secret');
+  await store.save('example.org', { username: 'u', password: 'p' });
+  await store.lock();
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await assert.rejects(store.unlock('wrong'), /口令错误/);
+  } finally {
+    console.warn = warn;
+  }
+  await assert.rejects(store.unlock(''), /请输入口令/);
+  assert.equal((await store.getStatus()).unlocked, false);
+  assert.equal(await store.get('example.org'), null);
+});
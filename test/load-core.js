@@ -0,0 +1,17 @@
+// 在 Node 中加载 js/core 下的脚本（扩展中通过 <script> / importScripts 加载，类挂在 self 上）
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+globalThis.self = globalThis;
+const loaded = new Set();
+
+// 按顺序加载脚本，返回全局对象以便取出导出的类
+export function loadCore(...files) {
+  files.forEach((file) => {
+    if (loaded.has(file)) return;
+    const url = new URL(`../js/core/${file}`, import.meta.url);
+    vm.runInThisContext(readFileSync(url, 'utf8'), { filename: url.pathname });
+    loaded.add(file);
+  });
+  return globalThis;
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCore } from './load-core.js';
+
+const { RateLimiter } = loadCore('rate-limiter.js');
+
+// 模拟时钟：Date.now 返回 clock.now，setTimeout 记录等待时间后立即执行
+function mockClock(t) {
+  const clock = { now: 1000000, waits: [] };
+  t.mock.method(Date, 'now', () => clock.now);
+  t.mock.method(globalThis, 'setTimeout', (callback, ms) => {
+    clock.waits.push(ms);
+    callback();
+  });
+  return clock;
+}
+
+test('令牌不足时按速率等待，允许预支', async (t) => {
+  const clock = mockClock(t);
+  const limiter = new RateLimiter(1000);
+
+  // 初始没有令牌
+  await limiter.consume(500);
+  assert.deepEqual(clock.waits, [500]);
+  // 单次读取大于桶容量时预支，等待时间按欠下的令牌计算
+  await limiter.consume(2000);
+  assert.deepEqual(clock.waits, [500, 2500]);
+});
+
+test('按经过的时间补充令牌', async (t) => {
+  const clock = mockClock(t);
+  const limiter = new RateLimiter(1000);
+
+  clock.now += 300;
+  await limiter.consume(300);
+  assert.deepEqual(clock.waits, []);
+  clock.now += 100;
+  await limiter.consume(150);
+  assert.deepEqual(clock.waits, [50]);
+});
+
+test('空闲后最多积累 1 秒的令牌，避免突发', async (t) => {
+  const clock = mockClock(t);
+  const limiter = new RateLimiter(1000);
+
+  clock.now += 60 * 1000;
+  await limiter.consume(1000);
+  assert.deepEqual(clock.waits, []);
+  await limiter.consume(100);
+  assert.deepEqual(clock.waits, [100]);
+});
+
+test('调整速率立即生效，0 表示不限速', async (t) => {
+  const clock = mockClock(t);
+  const limiter = new RateLimiter(0);
+
+  clock.now += 10 * 1000;
+  await limiter.consume(1e9);
+  assert.deepEqual(clock.waits, []);
+
+  // 不限速期间不积累令牌
+  limiter.setRate(1000);
+  await limiter.consume(100);
+  assert.deepEqual(clock.waits, [100]);
+
+  // 降低速率时桶容量随之缩小
+  clock.now += 5000;
+  limiter.setRate(200);
+  await limiter.consume(300);
+  assert.deepEqual(clock.waits, [100, 500]);
+
+  limiter.setRate('abc');
+  assert.equal(limiter.rate, 0);
+});